@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+// Compares the pitch detectors on identical signals: gross error rate, cents error, missed frames and CPU time.
+import {readFile} from 'node:fs/promises';
+import {basename, extname} from 'node:path';
+import {parseArgs} from 'node:util';
+import {DETECTORS, createPitchDetector} from './detectors.js';
+import {decodeWav} from './wav.js';
+import {mixToMono} from './offline.js';
+import {analyseAmplitude} from './amplitude.js';
+import {noteNameToMidi} from './note.js';
+import {formatTable} from './table.js';
+
+const USAGE = `Usage: node accuracy.js [options] [recording.wav ...]
+
+Runs every detector, with and without the harmonic octave check, over synthetic violin-like tones (G3 to E7; clean,
+with bow noise, with vibrato, with a weak fundamental and with a dominant 2nd or 3rd harmonic) and over any WAV
+recordings given, and reports per detector and signal set:
+  gross      frames more than 20% (about 316 cents, so octave errors included) away from the reference
+  missed     frames where the detector reported no pitch
+  cents      mean and 95th percentile of the absolute error over the remaining frames
+  octave     frames where the octave check replaced the detector's pick
+  false fix  frames where that replaced a correct pick with a gross error
+  ms         CPU time per analysis frame
+
+A recording's reference pitch comes from a CSV next to it with the same name and the extension .f0.csv
+("time,frequency" rows in seconds and Hz, as written by analyse.js; empty frequencies are skipped),
+or else from a note name in the file name, e.g. "A4.wav" or "open-E5-tremolo.wav".
+
+Options:
+  --detectors <list>             Comma-separated, from ${Object.keys(DETECTORS).join(", ")} (default: all)
+  --buffer-size <samples>        Analysis window (default: 2048)
+  --rms-threshold <value>        Recording frames below this level after normalisation are skipped (default: 0.01)
+  -h, --help                     Show this help
+`;
+
+const OPTIONS = {
+  "detectors": {type: "string"},
+  "buffer-size": {type: "string", default: "2048"},
+  "rms-threshold": {type: "string", default: "0.01"},
+  "help": {type: "boolean", short: "h", default: false},
+};
+
+const SAMPLE_RATE = 48000;
+const HOP_SIZE = 960; // 20 ms, as in the offline analysis
+const TONE_SECONDS = 0.5;
+const GROSS_ERROR_RATIO = 0.2;
+const FIRST_MIDI = 55; // G3, the open G string
+const LAST_MIDI = 100; // E7, high on the E string
+const MIDI_STEP = 3;
+
+// Each synthetic condition changes one thing about a bowed-string-like tone.
+const CONDITIONS = {
+  "clean": {},
+  "bow noise": {noise: 0.15},
+  "vibrato": {vibratoCents: 25, vibratoRate: 5.5},
+  "weak fundamental": {fundamental: 0.1},
+  // Octave and twelfth traps: a harmonic far stronger than its neighbours.
+  "strong 2nd harmonic": {fundamental: 0.1, boost: {2: 4}},
+  "strong 3rd harmonic": {fundamental: 0.1, boost: {3: 6}},
+};
+
+async function main() {
+  const {values, positionals} = parseArgs({options: OPTIONS, allowPositionals: true});
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  const names = values.detectors ? values.detectors.split(",").map((name) => name.trim()) : Object.keys(DETECTORS);
+  for (const name of names) {
+    if (!DETECTORS[name]) {
+      throw new Error(`Unknown detector: ${name}`);
+    }
+  }
+  const bufferSize = Number(values["buffer-size"]);
+  const rmsThreshold = Number(values["rms-threshold"]);
+  if (!Number.isInteger(bufferSize) || bufferSize < 256) {
+    throw new Error(`--buffer-size expects a whole number of at least 256, got "${values["buffer-size"]}".`);
+  }
+  if (!Number.isFinite(rmsThreshold)) {
+    throw new Error(`--rms-threshold expects a number, got "${values["rms-threshold"]}".`);
+  }
+
+  const sets = [];
+  for (const [condition, options] of Object.entries(CONDITIONS)) {
+    const frames = [];
+    for (let midi = FIRST_MIDI; midi <= LAST_MIDI; midi += MIDI_STEP) {
+      frames.push(...synthesizedFrames(440 * 2 ** ((midi - 69) / 12), bufferSize, {seed: midi, ...options}));
+    }
+    sets.push({name: `synthetic: ${condition}`, sampleRate: SAMPLE_RATE, frames});
+  }
+  for (const file of positionals) {
+    sets.push(await recordedSet(file, bufferSize, rmsThreshold));
+  }
+
+  process.stdout.write(`Buffer ${bufferSize} samples, hop ${HOP_SIZE} samples; gross error above ${GROSS_ERROR_RATIO * 100}%.\n\n`);
+  const rows = [];
+  for (const set of sets) {
+    for (const name of names) {
+      for (const octaveCheck of [false, true]) {
+        const detector = createPitchDetector(name, set.sampleRate, {bufferSize, octaveCheck});
+        const label = `${DETECTORS[name].label}${octaveCheck ? " + octave check" : ""}`;
+        rows.push({signals: set.name, detector: label, ...score(detector, set.frames)});
+      }
+    }
+  }
+  process.stdout.write(formatTable(rows));
+  return 0;
+}
+
+function score(detector, frames) {
+  const errors = [];
+  let gross = 0;
+  let missed = 0;
+  let corrected = 0;
+  let falselyCorrected = 0;
+  let elapsed = 0;
+  for (const {buffer, frequency} of frames) {
+    const start = performance.now();
+    const estimation = detector.getPitch(buffer);
+    elapsed += performance.now() - start;
+    if (!estimation) {
+      missed++;
+      continue;
+    }
+    const ratio = estimation.frequency / frequency;
+    const isGross = Math.abs(ratio - 1) > GROSS_ERROR_RATIO;
+    if (estimation.octave?.corrected) {
+      corrected++;
+      // The detector's own pick was right and the correction broke it.
+      if (isGross && Math.abs(estimation.octave.from / frequency - 1) <= GROSS_ERROR_RATIO) {
+        falselyCorrected++;
+      }
+    }
+    if (isGross) {
+      gross++;
+      continue;
+    }
+    errors.push(Math.abs(1200 * Math.log2(ratio)));
+  }
+  errors.sort((a, b) => a - b);
+  const percent = (count) => `${((count / frames.length) * 100).toFixed(1)}%`;
+  return {
+    "frames": frames.length,
+    "gross": percent(gross),
+    "missed": percent(missed),
+    "mean cents": errors.length ? (errors.reduce((sum, error) => sum + error, 0) / errors.length).toFixed(2) : "–",
+    "p95 cents": errors.length ? errors[Math.min(errors.length - 1, Math.floor(errors.length * 0.95))].toFixed(2) : "–",
+    "octave": percent(corrected),
+    "false fix": percent(falselyCorrected),
+    "ms/frame": (elapsed / frames.length).toFixed(3),
+  };
+}
+
+/**
+ * Analysis windows over a harmonic tone with deterministic noise, each with the true frequency at its centre.
+ */
+function synthesizedFrames(frequency, bufferSize, {
+  seed = 1,
+  noise = 0.02,
+  fundamental = 1,
+  boost = {}, // harmonic number → amplitude factor
+  vibratoCents = 0,
+  vibratoRate = 0,
+}) {
+  const length = Math.round(TONE_SECONDS * SAMPLE_RATE) + bufferSize;
+  const instantaneous = (i) => frequency * 2 ** ((vibratoCents * Math.sin((2 * Math.PI * vibratoRate * i) / SAMPLE_RATE)) / 1200);
+  const samples = new Float32Array(length);
+  let phase = 0;
+  let state = seed;
+  for (let i = 0; i < length; i++) {
+    let value = 0;
+    // Harmonics up to 10 kHz, falling off as 1/h like a sawtooth-ish bowed string.
+    for (let harmonic = 1; harmonic * frequency < 10000; harmonic++) {
+      const gain = (harmonic === 1 ? fundamental : 1) * (boost[harmonic] ?? 1);
+      value += (gain * Math.sin(harmonic * phase + harmonic)) / harmonic;
+    }
+    phase += (2 * Math.PI * instantaneous(i)) / SAMPLE_RATE;
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    samples[i] = 0.3 * value + noise * (state / 4294967296 - 0.5) * 2;
+  }
+
+  const frames = [];
+  for (let start = 0; start + bufferSize <= length; start += HOP_SIZE) {
+    frames.push({buffer: samples.slice(start, start + bufferSize), frequency: instantaneous(start + bufferSize / 2)});
+  }
+  return frames;
+}
+
+async function recordedSet(file, bufferSize, rmsThreshold) {
+  const {sampleRate, channels} = decodeWav(await readFile(file));
+  const samples = mixToMono(channels);
+  const reference = await loadReference(file);
+  const hopSize = Math.round(sampleRate * 0.02);
+  const scale = 1 / Math.max(analyseAmplitude(samples).peak, 1e-6);
+
+  const frames = [];
+  for (let start = 0; start + bufferSize <= samples.length; start += hopSize) {
+    const buffer = samples.slice(start, start + bufferSize).map((sample) => sample * scale);
+    const frequency = reference((start + bufferSize / 2) / sampleRate);
+    if (frequency && analyseAmplitude(buffer).rms >= rmsThreshold) {
+      frames.push({buffer, frequency});
+    }
+  }
+  if (!frames.length) {
+    throw new Error(`${file}: no voiced frames with a reference pitch.`);
+  }
+  return {name: basename(file), sampleRate, frames};
+}
+
+/**
+ * Reference frequency at a time in seconds, from the .f0.csv next to the recording or the note in its name.
+ */
+async function loadReference(file) {
+  const csvPath = `${file.slice(0, -extname(file).length)}.f0.csv`;
+  let text = null;
+  try {
+    text = await readFile(csvPath, "utf8");
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw error;
+    }
+  }
+
+  if (text !== null) {
+    const [header, ...lines] = text.trim().split(/\r?\n/);
+    const columns = header.split(",");
+    const timeColumn = columns.indexOf("time");
+    const frequencyColumn = columns.indexOf("frequency");
+    if (timeColumn === -1 || frequencyColumn === -1) {
+      throw new Error(`${csvPath}: expected "time" and "frequency" columns.`);
+    }
+    const points = lines.map((line) => {
+      const cells = line.split(",");
+      return {time: Number(cells[timeColumn]), frequency: cells[frequencyColumn] ? Number(cells[frequencyColumn]) : null};
+    });
+    if (!points.length) {
+      throw new Error(`${csvPath}: no reference rows.`);
+    }
+    // The reference row nearest in time; rows are in time order.
+    return (time) => {
+      let low = 0;
+      let high = points.length - 1;
+      while (low < high) {
+        const middle = (low + high) >> 1;
+        if (points[middle].time < time) {
+          low = middle + 1;
+        } else {
+          high = middle;
+        }
+      }
+      const nearest = low > 0 && time - points[low - 1].time < points[low].time - time ? points[low - 1] : points[low];
+      return nearest.frequency;
+    };
+  }
+
+  const name = basename(file, extname(file));
+  const midi = name.split(/[^A-Ga-g#0-9]+/).map((part) => noteNameToMidi(part)).find((value) => value !== null);
+  if (midi === undefined) {
+    throw new Error(`${file}: no ${basename(csvPath)} and no note name (such as A4) in the file name.`);
+  }
+  const frequency = 440 * 2 ** ((midi - 69) / 12);
+  return () => frequency;
+}
+
+main().then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (error) => {
+    process.stderr.write(`${error.message}\n`);
+    process.exitCode = 1;
+  },
+);
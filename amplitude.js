@@ -0,0 +1,19 @@
+/**
+ * Measure the RMS and peak magnitude of a frame of samples.
+ */
+export function analyseAmplitude(buffer) {
+  let sum = 0;
+  let peak = 0;
+  for (let i = 0; i < buffer.length; i++) {
+    const sample = buffer[i];
+    sum += sample * sample;
+    const magnitude = Math.abs(sample);
+    if (magnitude > peak) {
+      peak = magnitude;
+    }
+  }
+  return {
+    rms: Math.sqrt(sum / buffer.length),
+    peak,
+  };
+}
@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+// Command-line pitch analyser: runs the web app's detection pipeline over WAV files and writes CSV or JSON.
+import {readFile, readdir, stat, mkdir, writeFile} from 'node:fs/promises';
+import {basename, extname, join} from 'node:path';
+import {parseArgs} from 'node:util';
+import {decodeWav} from './wav.js';
+import {analyseFrames, mixToMono} from './offline.js';
+import {pitchClassFromName} from './note.js';
+import {TEMPERAMENTS, Tuning, parseCentsTable} from './tuning.js';
+import {DETECTORS} from './detectors.js';
+
+const USAGE = `Usage: node analyse.js [options] <file.wav | folder> ...
+
+Runs the same detection pipeline as the web app over each WAV file and writes one row per hop:
+an RMS gate, then either pitch candidates decoded by the pitch HMM (--mode pyin) or single
+estimates with probability threshold, frequency clamping and jump rejection (--mode yin).
+The candidates and estimates come from YIN unless another --detector is chosen.
+
+Options:
+  --mode <pyin|yin>              Detection pipeline (default: pyin, as in the web app)
+  --detector <name>              ${Object.keys(DETECTORS).join(", ")} (default: yin)
+  --no-octave-check              Keep the detector's pick instead of checking octave relatives against the spectrum
+  --format <csv|json>            Output format (default: csv)
+  --out <folder>                 Write one output file per input instead of printing
+  --voiced-only                  Omit frames without an accepted pitch
+  --buffer-size <samples>        Analysis window (default: 2048)
+  --hop-size <samples>           Step between windows (default: 20 ms worth of samples)
+  --yin-threshold <value>        YIN dip threshold (default: 0.1)
+  --probability-threshold <p>    Minimum YIN probability (default: 0.15)
+  --rms-threshold <value>        Amplitude gate after normalisation (default: 0.01)
+  --no-normalize                 Do not peak-normalise the recording before gating
+  --min-freq <hz>                Lowest accepted frequency (default: 110)
+  --max-freq <hz>                Highest accepted frequency (default: 1660)
+  --max-jump <hz>                Largest accepted jump between frames (default: 160)
+  --max-gap <ms>                 Gap after which jumps are no longer checked (default: 200)
+  --a4 <hz>                      Reference pitch (default: 440)
+  --temperament <name>           ${Object.keys(TEMPERAMENTS).join(", ")} (default: equal)
+  --tonic <note>                 Tonic for unequal temperaments, e.g. G or F# (default: C)
+  --cents <list>                 Twelve comma-separated cents for --temperament custom
+  -h, --help                     Show this help
+`;
+
+const OPTIONS = {
+  "mode": {type: "string", default: "pyin"},
+  "detector": {type: "string", default: "yin"},
+  "no-octave-check": {type: "boolean", default: false},
+  "format": {type: "string", default: "csv"},
+  "out": {type: "string"},
+  "voiced-only": {type: "boolean", default: false},
+  "buffer-size": {type: "string"},
+  "hop-size": {type: "string"},
+  "yin-threshold": {type: "string"},
+  "probability-threshold": {type: "string"},
+  "rms-threshold": {type: "string"},
+  "no-normalize": {type: "boolean", default: false},
+  "min-freq": {type: "string"},
+  "max-freq": {type: "string"},
+  "max-jump": {type: "string"},
+  "max-gap": {type: "string"},
+  "a4": {type: "string"},
+  "temperament": {type: "string", default: "equal"},
+  "tonic": {type: "string", default: "C"},
+  "cents": {type: "string"},
+  "help": {type: "boolean", short: "h", default: false},
+};
+
+const CSV_COLUMNS = ["time", "frequency", "note", "cents", "probability", "rms"];
+
+async function main() {
+  const {values, positionals} = parseArgs({options: OPTIONS, allowPositionals: true});
+  if (values.help || positionals.length === 0) {
+    process.stdout.write(USAGE);
+    return values.help ? 0 : 1;
+  }
+  if (values.format !== "csv" && values.format !== "json") {
+    throw new Error(`Unknown format: ${values.format}`);
+  }
+  if (values.mode !== "pyin" && values.mode !== "yin") {
+    throw new Error(`Unknown mode: ${values.mode}`);
+  }
+  if (!DETECTORS[values.detector]) {
+    throw new Error(`Unknown detector: ${values.detector}`);
+  }
+
+  const options = analysisOptions(values);
+  const files = await collectWavFiles(positionals);
+  if (files.length === 0) {
+    throw new Error("No WAV files found.");
+  }
+  if (values.out) {
+    await mkdir(values.out, {recursive: true});
+  }
+
+  const results = [];
+  let failures = 0;
+  for (const file of files) {
+    try {
+      const rows = await analyseFile(file, options, values["voiced-only"]);
+      if (values.out) {
+        const target = join(values.out, `${basename(file, extname(file))}.${values.format}`);
+        await writeFile(target, values.format === "csv" ? toCsv(rows) : JSON.stringify({file, frames: rows}, null, 2));
+        process.stderr.write(`${file} → ${target} (${rows.length} frames)\n`);
+      } else {
+        results.push({file, frames: rows});
+      }
+    } catch (error) {
+      failures++;
+      process.stderr.write(`${file}: ${error.message}\n`);
+    }
+  }
+
+  if (!values.out) {
+    if (values.format === "json") {
+      process.stdout.write(JSON.stringify(files.length === 1 ? results[0] ?? null : results, null, 2) + "\n");
+    } else {
+      const withFile = results.length > 1;
+      const rows = results.flatMap(({file, frames}) => frames.map((row) => (withFile ? {file, ...row} : row)));
+      process.stdout.write(toCsv(rows, withFile ? ["file", ...CSV_COLUMNS] : CSV_COLUMNS));
+    }
+  }
+
+  return failures > 0 ? 1 : 0;
+}
+
+function analysisOptions(values) {
+  const number = (name) => {
+    if (values[name] === undefined) {
+      return undefined;
+    }
+    const value = Number(values[name]);
+    if (!Number.isFinite(value)) {
+      throw new Error(`--${name} expects a number, got "${values[name]}".`);
+    }
+    return value;
+  };
+  const defined = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+
+  const tonic = pitchClassFromName(values.tonic);
+  if (tonic === -1) {
+    throw new Error(`Unknown tonic: ${values.tonic}`);
+  }
+
+  return defined({
+    bufferSize: number("buffer-size"),
+    hopSize: number("hop-size"),
+    yinThreshold: number("yin-threshold"),
+    probabilityThreshold: number("probability-threshold"),
+    rmsThreshold: number("rms-threshold"),
+    normalize: !values["no-normalize"],
+    detectionMode: values.mode,
+    detector: values.detector,
+    octaveCheck: !values["no-octave-check"],
+    filterOptions: defined({
+      minFrequency: number("min-freq"),
+      maxFrequency: number("max-freq"),
+      maxJumpHz: number("max-jump"),
+      maxGapMs: number("max-gap"),
+    }),
+    tuning: new Tuning({
+      referenceFrequency: number("a4") ?? 440,
+      temperament: values.temperament,
+      tonic,
+      customCents: values.cents ? parseCentsTable(values.cents) : null,
+    }),
+  });
+}
+
+async function collectWavFiles(paths) {
+  const files = [];
+  for (const path of paths) {
+    const info = await stat(path);
+    if (info.isDirectory()) {
+      const entries = await readdir(path, {withFileTypes: true});
+      const children = entries
+        .filter((entry) => entry.isDirectory() || /\.wav$/i.test(entry.name))
+        .map((entry) => join(path, entry.name))
+        .sort();
+      files.push(...await collectWavFiles(children));
+    } else {
+      files.push(path);
+    }
+  }
+  return files;
+}
+
+async function analyseFile(file, options, voicedOnly) {
+  const {sampleRate, channels} = decodeWav(await readFile(file));
+  const rows = [];
+  for (const frame of analyseFrames(mixToMono(channels), sampleRate, options)) {
+    if (voicedOnly && !frame.noteData) {
+      continue;
+    }
+    rows.push({
+      time: round(frame.time / 1000, 4),
+      frequency: frame.noteData ? round(frame.frequency, 3) : null,
+      note: frame.noteData?.noteName ?? null,
+      cents: frame.noteData ? round(frame.noteData.cents, 2) : null,
+      probability: round(frame.probability, 4),
+      rms: round(frame.rms, 5),
+    });
+  }
+  return rows;
+}
+
+function toCsv(rows, columns = CSV_COLUMNS) {
+  const lines = [columns.join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => csvValue(row[column])).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function round(value, digits) {
+  return Number(value.toFixed(digits));
+}
+
+main().then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (error) => {
+    process.stderr.write(`${error.message}\n`);
+    process.exitCode = 1;
+  },
+);
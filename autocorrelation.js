@@ -0,0 +1,103 @@
+import {Autocorrelation} from './fft.js';
+
+const MAX_CANDIDATES = 8; // the highest peaks; a long buffer holds dozens of period multiples
+
+// Plain autocorrelation pitch detection: the strongest correlation peak after the first zero crossing.
+export class AutocorrelationPitchDetector {
+  constructor(sampleRate, {
+    probabilityThreshold = 0.1,
+    bufferSize = 2048,
+  } = {}) {
+    this.sampleRate = sampleRate;
+    this.probabilityThreshold = probabilityThreshold;
+    this.bufferSize = bufferSize;
+    this.halfBuffer = Math.floor(bufferSize / 2);
+    this.autocorrelation = new Autocorrelation(bufferSize);
+    this.correlation = new Float64Array(this.halfBuffer);
+  }
+
+  /**
+   * Estimate the fundamental frequency present in the given audio buffer.
+   * Returns null when the best peak correlates too weakly; the probability is its correlation coefficient.
+   * `candidates` ranks the highest peaks.
+   */
+  getPitch(buffer) {
+    const peaks = this._peaks(buffer);
+    if (!peaks.length || peaks[0].probability < this.probabilityThreshold) {
+      return null;
+    }
+    return {
+      frequency: this.sampleRate / peaks[0].tau,
+      probability: peaks[0].probability,
+      candidates: peaks
+        .slice(0, MAX_CANDIDATES)
+        .map(({tau, probability}) => ({frequency: this.sampleRate / tau, probability})),
+    };
+  }
+
+  /**
+   * Most probable candidate with the full candidate list attached for HMM tracking, or null without candidates.
+   */
+  getProbabilisticPitch(buffer) {
+    const candidates = this.getCandidates(buffer);
+    if (!candidates.length) {
+      return null;
+    }
+    return {
+      ...candidates[0],
+      candidates,
+    };
+  }
+
+  /**
+   * The highest correlation peaks; each gets a share of the best peak's probability in proportion to its height.
+   */
+  getCandidates(buffer) {
+    const peaks = this._peaks(buffer);
+    if (!peaks.length) {
+      return [];
+    }
+    const strongest = peaks.slice(0, MAX_CANDIDATES);
+    const total = strongest.reduce((sum, peak) => sum + peak.value, 0);
+    return strongest.map((peak) => ({
+      frequency: this.sampleRate / peak.tau,
+      probability: (peaks[0].probability * peak.value) / total,
+    }));
+  }
+
+  /**
+   * Positive local maxima of the autocorrelation after its first zero crossing, highest first.
+   */
+  _peaks(buffer) {
+    const r = this.autocorrelation.compute(buffer, this.correlation);
+    if (r[0] <= 0) {
+      return [];
+    }
+    let tau = 1;
+    while (tau < this.halfBuffer && r[tau] > 0) {
+      tau++;
+    }
+    const peaks = [];
+    for (tau++; tau + 1 < this.halfBuffer; tau++) {
+      if (r[tau] > 0 && r[tau] > r[tau - 1] && r[tau] >= r[tau + 1]) {
+        // The plain (biased) sum shrinks with the lag, which keeps multiples of the period below the period itself;
+        // the probability undoes that bias.
+        const betterTau = this._parabolicInterpolation(tau);
+        peaks.push({
+          tau: betterTau,
+          value: r[tau],
+          probability: Math.min(1, (r[tau] / r[0]) * (this.bufferSize / (this.bufferSize - tau))),
+        });
+      }
+    }
+    return peaks.sort((a, b) => b.value - a.value);
+  }
+
+  _parabolicInterpolation(tau) {
+    const s0 = this.correlation[tau - 1];
+    const s1 = this.correlation[tau];
+    const s2 = this.correlation[tau + 1];
+    const betterTau = tau + (s2 - s0) / (2 * (2 * s1 - s2 - s0));
+    return isFinite(betterTau) ? betterTau : tau;
+  }
+}
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+// Compares the direct and FFT-based YIN difference functions on identical input: speed and agreement.
+import {YinPitchDetector} from './yin.js';
+import {formatTable} from './table.js';
+
+const SAMPLE_RATE = 48000;
+const HOP_SIZE = 512;
+const BUFFER_SIZES = [1024, 2048, 4096, 8192];
+const TEST_FREQUENCIES = [196, 440, 1318.5]; // open G, A4, E6
+const MIN_RUN_MS = 300;
+
+function violinTone(frequency, length, seed = 1) {
+  // Harmonic-rich tone with a little deterministic noise, roughly like a bowed string.
+  const samples = new Float32Array(length);
+  let state = seed;
+  for (let i = 0; i < length; i++) {
+    let value = 0;
+    for (let harmonic = 1; harmonic <= 8; harmonic++) {
+      value += Math.sin((2 * Math.PI * frequency * harmonic * i) / SAMPLE_RATE + harmonic) / harmonic;
+    }
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    samples[i] = 0.3 * value + 0.02 * (state / 4294967296 - 0.5);
+  }
+  return samples;
+}
+
+function timePerFrame(detector, buffer) {
+  let runs = 0;
+  const start = performance.now();
+  let elapsed = 0;
+  while (elapsed < MIN_RUN_MS) {
+    detector.getPitch(buffer);
+    runs++;
+    elapsed = performance.now() - start;
+  }
+  return elapsed / runs;
+}
+
+function centsBetween(a, b) {
+  return a && b ? 1200 * Math.log2(a.frequency / b.frequency) : NaN;
+}
+
+const hopBudgetMs = (HOP_SIZE / SAMPLE_RATE) * 1000;
+process.stdout.write(`Sample rate ${SAMPLE_RATE} Hz, real-time budget ${hopBudgetMs.toFixed(2)} ms per ${HOP_SIZE}-sample hop.\n\n`);
+
+const rows = [];
+for (const bufferSize of BUFFER_SIZES) {
+  const direct = new YinPitchDetector(SAMPLE_RATE, {bufferSize, differenceMethod: "direct"});
+  const fft = new YinPitchDetector(SAMPLE_RATE, {bufferSize, differenceMethod: "fft"});
+
+  let directMs = 0;
+  let fftMs = 0;
+  let maxDifferenceError = 0;
+  let maxCentsError = 0;
+
+  for (const frequency of TEST_FREQUENCIES) {
+    const buffer = violinTone(frequency, bufferSize);
+    directMs += timePerFrame(direct, buffer) / TEST_FREQUENCIES.length;
+    fftMs += timePerFrame(fft, buffer) / TEST_FREQUENCIES.length;
+
+    const directPitch = direct.getPitch(buffer);
+    const directDifference = direct.difference.slice();
+    const fftPitch = fft.getPitch(buffer);
+    for (let tau = 1; tau < direct.halfBuffer; tau++) {
+      const scale = Math.max(1e-9, directDifference[tau]);
+      maxDifferenceError = Math.max(maxDifferenceError, Math.abs(directDifference[tau] - fft.difference[tau]) / scale);
+    }
+    maxCentsError = Math.max(maxCentsError, Math.abs(centsBetween(directPitch, fftPitch)) || 0);
+  }
+
+  rows.push({
+    "buffer": bufferSize,
+    "direct ms": directMs.toFixed(3),
+    "fft ms": fftMs.toFixed(3),
+    "speed-up": `${(directMs / fftMs).toFixed(1)}×`,
+    "direct real-time": directMs < hopBudgetMs ? "yes" : "no",
+    "fft real-time": fftMs < hopBudgetMs ? "yes" : "no",
+    "max rel. error": maxDifferenceError.toExponential(1),
+    "max cents diff": maxCentsError.toFixed(4),
+  });
+}
+
+process.stdout.write(formatTable(rows));
@@ -0,0 +1,143 @@
+const LIVE_PATH = "live";
+const RECONNECT_DELAY_MS = 2000;
+const MAX_BUFFERED_BYTES = 64 * 1024; // on a stalled connection, drop samples rather than queue them up
+
+/**
+ * WebSocket address of the broadcast relay: the page's `relay` query parameter, or else the /live endpoint of the
+ * server the page came from (relay.js serves the app and the relay together).
+ */
+export function relayUrl(location) {
+  const explicit = new URLSearchParams(location.search).get("relay");
+  if (explicit) {
+    return explicit;
+  }
+  const url = new URL(LIVE_PATH, location.href);
+  url.protocol = location.protocol === "https:" ? "wss:" : "ws:";
+  url.search = "";
+  url.hash = "";
+  return url.href;
+}
+
+/**
+ * Link to the read-only viewer for a room, keeping an explicit `relay` parameter of the publishing page.
+ */
+export function viewerUrl(location, room) {
+  const url = new URL("viewer.html", location.href);
+  const relay = new URLSearchParams(location.search).get("relay");
+  url.search = new URLSearchParams({room, ...(relay ? {relay} : {})}).toString();
+  url.hash = "";
+  return url.href;
+}
+
+/**
+ * Address for joining a room on the relay as "publisher" or "viewer".
+ */
+export function roomUrl(relay, room, role) {
+  const url = new URL(relay);
+  url.searchParams.set("room", room);
+  url.searchParams.set("role", role);
+  return url.href;
+}
+
+// Streams the pitch trace to a relay (relay.js), where teachers follow it live on viewer.html. Sample times are sent
+// in milliseconds since the broadcast started; a "start" message tells viewers that a new stream begins.
+export class PitchBroadcaster {
+  constructor({
+    url,
+    room = Math.random().toString(36).slice(2, 10),
+    onStatusChange = null, // called with ("connecting" | "live" | "reconnecting" | "off", number of viewers)
+  }) {
+    this.url = url;
+    this.room = room;
+    this.onStatusChange = onStatusChange;
+    this.status = "off";
+    this.viewers = 0;
+    this.socket = null;
+    this.startTime = null;
+    this._reconnectTimer = null;
+  }
+
+  get isActive() {
+    return this.status !== "off";
+  }
+
+  start() {
+    if (this.isActive) {
+      return;
+    }
+    this.startTime = performance.now();
+    this._connect();
+  }
+
+  stop() {
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.onclose = null;
+      socket.close();
+    }
+    this.viewers = 0;
+    this._setStatus("off");
+  }
+
+  /**
+   * Send one pitch sample. `noteData` comes from frequencyToNoteData; samples are dropped while disconnected.
+   */
+  publish(time, noteData, probability = null) {
+    if (this.socket?.readyState !== WebSocket.OPEN || this.socket.bufferedAmount > MAX_BUFFERED_BYTES) {
+      return false;
+    }
+    this.socket.send(JSON.stringify({
+      type: "pitch",
+      time: Math.round(time - this.startTime),
+      frequency: round(noteData.frequency, 2),
+      cents: round(noteData.cents, 1),
+      note: noteData.noteName,
+      midi: noteData.nearestMidi,
+      probability: Number.isFinite(probability) ? round(probability, 3) : null,
+    }));
+    return true;
+  }
+
+  _connect() {
+    this._setStatus(this.status === "off" ? "connecting" : "reconnecting");
+    const socket = new WebSocket(roomUrl(this.url, this.room, "publisher"));
+    this.socket = socket;
+    socket.onopen = () => {
+      socket.send(JSON.stringify({type: "start"}));
+      this._setStatus("live");
+    };
+    socket.onmessage = ({data}) => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch {
+        return;
+      }
+      if (message.type === "presence") {
+        this.viewers = message.viewers;
+        this._setStatus(this.status);
+      }
+    };
+    // A dropped connection is retried until the broadcast is stopped.
+    socket.onclose = () => {
+      this.socket = null;
+      this.viewers = 0;
+      this._setStatus("reconnecting");
+      this._reconnectTimer = setTimeout(() => this._connect(), RECONNECT_DELAY_MS);
+    };
+  }
+
+  _setStatus(status) {
+    this.status = status;
+    if (this.onStatusChange) {
+      this.onStatusChange(status, this.viewers);
+    }
+  }
+}
+
+function round(value, digits) {
+  return Number(value.toFixed(digits));
+}
@@ -0,0 +1,43 @@
+// Runs on the audio rendering thread: slices the input into fixed-size hops stamped with their audio-clock frame.
+class PitchCaptureProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const {hopSize = 512} = options.processorOptions || {};
+    this.hopSize = hopSize;
+    this.hop = new Float32Array(hopSize);
+    this.filled = 0;
+    this.target = this.port;
+    this.active = true;
+
+    this.port.onmessage = (event) => {
+      const message = event.data || {};
+      if (message.type === "connect") {
+        // Send hops straight to the detector worker instead of the main thread.
+        this.target = message.port;
+      } else if (message.type === "stop") {
+        this.active = false;
+      }
+    };
+  }
+
+  process(inputs) {
+    const channel = inputs[0] && inputs[0][0];
+    if (!channel) {
+      return this.active;
+    }
+
+    for (let i = 0; i < channel.length; i++) {
+      this.hop[this.filled++] = channel[i];
+      if (this.filled === this.hopSize) {
+        // `endFrame` is the audio-clock frame just after the last sample of the hop.
+        this.target.postMessage({samples: this.hop, endFrame: currentFrame + i + 1}, [this.hop.buffer]);
+        this.hop = new Float32Array(this.hopSize);
+        this.filled = 0;
+      }
+    }
+
+    return this.active;
+  }
+}
+
+registerProcessor("pitch-capture", PitchCaptureProcessor);
@@ -0,0 +1,136 @@
+import {PitchVisualizer} from './visualizer.js';
+
+const MIN_WINDOW = 500; // milliseconds
+const ZOOM_STEP = 1.2;
+const MARKER_STEPS = [100, 250, 500, 1000, 2000, 5000, 10000, 30000, 60000, 120000, 300000];
+const MIN_MARKER_SPACING = 70; // pixels
+
+// Shows a complete pitch contour (e.g. from an analysed recording) that can be zoomed and scrolled.
+export class ContourView extends PitchVisualizer {
+  constructor(canvas, {
+    timeWindow = 10000,
+  } = {}) {
+    super(canvas, {timeWindow});
+    this.initialWindow = timeWindow;
+    this.duration = 0;
+    this.viewEnd = timeWindow;
+    this.followSmoothing = 1; // the view is only redrawn on demand, so follow without easing
+  }
+
+  /**
+   * Replace the displayed contour. Point times are milliseconds from the start of the recording.
+   */
+  setContour(points, duration) {
+    this.points = points.slice();
+    this.duration = Math.max(duration, MIN_WINDOW);
+    this.timeWindow = Math.min(this.initialWindow, this.duration);
+    this.viewEnd = this.timeWindow;
+    this.autoFollow = true;
+    this.draw();
+  }
+
+  /**
+   * Zoom the time axis by the given factor (> 1 zooms out), keeping `anchorTime` at the same position.
+   */
+  zoom(factor, anchorTime = this.viewEnd - this.timeWindow / 2) {
+    const nextWindow = Math.min(Math.max(this.timeWindow * factor, MIN_WINDOW), this.duration || this.timeWindow);
+    const anchorRatio = (this.viewEnd - anchorTime) / this.timeWindow;
+    this.timeWindow = nextWindow;
+    this._scrollTo(anchorTime + anchorRatio * nextWindow);
+  }
+
+  scrollBy(ms) {
+    this._scrollTo(this.viewEnd + ms);
+  }
+
+  showAll() {
+    this.timeWindow = Math.max(this.duration, MIN_WINDOW);
+    this._scrollTo(this.timeWindow);
+  }
+
+  _scrollTo(viewEnd) {
+    const maxEnd = Math.max(this.duration, this.timeWindow);
+    this.viewEnd = Math.min(Math.max(viewEnd, this.timeWindow), maxEnd);
+    this.draw();
+  }
+
+  _timeAtClientX(clientX) {
+    const rect = this.canvas.getBoundingClientRect();
+    const x = clientX - rect.left - this.axisMarginLeft;
+    return this.viewEnd - this.timeWindow + (x / this.plotWidth) * this.timeWindow;
+  }
+
+  _handleWheel(event) {
+    if (event.altKey) {
+      // Alt-wheel zooms (and alt-shift-wheel pans) the pitch axis, as on the live view.
+      super._handleWheel(event);
+      return;
+    }
+    event.preventDefault();
+    // Horizontal or shift-wheel scrolls; plain vertical wheel zooms around the cursor.
+    if (event.shiftKey || Math.abs(event.deltaX) > Math.abs(event.deltaY)) {
+      const delta = event.shiftKey ? event.deltaY || event.deltaX : event.deltaX;
+      this.scrollBy((delta / this.plotWidth) * this.timeWindow);
+      return;
+    }
+    this.zoom(event.deltaY > 0 ? ZOOM_STEP : 1 / ZOOM_STEP, this._timeAtClientX(event.clientX));
+  }
+
+  _handlePointerDown(event) {
+    super._handlePointerDown(event);
+    this._dragStart.viewEnd = this.viewEnd;
+  }
+
+  _handlePointerMove(event) {
+    if (!this._dragStart) {
+      return;
+    }
+    // Dragging pans time horizontally and, on the chromatic axis, pitch vertically.
+    super._handlePointerMove(event);
+    const dx = event.clientX - this._dragStart.x;
+    this._scrollTo(this._dragStart.viewEnd - (dx / this.plotWidth) * this.timeWindow);
+  }
+
+  _now() {
+    return this.viewEnd ?? this.timeWindow;
+  }
+
+  _trim() {
+    // The whole contour stays available for scrolling.
+  }
+
+  _drawTimeMarkers() {
+    // Vertical markers at whole time steps since the start of the recording, labelled along the bottom.
+    const ctx = this.ctx;
+    const pixelsPerMs = this.plotWidth / this.timeWindow;
+    const step = MARKER_STEPS.find((ms) => ms * pixelsPerMs >= MIN_MARKER_SPACING) ?? MARKER_STEPS[MARKER_STEPS.length - 1];
+    const viewStart = this._now() - this.timeWindow;
+
+    ctx.save();
+    ctx.setLineDash([2, 6]);
+    ctx.font = "11px -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    for (let ms = Math.ceil(viewStart / step) * step; ms <= this._now(); ms += step) {
+      const x = (ms - viewStart) * pixelsPerMs;
+      ctx.strokeStyle = "rgba(255, 255, 255, 0.08)";
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, this.plotHeight);
+      ctx.stroke();
+
+      ctx.fillStyle = "rgba(244, 246, 248, 0.55)";
+      ctx.fillText(formatTime(ms, step), x, this.plotHeight + 3);
+    }
+    ctx.restore();
+  }
+}
+
+function formatTime(ms, step) {
+  const seconds = ms / 1000;
+  const minutes = Math.floor(seconds / 60);
+  const rest = seconds - minutes * 60;
+  const digits = step < 1000 ? 1 : 0;
+  const secondsText = rest.toFixed(digits).padStart(digits ? 4 : 2, "0");
+  return minutes > 0 ? `${minutes}:${secondsText}` : `${rest.toFixed(digits)}s`;
+}
@@ -0,0 +1,23 @@
+import {StreamingPitchDetector} from './streaming.js';
+
+// Runs pitch detection off the main thread on hops sent directly from the capture worklet.
+let detector = null;
+
+self.onmessage = (event) => {
+  const message = event.data || {};
+  if (message.type === "configure") {
+    detector?.configure(message.options);
+    return;
+  }
+  if (message.type !== "init") {
+    return;
+  }
+
+  detector = new StreamingPitchDetector(message.sampleRate, message.options);
+  message.port.onmessage = ({data}) => {
+    const estimation = detector.push(data.samples, data.endFrame);
+    if (estimation) {
+      self.postMessage(estimation);
+    }
+  };
+};
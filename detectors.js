@@ -0,0 +1,90 @@
+import {YinPitchDetector} from './yin.js';
+import {McLeodPitchDetector} from './mpm.js';
+import {AutocorrelationPitchDetector} from './autocorrelation.js';
+import {HarmonicChecker} from './harmonics.js';
+
+// Pitch detection strategies by name. Names rather than instances cross into the detector worker, and a detector is
+// any object providing
+//   getPitch(buffer): {frequency, probability, candidates} or null when there is no confident pitch, the candidates
+//     ranked best first so octave relatives of the pick can be weighed, and
+//   getProbabilisticPitch(buffer): {frequency, probability, candidates} or null, the candidates sorted by
+//     probability and summing to at most 1 (the voicing probability), for HMM tracking.
+export const DETECTORS = {
+  yin: {
+    label: "YIN",
+    create: (sampleRate, {yinThreshold, probabilityThreshold, bufferSize}) =>
+      new YinPitchDetector(sampleRate, {threshold: yinThreshold, probabilityThreshold, bufferSize}),
+  },
+  mpm: {
+    label: "McLeod (MPM)",
+    create: (sampleRate, {probabilityThreshold, bufferSize}) =>
+      new McLeodPitchDetector(sampleRate, {probabilityThreshold, bufferSize}),
+  },
+  autocorrelation: {
+    label: "Autocorrelation",
+    create: (sampleRate, {probabilityThreshold, bufferSize}) =>
+      new AutocorrelationPitchDetector(sampleRate, {probabilityThreshold, bufferSize}),
+  },
+};
+
+/**
+ * Build a detector from a name in DETECTORS, or from a factory `(sampleRate, options) => detector` for a custom one.
+ * With `octaveCheck` its estimates pass a harmonic check against the spectrum (see OctaveCheckedDetector).
+ */
+export function createPitchDetector(detector, sampleRate, {
+  yinThreshold = 0.1,
+  probabilityThreshold = 0.15,
+  bufferSize = 2048,
+  octaveCheck = true,
+} = {}) {
+  const options = {yinThreshold, probabilityThreshold, bufferSize};
+  let instance;
+  if (typeof detector === "function") {
+    instance = detector(sampleRate, options);
+  } else {
+    const entry = DETECTORS[detector];
+    if (!entry) {
+      throw new Error(`Unknown pitch detector: ${detector}`);
+    }
+    instance = entry.create(sampleRate, options);
+  }
+  return octaveCheck ? new OctaveCheckedDetector(instance, new HarmonicChecker(sampleRate, {bufferSize})) : instance;
+}
+
+// Corrects octave and twelfth errors of a detector's estimates. Each estimate carries `octave`: null when no octave
+// relative of the pick was among the candidates, otherwise {from, corrected, confident} recording the original
+// frequency, whether it was replaced and whether the harmonic evidence was clear-cut.
+export class OctaveCheckedDetector {
+  constructor(detector, checker) {
+    this.detector = detector;
+    this.checker = checker;
+  }
+
+  getPitch(buffer) {
+    const estimation = this.detector.getPitch(buffer);
+    return estimation && this.checker.check(buffer, estimation);
+  }
+
+  getProbabilisticPitch(buffer) {
+    const estimation = this.detector.getProbabilisticPitch(buffer);
+    if (!estimation) {
+      return null;
+    }
+    const checked = this.checker.check(buffer, estimation);
+    if (!checked.octave?.corrected) {
+      return checked;
+    }
+    // Swap the probabilities of the original pick and the corrected pitch, so the HMM favours the correction.
+    const [top] = estimation.candidates;
+    const corrected = estimation.candidates.find((candidate) => candidate.frequency === checked.frequency);
+    const candidates = estimation.candidates
+      .map((candidate) => {
+        if (candidate === top) {
+          return {...candidate, probability: corrected.probability};
+        }
+        return candidate === corrected ? {...candidate, probability: top.probability} : candidate;
+      })
+      .sort((a, b) => b.probability - a.probability);
+    return {...candidates[0], candidates, octave: checked.octave};
+  }
+}
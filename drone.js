@@ -0,0 +1,253 @@
+import {Tuning} from './tuning.js';
+import {midiToNoteName} from './note.js';
+
+const FADE_TIME_CONSTANT = 0.08; // seconds; avoids clicks when the drone starts, stops or changes
+const FIFTH_LEVEL = 0.7; // the fifth sits a little below the root
+
+// Relative harmonic amplitudes for each drone timbre.
+export const DRONE_TIMBRES = {
+  sine: {label: "Sine", harmonics: [1]},
+  organ: {label: "Organ", harmonics: [1, 0.5, 0.3, 0.2, 0.12, 0.08]},
+  reed: {label: "Reed", harmonics: [1, 0.15, 0.6, 0.1, 0.4, 0.08, 0.25]},
+  string: {label: "Bowed string", harmonics: Array.from({length: 12}, (_, index) => 1 / (index + 1))},
+};
+
+// Sustained reference tone (optionally with a pure fifth above) played through the tracker's AudioContext.
+export class DroneGenerator {
+  constructor({
+    pitchClass = 9, // A
+    octave = 3,
+    timbre = "organ",
+    volume = 0.25,
+    fifth = false,
+  } = {}) {
+    this.audioContext = null;
+    this.tuning = null;
+    this.master = null;
+    this.voices = [];
+    this.settings = {pitchClass, octave, timbre, volume, fifth};
+  }
+
+  get isPlaying() {
+    return this.audioContext !== null;
+  }
+
+  get midi() {
+    return (this.settings.octave + 1) * 12 + this.settings.pitchClass;
+  }
+
+  get noteName() {
+    return midiToNoteName(this.midi);
+  }
+
+  /**
+   * Sounding frequencies: the root at the tuning's target pitch, then the pure fifth when enabled.
+   */
+  get frequencies() {
+    if (!this.tuning) {
+      return [];
+    }
+    const root = this.tuning.targetFrequency(this.midi);
+    return this.settings.fifth ? [root, root * 1.5] : [root];
+  }
+
+  /**
+   * Just intonation anchored on the drone, so note data measures pure intervals to the drone root.
+   */
+  get intervalTuning() {
+    const [root] = this.frequencies;
+    if (!root) {
+      return null;
+    }
+    return new Tuning({
+      referenceFrequency: root / Math.pow(2, (this.midi - 69) / 12),
+      temperament: "just",
+      tonic: this.settings.pitchClass,
+    });
+  }
+
+  start(audioContext, tuning) {
+    if (!audioContext) {
+      throw new Error("The drone needs a running audio context.");
+    }
+    this.stop();
+    this.audioContext = audioContext;
+    this.tuning = tuning;
+    this.master = audioContext.createGain();
+    this.master.gain.value = 0;
+    this.master.connect(audioContext.destination);
+    this._buildVoices();
+    this.master.gain.setTargetAtTime(this.settings.volume, audioContext.currentTime, FADE_TIME_CONSTANT);
+  }
+
+  /**
+   * Change any of pitchClass, octave, timbre, volume or fifth (and the tuning) while playing.
+   */
+  update(settings = {}, tuning = this.tuning) {
+    const previous = this.settings;
+    this.settings = {...previous, ...settings};
+    this.tuning = tuning;
+    if (!this.isPlaying) {
+      return;
+    }
+
+    const now = this.audioContext.currentTime;
+    this.master.gain.setTargetAtTime(this.settings.volume, now, FADE_TIME_CONSTANT);
+    if (this.settings.timbre !== previous.timbre || this.settings.fifth !== previous.fifth) {
+      this._buildVoices();
+      return;
+    }
+    this.frequencies.forEach((frequency, index) => {
+      this.voices[index]?.oscillator.frequency.setTargetAtTime(frequency, now, FADE_TIME_CONSTANT / 4);
+    });
+  }
+
+  stop() {
+    if (!this.isPlaying) {
+      return;
+    }
+    const context = this.audioContext;
+    const master = this.master;
+    const voices = this.voices;
+    // Fade out before tearing the nodes down; the context may already be closing with the tracker.
+    if (context.state === "running") {
+      master.gain.setTargetAtTime(0, context.currentTime, FADE_TIME_CONSTANT);
+      setTimeout(() => releaseVoices(voices, master), FADE_TIME_CONSTANT * 5000);
+    } else {
+      releaseVoices(voices, master);
+    }
+    this.audioContext = null;
+    this.master = null;
+    this.voices = [];
+  }
+
+  _buildVoices() {
+    releaseVoices(this.voices);
+    const context = this.audioContext;
+    const {harmonics} = DRONE_TIMBRES[this.settings.timbre] ?? DRONE_TIMBRES.organ;
+    const real = new Float32Array(harmonics.length + 1);
+    const imag = Float32Array.from([0, ...harmonics]);
+    const wave = context.createPeriodicWave(real, imag);
+
+    this.voices = this.frequencies.map((frequency, index) => {
+      const oscillator = context.createOscillator();
+      oscillator.setPeriodicWave(wave);
+      oscillator.frequency.value = frequency;
+      const level = context.createGain();
+      level.gain.value = index === 0 ? 1 : FIFTH_LEVEL;
+      oscillator.connect(level);
+      level.connect(this.master);
+      oscillator.start();
+      return {oscillator, level};
+    });
+  }
+}
+
+function releaseVoices(voices, master = null) {
+  for (const {oscillator, level} of voices) {
+    oscillator.stop();
+    oscillator.disconnect();
+    level.disconnect();
+  }
+  if (master) {
+    master.disconnect();
+  }
+}
+
+// Rejects the drone's own sound picked up by the microphone, so it is not mistaken for the played note.
+export class DroneLeakageGuard {
+  constructor({
+    toleranceCents = 25, // how close a detected pitch must be to a drone partial to count as leakage
+    margin = 2.5, // a frame must be this much louder than the measured leakage to be trusted on a drone pitch
+    calibrationMs = 600, // quiet period after the drone starts or changes, used to measure the leakage level
+    adaptRate = 0.05,
+  } = {}) {
+    this.toleranceCents = toleranceCents;
+    this.margin = margin;
+    this.calibrationMs = calibrationMs;
+    this.adaptRate = adaptRate;
+    this.stop();
+  }
+
+  get isCalibrating() {
+    return this.partials.length > 0 && this.floor === null;
+  }
+
+  /**
+   * Begin guarding against the given drone frequencies; the leakage level is re-measured from scratch.
+   */
+  start(frequencies, time = performance.now()) {
+    // The detector may lock onto a partial or an octave below, so all of them count as the drone.
+    this.partials = frequencies.flatMap((frequency) => [0.5, 1, 2, 3, 4].map((multiple) => frequency * multiple));
+    this.calibrationEnd = time + this.calibrationMs;
+    this.levels = [];
+    this.floor = null;
+  }
+
+  stop() {
+    this.partials = [];
+    this.levels = [];
+    this.floor = null;
+    this.calibrationEnd = 0;
+  }
+
+  /**
+   * Return the estimation with drone-coloured pitches removed when the input is no louder than the leakage.
+   */
+  filter(estimation) {
+    if (!estimation || !this.partials.length) {
+      return estimation;
+    }
+    // Levels are compared before auto-gain, which would otherwise lift quiet leakage to the target level.
+    const level = (estimation.rms ?? 0) / Math.max(estimation.gain ?? 1, 1e-6);
+
+    if (this.floor === null) {
+      const time = Number.isFinite(estimation.time) ? estimation.time : performance.now();
+      if (time < this.calibrationEnd) {
+        this.levels.push(level);
+        return silence(estimation);
+      }
+      this.floor = median(this.levels);
+    }
+
+    if (level >= this.floor * this.margin) {
+      return estimation;
+    }
+
+    const candidates = (estimation.candidates ?? []).filter(({frequency}) => !this._isDronePitch(frequency));
+    const leaked = this._isDronePitch(estimation.frequency);
+    if (leaked && level < this.floor * 1.5) {
+      // Follow slow changes in the leakage level (room, mic position) from frames that are clearly drone only.
+      this.floor += this.adaptRate * (level - this.floor);
+    }
+    if (!leaked && candidates.length === (estimation.candidates ?? []).length) {
+      return estimation;
+    }
+    const [top] = candidates;
+    return {
+      ...estimation,
+      frequency: leaked ? top?.frequency ?? null : estimation.frequency,
+      probability: leaked ? top?.probability ?? 0 : estimation.probability,
+      candidates,
+    };
+  }
+
+  _isDronePitch(frequency) {
+    if (!Number.isFinite(frequency) || frequency <= 0) {
+      return false;
+    }
+    return this.partials.some((partial) => Math.abs(1200 * Math.log2(frequency / partial)) <= this.toleranceCents);
+  }
+}
+
+function silence(estimation) {
+  return {...estimation, frequency: null, probability: 0, candidates: []};
+}
+
+function median(values) {
+  if (!values.length) {
+    return 0;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
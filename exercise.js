@@ -0,0 +1,168 @@
+import {midiToNoteName, noteNameToMidi} from './note.js';
+
+const DEFAULT_TOLERANCE_CENTS = 5;
+const MAX_SKIPPED_NOTES = 2; // how far ahead a played note may match when the student skips notes
+
+const SCALE_DEGREES = ["1", "♭2", "2", "♭3", "3", "4", "♯4", "5", "♭6", "6", "♭7", "7"];
+
+// Intervals above the tonic; `descending` overrides the way down (melodic minor).
+export const EXERCISES = {
+  major: {label: "Major scale", group: "Scales", intervals: [0, 2, 4, 5, 7, 9, 11]},
+  "natural-minor": {label: "Natural minor scale", group: "Scales", intervals: [0, 2, 3, 5, 7, 8, 10]},
+  "harmonic-minor": {label: "Harmonic minor scale", group: "Scales", intervals: [0, 2, 3, 5, 7, 8, 11]},
+  "melodic-minor": {
+    label: "Melodic minor scale",
+    group: "Scales",
+    intervals: [0, 2, 3, 5, 7, 9, 11],
+    descending: [0, 2, 3, 5, 7, 8, 10],
+  },
+  chromatic: {label: "Chromatic scale", group: "Scales", intervals: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]},
+  "major-arpeggio": {label: "Major arpeggio", group: "Arpeggios", intervals: [0, 4, 7]},
+  "minor-arpeggio": {label: "Minor arpeggio", group: "Arpeggios", intervals: [0, 3, 7]},
+  "dominant-seventh": {label: "Dominant seventh arpeggio", group: "Arpeggios", intervals: [0, 4, 7, 10]},
+  custom: {label: "Custom notes", group: "Custom", intervals: null},
+};
+
+export const DIRECTIONS = {
+  up: "Ascending",
+  down: "Descending",
+  "up-down": "Up and down",
+};
+
+/**
+ * Build the note sequence for a scale or arpeggio starting on `tonic` (pitch class) in `octave`.
+ * Each note is {midi, noteName, degree}; the top tonic is played once when going up and down.
+ */
+export function buildExercise({type = "major", tonic = 7, octave = 3, octaves = 2, direction = "up-down"} = {}) {
+  const exercise = EXERCISES[type];
+  if (!exercise || !exercise.intervals) {
+    throw new Error(`Unknown exercise: ${type}`);
+  }
+  const root = (octave + 1) * 12 + tonic;
+  const top = root + 12 * octaves;
+  const ascending = [];
+  for (let step = 0; step < octaves; step++) {
+    ascending.push(...exercise.intervals.map((interval) => root + 12 * step + interval));
+  }
+  ascending.push(top);
+
+  const descendingIntervals = exercise.descending || exercise.intervals;
+  const descending = [];
+  for (let step = 0; step < octaves; step++) {
+    descending.push(...descendingIntervals.map((interval) => root + 12 * step + interval));
+  }
+  descending.push(top);
+  descending.reverse();
+
+  let sequence;
+  if (direction === "up") {
+    sequence = ascending;
+  } else if (direction === "down") {
+    sequence = descending;
+  } else if (direction === "up-down") {
+    sequence = [...ascending, ...descending.slice(1)];
+  } else {
+    throw new Error(`Unknown direction: ${direction}`);
+  }
+
+  return sequence.map((midi) => ({
+    midi,
+    noteName: midiToNoteName(midi),
+    degree: SCALE_DEGREES[(midi - root + 1200) % 12],
+  }));
+}
+
+/**
+ * Parse a custom exercise such as "G3 A3 B3 C4". Notes are graded by pitch class, so `degree` is the note letter.
+ */
+export function parseNoteList(text) {
+  const names = String(text).split(/[\s,]+/).filter(Boolean);
+  if (!names.length) {
+    throw new Error("Enter the exercise notes with octaves, e.g. G3 A3 B3 C4.");
+  }
+  return names.map((name) => {
+    const midi = noteNameToMidi(name);
+    if (midi === null) {
+      throw new Error(`Unknown note "${name}"; use names with octaves, e.g. F#4 or Bb3.`);
+    }
+    const noteName = midiToNoteName(midi);
+    return {midi, noteName, degree: noteName.replace(/-?\d+$/, "")};
+  });
+}
+
+// Follows the student through an exercise using segmented note events and grades each expected note.
+export class ExerciseSession {
+  constructor(notes, {toleranceCents = DEFAULT_TOLERANCE_CENTS} = {}) {
+    this.notes = notes;
+    this.toleranceCents = toleranceCents;
+    this.results = notes.map((note) => ({...note, status: "pending", cents: null, score: null}));
+    this.index = 0;
+    this.wrongNotes = 0;
+  }
+
+  get expected() {
+    return this.notes[this.index] ?? null;
+  }
+
+  get isComplete() {
+    return this.index >= this.notes.length;
+  }
+
+  /**
+   * Feed a note event from NoteSegmenter. Returns "graded", "wrong", or null once the exercise is complete.
+   * A played note that matches one of the next few notes marks the skipped ones as missed.
+   */
+  handleNote(event) {
+    if (this.isComplete) {
+      return null;
+    }
+    const lastCandidate = Math.min(this.notes.length - 1, this.index + MAX_SKIPPED_NOTES);
+    for (let index = this.index; index <= lastCandidate; index++) {
+      if (this.notes[index].midi !== event.midi) {
+        continue;
+      }
+      for (let skipped = this.index; skipped < index; skipped++) {
+        this.results[skipped].status = "missed";
+      }
+      Object.assign(this.results[index], {status: "graded", cents: event.medianCents, score: event.score});
+      this.index = index + 1;
+      return "graded";
+    }
+    this.wrongNotes++;
+    return "wrong";
+  }
+
+  /**
+   * Intonation per scale degree in order of first appearance, plus overall counts.
+   */
+  summary() {
+    const degrees = new Map();
+    for (const result of this.results) {
+      if (!degrees.has(result.degree)) {
+        degrees.set(result.degree, {degree: result.degree, cents: [], missed: 0});
+      }
+      const entry = degrees.get(result.degree);
+      if (result.status === "graded") {
+        entry.cents.push(result.cents);
+      } else {
+        entry.missed++;
+      }
+    }
+
+    const graded = this.results.filter((result) => result.status === "graded");
+    return {
+      graded: graded.length,
+      missed: this.results.length - graded.length,
+      wrong: this.wrongNotes,
+      score: graded.length ? Math.round(graded.reduce((sum, result) => sum + result.score, 0) / graded.length) : 0,
+      degrees: Array.from(degrees.values(), ({degree, cents, missed}) => {
+        const meanCents = cents.length ? cents.reduce((sum, value) => sum + value, 0) / cents.length : null;
+        let tendency = "missed";
+        if (meanCents !== null) {
+          tendency = meanCents > this.toleranceCents ? "sharp" : meanCents < -this.toleranceCents ? "flat" : "in tune";
+        }
+        return {degree, count: cents.length, missed, meanCents, tendency};
+      }),
+    };
+  }
+}
@@ -0,0 +1,116 @@
+// In-place iterative radix-2 FFT with cached twiddle factors and bit-reversal table.
+export class FFT {
+  constructor(size) {
+    if (!Number.isInteger(size) || size < 2 || (size & (size - 1)) !== 0) {
+      throw new Error(`FFT size must be a power of two, got ${size}.`);
+    }
+
+    this.size = size;
+    this.cos = new Float64Array(size / 2);
+    this.sin = new Float64Array(size / 2);
+    for (let i = 0; i < size / 2; i++) {
+      this.cos[i] = Math.cos((2 * Math.PI * i) / size);
+      this.sin[i] = Math.sin((2 * Math.PI * i) / size);
+    }
+
+    this.reversed = new Uint32Array(size);
+    const bits = Math.log2(size);
+    for (let i = 0; i < size; i++) {
+      let reversed = 0;
+      for (let bit = 0; bit < bits; bit++) {
+        reversed = (reversed << 1) | ((i >> bit) & 1);
+      }
+      this.reversed[i] = reversed;
+    }
+  }
+
+  /**
+   * Forward transform of the complex signal held in `real`/`imag` (both of length `size`), in place.
+   */
+  transform(real, imag) {
+    this._transform(real, imag, -1);
+  }
+
+  /**
+   * Inverse transform, including the 1/N scaling, in place.
+   */
+  inverse(real, imag) {
+    this._transform(real, imag, 1);
+    const scale = 1 / this.size;
+    for (let i = 0; i < this.size; i++) {
+      real[i] *= scale;
+      imag[i] *= scale;
+    }
+  }
+
+  _transform(real, imag, direction) {
+    const size = this.size;
+
+    for (let i = 0; i < size; i++) {
+      const j = this.reversed[i];
+      if (j > i) {
+        let swap = real[i];
+        real[i] = real[j];
+        real[j] = swap;
+        swap = imag[i];
+        imag[i] = imag[j];
+        imag[j] = swap;
+      }
+    }
+
+    for (let half = 1; half < size; half *= 2) {
+      const step = size / (half * 2);
+      for (let start = 0; start < size; start += half * 2) {
+        for (let k = 0; k < half; k++) {
+          const twiddleRe = this.cos[k * step];
+          const twiddleIm = direction * this.sin[k * step];
+          const even = start + k;
+          const odd = even + half;
+          const oddRe = real[odd] * twiddleRe - imag[odd] * twiddleIm;
+          const oddIm = real[odd] * twiddleIm + imag[odd] * twiddleRe;
+          real[odd] = real[even] - oddRe;
+          imag[odd] = imag[even] - oddIm;
+          real[even] += oddRe;
+          imag[even] += oddIm;
+        }
+      }
+    }
+  }
+}
+
+export function nextPowerOfTwo(value) {
+  return 2 ** Math.ceil(Math.log2(Math.max(2, value)));
+}
+
+// Autocorrelation r(tau) = sum x[i]·x[i + tau] of a frame, taken through its power spectrum with enough zero padding
+// that the circular correlation never wraps around.
+export class Autocorrelation {
+  constructor(length) {
+    this.length = length;
+    this.fft = new FFT(nextPowerOfTwo(2 * length));
+    this.real = new Float64Array(this.fft.size);
+    this.imag = new Float64Array(this.fft.size);
+  }
+
+  /**
+   * Fill `output` with r(0) … r(output.length - 1) over the first `length` samples of `buffer`.
+   */
+  compute(buffer, output) {
+    const real = this.real;
+    const imag = this.imag;
+    for (let i = 0; i < this.fft.size; i++) {
+      real[i] = i < this.length ? buffer[i] : 0;
+      imag[i] = 0;
+    }
+    this.fft.transform(real, imag);
+    for (let k = 0; k < this.fft.size; k++) {
+      real[k] = real[k] * real[k] + imag[k] * imag[k];
+      imag[k] = 0;
+    }
+    this.fft.inverse(real, imag);
+    for (let tau = 0; tau < output.length; tau++) {
+      output[tau] = real[tau];
+    }
+    return output;
+  }
+}
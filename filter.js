@@ -0,0 +1,48 @@
+// Rejects implausible pitch readings: clamps to the instrument range and drops sudden jumps.
+export class PitchFilter {
+  constructor({
+    minFrequency = 110, // A2
+    maxFrequency = 1660, // G6
+    maxJumpHz = 160,
+    maxGapMs = 200,
+  } = {}) {
+    this.minFrequency = minFrequency;
+    this.maxFrequency = maxFrequency;
+    this.maxJumpHz = maxJumpHz;
+    this.maxGapMs = maxGapMs;
+    this.reset();
+  }
+
+  reset() {
+    this.lastDetectionTime = 0;
+    this.lastFrequency = null;
+  }
+
+  /**
+   * Record a frame without a usable pitch so the next detection is not compared against a stale value.
+   */
+  miss() {
+    this.lastFrequency = null;
+  }
+
+  /**
+   * Returns the clamped frequency, or null when the reading jumps too far from the previous one.
+   */
+  accept(frequency, timestamp) {
+    // Clamp to a plausible frequency range and discard improbable jumps.
+    const clamped = Math.min(Math.max(frequency, this.minFrequency), this.maxFrequency);
+
+    const timeSinceLast = timestamp - this.lastDetectionTime;
+    if (this.lastDetectionTime !== 0 && timeSinceLast < this.maxGapMs && this.lastFrequency !== null) {
+      const jump = Math.abs(clamped - this.lastFrequency);
+      if (jump > this.maxJumpHz) {
+        this.lastFrequency = null;
+        return null;
+      }
+    }
+
+    this.lastDetectionTime = timestamp;
+    this.lastFrequency = clamped;
+    return clamped;
+  }
+}
@@ -0,0 +1,152 @@
+const LEVEL_FLOOR_DB = -120;
+
+// Opens for playing and closes for room noise. The thresholds sit above a noise-floor estimate that is calibrated
+// on request and then keeps adapting: it follows quieter input quickly and louder input only slowly.
+export class NoiseGate {
+  constructor({
+    openDb = 12, // the level must rise this far above the noise floor to open the gate
+    closeDb = 6, // and fall below this to start closing it
+    holdMs = 150, // stays open this long below the close threshold, bridging soft bow changes
+    floorDb = null, // a previous calibration; null estimates the floor from the first frames
+    minFloorDb = -90, // digital silence would otherwise let the gate open on anything
+    initialEstimateMs = 500,
+    fallTimeMs = 500,
+    riseDbPerSecond = 3, // while closed
+    openRiseDbPerSecond = 0.2, // while open, so long notes are not taken for noise
+  } = {}) {
+    this.openDb = openDb;
+    this.closeDb = closeDb;
+    this.holdMs = holdMs;
+    this.minFloorDb = minFloorDb;
+    this.initialEstimateMs = initialEstimateMs;
+    this.fallTimeMs = fallTimeMs;
+    this.riseDbPerSecond = riseDbPerSecond;
+    this.openRiseDbPerSecond = openRiseDbPerSecond;
+    this.floorDb = Number.isFinite(floorDb) ? Math.max(floorDb, minFloorDb) : null;
+    this._calibration = null;
+    this.reset();
+  }
+
+  get isCalibrating() {
+    return this._calibration !== null;
+  }
+
+  get openThresholdDb() {
+    return this.floorDb === null ? null : this.floorDb + this.openDb;
+  }
+
+  get closeThresholdDb() {
+    return this.floorDb === null ? null : this.floorDb + this.closeDb;
+  }
+
+  configure({openDb = this.openDb, closeDb = this.closeDb, holdMs = this.holdMs} = {}) {
+    this.openDb = openDb;
+    this.closeDb = Math.min(closeDb, openDb);
+    this.holdMs = holdMs;
+  }
+
+  /**
+   * Forget the gate state between sessions; the noise floor is kept.
+   */
+  reset() {
+    this.isOpen = false;
+    this.lastTime = null;
+    this.closeTime = null;
+    this._initialLevels = this.floorDb === null ? [] : null;
+    this._initialEnd = null;
+    this.cancelCalibration();
+  }
+
+  /**
+   * Measure the noise floor from the next `durationMs` of input, during which the gate stays closed.
+   * Resolves with the floor in dBFS.
+   */
+  calibrate(durationMs = 3000) {
+    this.cancelCalibration();
+    return new Promise((resolve, reject) => {
+      this._calibration = {durationMs, end: null, levels: [], resolve, reject};
+    });
+  }
+
+  cancelCalibration() {
+    if (this._calibration) {
+      this._calibration.reject(new Error("Noise calibration was interrupted."));
+      this._calibration = null;
+    }
+  }
+
+  /**
+   * Feed the input level (linear RMS before auto-gain) at `time` in ms. Returns {open, levelDb, floorDb}.
+   */
+  process(level, time) {
+    const levelDb = Math.max(LEVEL_FLOOR_DB, 20 * Math.log10(Math.max(level, 1e-12)));
+    const elapsed = this.lastTime === null ? 0 : Math.max(0, time - this.lastTime);
+    this.lastTime = time;
+
+    if (this._calibration) {
+      this._collectCalibration(levelDb, time);
+      this.isOpen = false;
+      return this._result(levelDb);
+    }
+    if (this.floorDb === null) {
+      // No calibration yet: pass everything while a first estimate is taken from the quieter frames.
+      this._initialEnd ??= time + this.initialEstimateMs;
+      this._initialLevels.push(levelDb);
+      if (time >= this._initialEnd) {
+        this.floorDb = Math.max(this.minFloorDb, percentile(this._initialLevels, 0.2));
+        this._initialLevels = null;
+      }
+      this.isOpen = true;
+      return this._result(levelDb);
+    }
+
+    this._adaptFloor(levelDb, elapsed);
+    if (levelDb >= this.openThresholdDb) {
+      this.isOpen = true;
+      this.closeTime = null;
+    } else if (this.isOpen && levelDb < this.closeThresholdDb) {
+      this.closeTime ??= time + this.holdMs;
+      if (time >= this.closeTime) {
+        this.isOpen = false;
+        this.closeTime = null;
+      }
+    } else if (this.isOpen) {
+      // Back between the thresholds: the hold starts again from the next drop.
+      this.closeTime = null;
+    }
+    return this._result(levelDb);
+  }
+
+  _adaptFloor(levelDb, elapsed) {
+    if (levelDb < this.floorDb) {
+      this.floorDb += (levelDb - this.floorDb) * Math.min(1, elapsed / this.fallTimeMs);
+    } else {
+      const rate = this.isOpen ? this.openRiseDbPerSecond : this.riseDbPerSecond;
+      this.floorDb += Math.min(levelDb - this.floorDb, (rate * elapsed) / 1000);
+    }
+    this.floorDb = Math.max(this.minFloorDb, this.floorDb);
+  }
+
+  _collectCalibration(levelDb, time) {
+    const calibration = this._calibration;
+    calibration.end ??= time + calibration.durationMs;
+    calibration.levels.push(levelDb);
+    if (time < calibration.end) {
+      return;
+    }
+    this._calibration = null;
+    this.floorDb = Math.max(this.minFloorDb, percentile(calibration.levels, 0.5));
+    this.isOpen = false;
+    this.closeTime = null;
+    calibration.resolve(this.floorDb);
+  }
+
+  _result(levelDb) {
+    return {open: this.isOpen, levelDb, floorDb: this.floorDb};
+  }
+}
+
+function percentile(values, fraction) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+}
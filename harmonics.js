@@ -0,0 +1,148 @@
+import {FFT, nextPowerOfTwo} from './fft.js';
+
+const MAX_HARMONICS = 12;
+const MAX_FREQUENCY = 8000; // higher partials are weak on a violin and mostly bow noise
+const MATCH_CENTS = 35; // a detector candidate this close to an octave relative supports it
+const PEAK_TOLERANCE = 0.02; // search ±2% around each expected harmonic
+// Harmonics only the lower of two octave-related pitches has must carry this share of its harmonic amplitude (above
+// the noise) for the lower pitch to be the fundamental...
+const EXTRA_SHARE = 0.1;
+// ...while an estimate is only raised an octave when its odd harmonics are practically absent.
+const MISSING_SHARE = 0.03;
+const NOISE_FLOOR_FACTOR = 3; // times the median bin magnitude
+const CONFIDENT_FACTOR = 2; // decisions within this factor of their threshold are flagged as not confident
+const CORRECTION_MARGIN = 1.5; // a pick is only replaced when the evidence clears its threshold by this factor
+
+// Checks a detected pitch against the spectrum. The true fundamental's harmonic series explains the spectral peaks:
+// an octave or twelfth above it leaves out the harmonics in between, and an octave below it predicts odd harmonics
+// that are not there.
+export class HarmonicChecker {
+  constructor(sampleRate, {bufferSize = 2048} = {}) {
+    this.sampleRate = sampleRate;
+    this.bufferSize = bufferSize;
+    // Zero padding to twice the window halves the bin spacing, so close harmonics of low notes stay apart.
+    this.fft = new FFT(nextPowerOfTwo(2 * bufferSize));
+    this.binHz = sampleRate / this.fft.size;
+    this.real = new Float64Array(this.fft.size);
+    this.imag = new Float64Array(this.fft.size);
+    this.magnitude = new Float64Array(this.fft.size / 2);
+    this.window = Float64Array.from({length: bufferSize}, (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / bufferSize));
+    this.maxFrequency = Math.min(MAX_FREQUENCY, 0.45 * sampleRate);
+  }
+
+  /**
+   * Choose the fundamental among the estimate and those of its octave relatives (f/3, f/2, 2f) that also appear in
+   * `estimation.candidates`. Returns the estimation with `octave` set to {from, corrected, confident} when an
+   * alternative was weighed (null otherwise); a corrected estimation carries the alternative's frequency.
+   */
+  check(buffer, estimation) {
+    const frequency = estimation.frequency;
+    const below = [2, 3]
+      .map((divisor) => ({divisor, candidate: this._supported(estimation.candidates, frequency / divisor)}))
+      .filter(({candidate}) => candidate);
+    const above = this._supported(estimation.candidates, frequency * 2);
+    if (!below.length && !above) {
+      return {...estimation, octave: null};
+    }
+
+    this._spectrum(buffer);
+    const floor = this._noiseFloor();
+
+    // A lower pitch wins when the harmonics it adds hold real energy; with f/2 and f/3 both possible, at most one
+    // of them can, so the larger share decides.
+    const ratios = [];
+    let chosen = null;
+    for (const {divisor, candidate} of below) {
+      const share = this._extraShare(candidate.frequency, divisor, floor);
+      ratios.push(share / EXTRA_SHARE);
+      if (share >= EXTRA_SHARE * CORRECTION_MARGIN && (!chosen || share > chosen.share)) {
+        chosen = {candidate, share};
+      }
+    }
+    if (!chosen && above) {
+      // The estimate may itself be an octave too low: then its odd harmonics are missing. Raising it only helps when
+      // the octave above has odd harmonics of its own; a pick two or more octaves down would just land on another
+      // subharmonic.
+      const share = this._extraShare(frequency, 2, floor);
+      ratios.push(share / MISSING_SHARE);
+      if (share < MISSING_SHARE / CORRECTION_MARGIN && this._extraShare(above.frequency, 2, floor) >= EXTRA_SHARE) {
+        chosen = {candidate: above, share};
+      }
+    }
+
+    const octave = {
+      from: frequency,
+      corrected: Boolean(chosen),
+      confident: ratios.every((ratio) => ratio >= CONFIDENT_FACTOR || ratio <= 1 / CONFIDENT_FACTOR),
+    };
+    return chosen
+      ? {...estimation, frequency: chosen.candidate.frequency, probability: chosen.candidate.probability, octave}
+      : {...estimation, octave};
+  }
+
+  _supported(candidates = [], frequency) {
+    if (frequency > this.maxFrequency) {
+      return null;
+    }
+    let nearest = null;
+    let nearestCents = MATCH_CENTS;
+    for (const candidate of candidates) {
+      const cents = Math.abs(1200 * Math.log2(candidate.frequency / frequency));
+      if (cents <= nearestCents) {
+        nearest = candidate;
+        nearestCents = cents;
+      }
+    }
+    return nearest;
+  }
+
+  /**
+   * Share of the harmonic amplitude of `fundamental` found at the harmonics that are not multiples of `divisor`.
+   * Amplitudes rather than energies, so a few weak partials still count against a strong one.
+   */
+  _extraShare(fundamental, divisor, floor) {
+    let extra = 0;
+    let total = 0;
+    for (let harmonic = 1; harmonic <= MAX_HARMONICS && harmonic * fundamental <= this.maxFrequency; harmonic++) {
+      const amplitude = Math.max(0, this._peakMagnitude(harmonic * fundamental) - floor);
+      total += amplitude;
+      if (harmonic % divisor !== 0) {
+        extra += amplitude;
+      }
+    }
+    return total > 0 ? extra / total : 0;
+  }
+
+  _peakMagnitude(frequency) {
+    const centre = frequency / this.binHz;
+    const reach = Math.max(1, (frequency * PEAK_TOLERANCE) / this.binHz);
+    const first = Math.max(0, Math.floor(centre - reach));
+    const last = Math.min(this.magnitude.length - 1, Math.ceil(centre + reach));
+    let peak = 0;
+    for (let bin = first; bin <= last; bin++) {
+      peak = Math.max(peak, this.magnitude[bin]);
+    }
+    return peak;
+  }
+
+  _noiseFloor() {
+    // The median bin sits between the harmonics, so it measures the noise the peaks stand on; noise alone still
+    // reaches a few times that within a search window.
+    const lastBin = Math.min(this.magnitude.length, Math.ceil(this.maxFrequency / this.binHz));
+    const bins = Array.from(this.magnitude.subarray(1, lastBin)).sort((a, b) => a - b);
+    return NOISE_FLOOR_FACTOR * (bins[Math.floor(bins.length / 2)] ?? 0);
+  }
+
+  _spectrum(buffer) {
+    const real = this.real;
+    const imag = this.imag;
+    for (let i = 0; i < this.fft.size; i++) {
+      real[i] = i < this.bufferSize ? buffer[i] * this.window[i] : 0;
+      imag[i] = 0;
+    }
+    this.fft.transform(real, imag);
+    for (let bin = 0; bin < this.magnitude.length; bin++) {
+      this.magnitude[bin] = Math.hypot(real[bin], imag[bin]);
+    }
+  }
+}
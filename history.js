@@ -0,0 +1,209 @@
+import {NOTE_NAMES} from './note.js';
+
+export const HISTORY_FORMAT = "violin-intonation-history";
+const HISTORY_VERSION = 1;
+const DATABASE_NAME = "violin-intonation";
+const DATABASE_VERSION = 1;
+const STORE_NAME = "sessions";
+
+// Collects the notes of one live practice session and condenses them into a history record.
+export class PracticeLog {
+  constructor() {
+    this.notes = [];
+    this.startedAt = null;
+    this.startTime = null;
+    this.tuning = null;
+  }
+
+  start({tuning = null, startTime = performance.now()} = {}) {
+    this.notes = [];
+    this.startedAt = new Date().toISOString();
+    this.startTime = startTime;
+    this.tuning = tuning ? tuning.toJSON() : null;
+  }
+
+  add(note) {
+    if (this.startedAt !== null && Number.isFinite(note.medianCents)) {
+      this.notes.push(note);
+    }
+  }
+
+  /**
+   * End the session and return its record, or null when nothing was played.
+   * Statistics are kept as sums per pitch class and per note (with octave), so records can be combined later.
+   */
+  finish(endTime = performance.now()) {
+    if (this.startedAt === null || !this.notes.length) {
+      this.startedAt = null;
+      return null;
+    }
+    const pitchClasses = {};
+    const notes = {};
+    for (const note of this.notes) {
+      accumulate(pitchClasses, NOTE_NAMES[((note.midi % 12) + 12) % 12], note);
+      accumulate(notes, note.noteName, note);
+    }
+    const record = {
+      id: createId(),
+      startedAt: this.startedAt,
+      duration: round((endTime - this.startTime) / 1000, 1),
+      noteCount: this.notes.length,
+      tuning: this.tuning,
+      pitchClasses,
+      notes,
+    };
+    this.startedAt = null;
+    this.notes = [];
+    return record;
+  }
+}
+
+/**
+ * Mean and standard deviation of the cents, plus count and playing time (seconds), from a record's statistics entry.
+ */
+export function pitchStats({count, sum, sumSquares, time}) {
+  const meanCents = sum / count;
+  const variance = Math.max(0, sumSquares / count - meanCents * meanCents);
+  return {count, meanCents, stdCents: Math.sqrt(variance), time};
+}
+
+/**
+ * One point per session that played `key` (a pitch class such as "F" or a note such as "F5"), oldest first.
+ */
+export function pitchTrend(records, key) {
+  const field = statsField(key);
+  return records
+    .filter((record) => record[field]?.[key])
+    .map((record) => ({date: new Date(record.startedAt), ...pitchStats(record[field][key])}))
+    .sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Statistics for `key` over all the given records together, or null when it was never played.
+ */
+export function overallStats(records, key) {
+  const field = statsField(key);
+  const total = {count: 0, sum: 0, sumSquares: 0, time: 0};
+  for (const record of records) {
+    const entry = record[field]?.[key];
+    if (entry) {
+      total.count += entry.count;
+      total.sum += entry.sum;
+      total.sumSquares += entry.sumSquares;
+      total.time += entry.time;
+    }
+  }
+  return total.count ? pitchStats(total) : null;
+}
+
+// Practice records stored in IndexedDB, so history survives reloads and works without any server.
+export class PracticeHistory {
+  constructor({databaseName = DATABASE_NAME} = {}) {
+    this.databaseName = databaseName;
+    this._database = null;
+  }
+
+  static get isSupported() {
+    return typeof indexedDB !== "undefined";
+  }
+
+  async add(record) {
+    await this._request("readwrite", (store) => store.put(record));
+    return record.id;
+  }
+
+  /**
+   * All records, oldest first.
+   */
+  async list() {
+    const records = await this._request("readonly", (store) => store.getAll());
+    return records.sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+  }
+
+  async clear() {
+    await this._request("readwrite", (store) => store.clear());
+  }
+
+  async exportJSON() {
+    return JSON.stringify({format: HISTORY_FORMAT, version: HISTORY_VERSION, sessions: await this.list()}, null, 2);
+  }
+
+  /**
+   * Merge an exported history; records already present (same id) are kept. Returns the number added.
+   */
+  async importJSON(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error("The history file is not valid JSON.");
+    }
+    if (data?.format !== HISTORY_FORMAT || !Array.isArray(data.sessions)) {
+      throw new Error("This file is not a practice history export.");
+    }
+    const existing = new Set((await this.list()).map((record) => record.id));
+    const added = data.sessions.filter((record) => isRecord(record) && !existing.has(record.id));
+    if (added.length) {
+      await this._request("readwrite", (store) => added.forEach((record) => store.put(record)));
+    }
+    return added.length;
+  }
+
+  async _open() {
+    if (!this._database) {
+      this._database = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.databaseName, DATABASE_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME, {keyPath: "id"});
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error ?? new Error("Unable to open the practice history."));
+      });
+      this._database.catch(() => {
+        this._database = null;
+      });
+    }
+    return this._database;
+  }
+
+  /**
+   * Run `operation` in a transaction; resolves with the result of the request it returns once the transaction commits.
+   */
+  async _request(mode, operation) {
+    const database = await this._open();
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onerror = () => reject(transaction.error ?? new Error("Practice history request failed."));
+      transaction.onabort = () => reject(transaction.error ?? new Error("Practice history request was aborted."));
+    });
+  }
+}
+
+function statsField(key) {
+  // Notes carry an octave ("F5"), pitch classes do not ("F").
+  return /\d$/.test(key) ? "notes" : "pitchClasses";
+}
+
+function accumulate(table, key, note) {
+  const entry = table[key] ?? (table[key] = {count: 0, sum: 0, sumSquares: 0, time: 0});
+  entry.count++;
+  entry.sum = round(entry.sum + note.medianCents, 3);
+  entry.sumSquares = round(entry.sumSquares + note.medianCents * note.medianCents, 3);
+  entry.time = round(entry.time + note.duration / 1000, 2);
+}
+
+function isRecord(record) {
+  return record && typeof record.id === "string" && typeof record.startedAt === "string" &&
+    record.pitchClasses && typeof record.pitchClasses === "object";
+}
+
+function createId() {
+  return globalThis.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
@@ -1,6 +1,45 @@
-import {PitchTracker} from './pitch.js';
-import {PitchVisualizer} from './visualizer.js';
-import {formatCents, formatFrequency, frequencyToNoteData} from './note.js';
+import {PitchTracker, listInputDevices} from './pitch.js';
+import {AXIS_MODES, PitchVisualizer} from './visualizer.js';
+import {PitchFilter} from './filter.js';
+import {PitchHmm} from './pyin.js';
+import {NoteSegmenter} from './segmenter.js';
+import {VibratoAnalyzer} from './vibrato.js';
+import {ContourView} from './contour.js';
+import {analyseSamples, decodeAudioFile} from './offline.js';
+import {DIRECTIONS, EXERCISES, ExerciseSession, buildExercise, parseNoteList} from './exercise.js';
+import {DRONE_TIMBRES, DroneGenerator, DroneLeakageGuard} from './drone.js';
+import {StringTuner, TARGET_MODES, TunerDial, parseStrings} from './tuner.js';
+import {ScoreFollower, isScoreFile, loadScoreFile} from './score.js';
+import {PianoRoll} from './pianoroll.js';
+import {PracticeHistory, PracticeLog, overallStats, pitchTrend} from './history.js';
+import {TrendChart} from './trends.js';
+import {NoteStatistics} from './stats.js';
+import {PitchBroadcaster, relayUrl, viewerUrl} from './broadcast.js';
+import {AudioRecorder} from './recording.js';
+import {
+  PRESETS,
+  SETTINGS,
+  decodeSettings,
+  encodeSettings,
+  filterOptions,
+  loadSettings,
+  normalizeSettings,
+  presetSettings,
+  saveSettings,
+  settingParams,
+  trackerOptions,
+} from './settings.js';
+import {SessionRecorder, SessionReplay, entryNoteData, parseSession} from './session.js';
+import {
+  NOTE_NAMES,
+  formatCents,
+  formatFrequency,
+  formatTuning,
+  frequencyToNoteData,
+  midiToNoteName,
+  noteNameToMidi,
+} from './note.js';
+import {TEMPERAMENTS, Tuning, parseCentsTable} from './tuning.js';
 
 const ENABLE_DEBUG_LOGS = false;
 const debugLog = (...args) => {
@@ -9,7 +48,9 @@ const debugLog = (...args) => {
   }
 };
 
-const ENABLE_DETAILED_STATUS = false;
+// "pyin" tracks pitch candidates with an HMM; "yin" uses single estimates with the pitch filter.
+const DETECTION_MODE = "pyin";
+const HMM_LAG_FRAMES = 4; // look-ahead before a pYIN decision is shown (~40 ms with worklet capture)
 
 const startButton = document.getElementById("start-button");
 const statusMessage = document.getElementById("status-message");
@@ -18,32 +59,198 @@ const noteLabel = document.getElementById("note");
 const centsLabel = document.getElementById("cents");
 const canvas = document.getElementById("pitch-canvas");
 const readoutsContainer = document.getElementById("readouts-container");
+const referenceInput = document.getElementById("reference-input");
+const temperamentSelect = document.getElementById("temperament-select");
+const tonicSelect = document.getElementById("tonic-select");
+const customCentsControl = document.getElementById("custom-cents-control");
+const customCentsInput = document.getElementById("custom-cents-input");
+const tuningLabel = document.getElementById("tuning-label");
+const appRoot = document.querySelector(".app");
+const fileInput = document.getElementById("file-input");
+const analysisPanel = document.getElementById("analysis-panel");
+const analysisTitle = document.getElementById("analysis-title");
+const analysisSummary = document.getElementById("analysis-summary");
+const analysisFitButton = document.getElementById("analysis-fit");
+const analysisCloseButton = document.getElementById("analysis-close");
+const analysisCanvas = document.getElementById("analysis-canvas");
+const noteList = document.getElementById("note-list");
+const scoreInput = document.getElementById("score-input");
+const scorePanel = document.getElementById("score-panel");
+const scoreTitle = document.getElementById("score-title");
+const scoreSummary = document.getElementById("score-summary");
+const scoreRestartButton = document.getElementById("score-restart");
+const scoreCloseButton = document.getElementById("score-close");
+const scoreCanvas = document.getElementById("score-canvas");
+const historyButton = document.getElementById("history-button");
+const historyPanel = document.getElementById("history-panel");
+const historySummary = document.getElementById("history-summary");
+const historyPitchSelect = document.getElementById("history-pitch");
+const historyPitchList = document.getElementById("history-pitch-list");
+const historyExportButton = document.getElementById("history-export");
+const historyInput = document.getElementById("history-input");
+const historyClearButton = document.getElementById("history-clear");
+const historyCloseButton = document.getElementById("history-close");
+const historyCanvas = document.getElementById("history-canvas");
+const statsToleranceInput = document.getElementById("stats-tolerance");
+const statsResetButton = document.getElementById("stats-reset");
+const statsBody = document.getElementById("stats-body");
+const statsEmpty = document.getElementById("stats-empty");
+const settingsButton = document.getElementById("settings-button");
+const settingsPanel = document.getElementById("settings-panel");
+const settingsPresetSelect = document.getElementById("settings-preset");
+const settingsCopyButton = document.getElementById("settings-copy");
+const settingsResetButton = document.getElementById("settings-reset");
+const settingsCloseButton = document.getElementById("settings-close");
+const settingsGroups = document.getElementById("settings-groups");
+const inputSelect = document.getElementById("input-select");
+const diagnosticsButton = document.getElementById("diagnostics-button");
+const broadcastButton = document.getElementById("broadcast-button");
+const broadcastLink = document.getElementById("broadcast-link");
+const diagnosticsPanel = document.getElementById("diagnostics-panel");
+const diagnosticsCloseButton = document.getElementById("diagnostics-close");
+const calibrateButton = document.getElementById("calibrate-button");
+const levelMeterGate = document.getElementById("level-meter-gate");
+const diagnosticsList = document.getElementById("diagnostics-list");
+const levelMeterFill = document.getElementById("level-meter-fill");
+const levelMeterPeak = document.getElementById("level-meter-peak");
+const levelMeterLabel = document.getElementById("level-meter-label");
+const exerciseTypeSelect = document.getElementById("exercise-type");
+const exerciseTonicControl = document.getElementById("exercise-tonic-control");
+const exerciseTonicSelect = document.getElementById("exercise-tonic");
+const exerciseOctaveSelect = document.getElementById("exercise-octave");
+const exerciseOctavesControl = document.getElementById("exercise-octaves-control");
+const exerciseOctavesSelect = document.getElementById("exercise-octaves");
+const exerciseDirectionControl = document.getElementById("exercise-direction-control");
+const exerciseDirectionSelect = document.getElementById("exercise-direction");
+const exerciseNotesControl = document.getElementById("exercise-notes-control");
+const exerciseNotesInput = document.getElementById("exercise-notes");
+const exerciseButton = document.getElementById("exercise-button");
+const exerciseProgress = document.getElementById("exercise-progress");
+const exerciseSummary = document.getElementById("exercise-summary");
+const droneToggle = document.getElementById("drone-toggle");
+const dronePitchSelect = document.getElementById("drone-pitch");
+const droneOctaveSelect = document.getElementById("drone-octave");
+const droneTimbreSelect = document.getElementById("drone-timbre");
+const droneVolumeInput = document.getElementById("drone-volume");
+const droneFifthToggle = document.getElementById("drone-fifth");
+const tunerButton = document.getElementById("tuner-button");
+const tunerPanel = document.getElementById("tuner-panel");
+const tunerCanvas = document.getElementById("tuner-canvas");
+const tunerStringList = document.getElementById("tuner-string-list");
+const tunerFifthList = document.getElementById("tuner-fifth-list");
+const tunerStringsInput = document.getElementById("tuner-strings-input");
+const tunerTargetSelect = document.getElementById("tuner-target-select");
+const axisSelect = document.getElementById("axis-select");
+const followToggle = document.getElementById("follow-toggle");
+const doubleStopToggle = document.getElementById("double-stop-toggle");
+const doubleStopReadout = document.getElementById("double-stop-readout");
+const vibratoToggle = document.getElementById("vibrato-toggle");
+const vibratoReadout = document.getElementById("vibrato-readout");
+const sessionInput = document.getElementById("session-input");
+const exportJsonButton = document.getElementById("export-json-button");
+const exportCsvButton = document.getElementById("export-csv-button");
 
-const tracker = new PitchTracker();
-const visualizer = new PitchVisualizer(canvas);
+// Settings from a shared link win over the ones saved in this browser, and are saved in their place.
+const linkedSettings = decodeSettings(location.search);
+let settings = linkedSettings ?? loadSettings();
 
-const MIN_VALID_FREQ = 110; // A2
-const MAX_VALID_FREQ = 1660; // G6
-const MAX_JUMP_HZ = 160;
-const MAX_GAP_MS = 200;
+const INPUT_DEVICE_KEY = "violin-intonation-input-device";
+const NOISE_FLOOR_KEY = "violin-intonation-noise-floor";
+const NOISE_CALIBRATION_MS = 3000;
+const tracker = new PitchTracker({
+  pyin: DETECTION_MODE === "pyin",
+  ...trackerOptions(settings),
+  gateOptions: {...trackerOptions(settings).gateOptions, floorDb: loadNoiseFloor()},
+  deviceId: loadInputDevice(),
+});
+// Worklet capture delivers an estimation per hop, the analyser fallback one per update interval.
+tracker.addEventListener("pitch", ({detail}) => handleEstimation(detail));
+tracker.addEventListener("silence", ({detail}) => handleEstimation(detail));
+tracker.addEventListener("level", ({detail}) => renderLevelMeter(detail, detail.time));
+tracker.addEventListener("statechange", ({detail}) => {
+  debugLog("Tracker state.", detail.previous, "→", detail.state);
+  renderDiagnostics();
+});
+tracker.addEventListener("error", ({detail}) => {
+  if (detail.reason === "input-ended") {
+    handleInputEnded(detail.label);
+  } else if (detail.reason === "worker") {
+    setStatus(`Pitch detection stopped working: ${detail.message}`);
+  }
+});
+const visualizer = new PitchVisualizer(canvas, {
+  onAutoFollowChange: (enabled) => {
+    followToggle.checked = enabled;
+  },
+  onSeek: playRecordingAt,
+});
+const contourView = new ContourView(analysisCanvas);
+
+const pitchFilter = new PitchFilter(filterOptions(settings));
+let pitchHmm = createPitchHmm();
 
-const UPDATE_INTERVAL_MS = 20;
-const MISS_THRESHOLD = 4; // number of polling misses (~400 ms) before clearing UI
+const segmenter = new NoteSegmenter({onNote: renderNoteEvent});
+const MAX_RECENT_NOTES = 12;
+const vibratoAnalyzer = new VibratoAnalyzer();
+const sessionRecorder = new SessionRecorder();
+const stringTuner = new StringTuner();
+const tunerDial = new TunerDial(tunerCanvas);
+const drone = new DroneGenerator();
+const droneGuard = new DroneLeakageGuard();
+const pianoRoll = new PianoRoll(scoreCanvas);
+const practiceLog = new PracticeLog();
+const practiceHistory = new PracticeHistory();
+const trendChart = new TrendChart(historyCanvas);
+const noteStatistics = new NoteStatistics({toleranceCents: segmenter.toleranceCents});
+const audioRecorder = new AudioRecorder();
+const broadcaster = new PitchBroadcaster({url: relayUrl(location), onStatusChange: renderBroadcastStatus});
+
+const MISS_HOLD_MS = 400; // how long the pitch may drop out before the readouts clear
+const DOUBLE_STOP_HOLD_MS = 300; // keep showing a double stop through brief detection dropouts
+const STATS_RENDER_INTERVAL_MS = 250; // the statistics table is rebuilt at most this often
+const LEVEL_METER_INTERVAL_MS = 80;
+const LEVEL_METER_FLOOR_DB = -60;
+const NO_RECORDING_NOTE = "The microphone cannot be recorded here, so the trace cannot be played back.";
 
-let pollTimer = null;
 let isRunning = false;
 let isInitializing = false;
-let missCounter = 0;
+let missStart = null; // time of the first unvoiced frame of the current dropout
+let missCleared = false;
 let lastNoPitchLog = 0;
 let lastDetectionLog = 0;
-let lastDetectionTime = 0;
-let lastFrequency = null;
+let isAnalysing = false;
+let tuning = new Tuning();
+let sessionReplay = null;
+let exercise = null;
+let scoreFollower = null;
+let historyRecords = [];
+let lastStatsRender = 0;
+let trackerRestart = Promise.resolve();
+let inputLost = false;
+let lastLevelRender = 0;
+const settingsInputs = new Map();
+let tunerMode = false;
+let doubleStopDisplay = null;
+let playheadFrame = null;
+let playRequest = 0;
 
-if (ENABLE_DETAILED_STATUS) {
-  readoutsContainer.style.display = "block";
-} else {
-  readoutsContainer.style.display = "none";
-}
+renderDetailedReadouts();
+initTuningControls();
+initRecordingAnalysis();
+initAxisControls();
+initExerciseControls();
+initScoreControls();
+initDroneControls();
+initTunerControls();
+initVibratoControls();
+initDoubleStopControls();
+initSessionControls();
+initHistoryControls();
+initStatisticsControls();
+initSettingsControls();
+initInputControls();
+initBroadcastControls();
+registerServiceWorker();
 
 startButton.addEventListener("click", async () => {
   debugLog("Start button pressed.", { isRunning, isInitializing });
@@ -60,21 +267,37 @@ startButton.addEventListener("click", async () => {
 
 async function startListening() {
   debugLog("Beginning microphone start sequence.");
+  stopReplay();
   isInitializing = true;
   setStatus("Requesting microphone access…");
   startButton.disabled = true;
   startButton.textContent = "Starting…";
-  lastDetectionTime = 0;
-  lastFrequency = null;
+  pitchFilter.reset();
+  pitchHmm.reset();
+  segmenter.reset();
+  vibratoAnalyzer.reset();
+  noteList.replaceChildren();
+  noteStatistics.reset();
+  renderStatistics();
+  audioRecorder.reset();
+  visualizer.unfreeze();
+  visualizer.clear();
 
   try {
     await tracker.start();
+    const recording = startRecording();
     visualizer.start();
     visualizer.resize();
     debugLog("Microphone capture started.");
-    startPolling();
+    sessionRecorder.start({tuning, detectionMode: DETECTION_MODE});
+    practiceLog.start({tuning});
+    updateExportButtons();
+    missStart = null;
     isRunning = true;
-    setStatus("Listening… play a sustained violin note.");
+    setStatus(`Listening… play a sustained violin note.${recording ? "" : ` ${NO_RECORDING_NOTE}`}`);
+    // Device names are only readable once permission has been granted.
+    refreshInputDevices();
+    renderDiagnostics();
     startButton.textContent = "Stop Listening";
   } catch (error) {
     console.error(error);
@@ -87,112 +310,1614 @@ async function startListening() {
   }
 }
 
+/**
+ * Record the microphone for playback. A recorder failure only costs the playback, so it is reported rather than
+ * ending the session; returns false when the browser cannot record or recording failed.
+ */
+function startRecording() {
+  try {
+    return audioRecorder.record(tracker.stream);
+  } catch (error) {
+    debugLog("Unable to record the microphone.", error);
+    return false;
+  }
+}
+
 function stopListening() {
   debugLog("Stopping microphone capture.");
-  if (pollTimer) {
-    clearInterval(pollTimer);
-    pollTimer = null;
-  }
+  stopDrone();
+  audioRecorder.stop();
   tracker.stop();
+  doubleStopDisplay = null;
+  doubleStopReadout.hidden = true;
+  segmenter.flush();
+  savePractice();
+  vibratoAnalyzer.reset();
+  updateExportButtons();
   visualizer.stop();
-  visualizer.clear();
+  // With audio to listen back to, the last stretch of the trace stays up for clicking.
+  if (audioRecorder.hasAudio) {
+    visualizer.freeze();
+  } else {
+    visualizer.clear();
+  }
   resetReadouts();
 
   isRunning = false;
-  missCounter = 0;
-  lastDetectionTime = 0;
-  lastFrequency = null;
+  inputLost = false;
+  missStart = null;
+  pitchFilter.reset();
+  pitchHmm.reset();
   setStatus("Microphone stopped.");
   startButton.textContent = "Start Listening";
   startButton.disabled = false;
 }
 
-function startPolling() {
-  if (pollTimer) {
-    clearInterval(pollTimer);
+function handleEstimation(rawEstimation) {
+  if (!isRunning) {
+    return;
+  }
+  const timestamp = Number.isFinite(rawEstimation?.time) ? rawEstimation.time : performance.now();
+  const estimation = drone.isPlaying ? droneGuard.filter(rawEstimation) : rawEstimation;
+  if (tracker.doubleStops) {
+    renderDoubleStop(rawEstimation?.doubleStop ?? null, timestamp);
   }
 
-  missCounter = 0;
-  // Poll the analyser at ~50 Hz to keep latency low while still allowing enough processing time.
-  pollTimer = setInterval(() => {
-    const timestamp = (typeof performance !== "undefined" && performance.now) ? performance.now() : Date.now();
-    const estimation = tracker.getPitch();
+  if (DETECTION_MODE === "pyin") {
+    // The HMM decides voicing and rejects outliers itself, reporting a frame HMM_LAG_FRAMES back together with
+    // that frame's estimation.
+    const decision = pitchHmm.push(estimation?.candidates ?? [], timestamp, estimation);
+    if (!decision) {
+      return;
+    }
+    if (!decision.voiced) {
+      handleMissingPitch(decision.estimation, decision.time, {clearImmediately: true});
+      return;
+    }
+    missStart = null;
+    showPitch(decision.frequency, {...decision.estimation, probability: decision.probability}, decision.time);
+    return;
+  }
 
-    if (!estimation || !estimation.frequency || !Number.isFinite(estimation.frequency)) {
-      missCounter++;
-      if (timestamp - lastNoPitchLog > 500) {
-        debugLog("No pitch detected on this tick.", {
-          missCounter,
-        });
-        lastNoPitchLog = timestamp;
-      }
-      const info = estimation || {};
-      if (Number.isFinite(info.peak) || Number.isFinite(info.smoothedRms) || Number.isFinite(info.gain)) {
-        setStatus("Listening… play a clear tone.", info);
-      } else if (missCounter === MISS_THRESHOLD) {
-        setStatus("Listening… play a clear tone.");
-      }
-      lastFrequency = null;
-      if (missCounter === MISS_THRESHOLD) {
-        resetReadouts();
+  if (!estimation || !estimation.frequency || !Number.isFinite(estimation.frequency)) {
+    handleMissingPitch(estimation, timestamp);
+    return;
+  }
+
+  missStart = null;
+
+  let frequency = estimation.frequency;
+  if (frequency <= 0) {
+    setStatus("Listening", estimation);
+    return;
+  }
+
+  frequency = pitchFilter.accept(frequency, timestamp);
+  if (frequency === null) {
+    setStatus("Listening", estimation);
+    return;
+  }
+
+  showPitch(frequency, estimation, timestamp);
+}
+
+function handleMissingPitch(estimation, timestamp, {clearImmediately = false} = {}) {
+  if (missStart === null) {
+    missStart = timestamp;
+    missCleared = false;
+  }
+  if (timestamp - lastNoPitchLog > 500) {
+    debugLog("No pitch detected in this frame.", {
+      missingMs: timestamp - missStart,
+    });
+    lastNoPitchLog = timestamp;
+  }
+  const info = estimation || {};
+  // Counted in time rather than frames, since worklet capture delivers a frame per hop.
+  const shouldClear = !missCleared && (clearImmediately || timestamp - missStart >= MISS_HOLD_MS);
+  if (shouldClear) {
+    missCleared = true;
+  }
+  const message = droneGuard.isCalibrating
+    ? "Measuring drone leakage… stay quiet for a moment."
+    : "Listening… play a clear tone.";
+  if (Number.isFinite(info.peak) || Number.isFinite(info.smoothedRms) || Number.isFinite(info.gain)) {
+    setStatus(message, info);
+  } else if (shouldClear) {
+    setStatus(message);
+  }
+  pitchFilter.miss();
+  noteStatistics.gap();
+  sessionRecorder.record(timestamp, null, info);
+  if (tunerMode && shouldClear) {
+    stringTuner.release();
+    renderTuner(null);
+  }
+  segmenter.push({time: timestamp, noteData: null});
+  if (shouldClear) {
+    resetReadouts();
+  }
+}
+
+function showPitch(frequency, estimation, timestamp) {
+  const noteData = frequencyToNoteData(frequency, activeTuning());
+  if (!noteData) {
+    return;
+  }
+
+  // Grade against the vibrato centre whenever vibrato is present; the raw pitch swings too far to judge.
+  const vibrato = vibratoAnalyzer.push(timestamp, noteData.midi);
+  const centerCents = vibrato.active ? noteData.cents - (noteData.midi - vibrato.centerMidi) * 100 : null;
+  const gradedCents = vibrato.active ? centerCents : noteData.cents;
+
+  renderReadouts(noteData, visualizer.showVibratoCenter ? centerCents : null);
+  renderVibrato(vibrato, centerCents);
+  sessionRecorder.record(timestamp, noteData, estimation);
+  segmenter.push({time: timestamp, noteData, rms: estimation.rms, cents: gradedCents});
+  noteStatistics.push(timestamp, noteData.nearestMidi, gradedCents);
+  renderStatistics(timestamp);
+  if (timestamp - lastDetectionLog > 500) {
+    debugLog("Pitch detected.", {
+      frequency: noteData.frequency,
+      cents: noteData.cents,
+      note: noteData.noteName,
+      probability: estimation.probability,
+    });
+    lastDetectionLog = timestamp;
+  }
+  visualizer.update({...toVisualizerPoint(noteData), centerCents, time: timestamp});
+  broadcaster.publish(timestamp, noteData, estimation.probability);
+  if (tunerMode) {
+    renderTuner(stringTuner.update(noteData.frequency));
+  }
+  setStatus("Listening", estimation);
+}
+
+function initTuningControls() {
+  for (const [value, {label}] of Object.entries(TEMPERAMENTS)) {
+    temperamentSelect.add(new Option(label, value));
+  }
+  NOTE_NAMES.forEach((name, index) => tonicSelect.add(new Option(name, String(index))));
+
+  referenceInput.value = String(tuning.referenceFrequency);
+  temperamentSelect.value = tuning.temperament;
+  tonicSelect.value = String(tuning.tonic);
+  customCentsInput.value = TEMPERAMENTS.equal.cents.join(" ");
+
+  for (const control of [referenceInput, temperamentSelect, tonicSelect, customCentsInput]) {
+    control.addEventListener("change", applyTuningControls);
+  }
+  applyTuningControls();
+}
+
+function applyTuningControls() {
+  const temperament = temperamentSelect.value;
+  customCentsControl.hidden = temperament !== "custom";
+  tonicSelect.disabled = temperament === "equal";
+
+  try {
+    tuning = new Tuning({
+      referenceFrequency: Number(referenceInput.value),
+      temperament,
+      tonic: Number(tonicSelect.value),
+      customCents: temperament === "custom" ? parseCentsTable(customCentsInput.value) : null,
+    });
+  } catch (error) {
+    debugLog("Rejected tuning settings.", error);
+    setStatus(error.message);
+    return;
+  }
+
+  debugLog("Tuning changed.", tuning.toJSON());
+  stringTuner.setTuning(tuning);
+  if (drone.isPlaying) {
+    drone.update({}, tuning);
+    droneGuard.start(drone.frequencies);
+  }
+  renderTuningLabel();
+}
+
+function renderTuningLabel() {
+  // Every change of the active tuning relabels it, so the tracker's note events follow it from here too.
+  tracker.setTuning(activeTuning());
+  tuningLabel.textContent = drone.isPlaying
+    ? `Pure intervals to drone ${drone.noteName} (${formatFrequency(drone.frequencies[0])})`
+    : formatTuning(tuning);
+}
+
+/**
+ * The tuning live notes are measured against: pure intervals above the drone while it plays.
+ */
+function activeTuning() {
+  return drone.isPlaying ? drone.intervalTuning : tuning;
+}
+
+function toVisualizerPoint(noteData) {
+  return {
+    frequency: noteData.frequency,
+    cents: noteData.cents,
+    midi: noteData.nearestMidi,
+    noteIndex: (noteData.nearestMidi + 1200) % 12,
+  };
+}
+
+function initSessionControls() {
+  sessionInput.addEventListener("change", () => {
+    const [file] = sessionInput.files;
+    sessionInput.value = "";
+    if (file) {
+      replaySessionFile(file);
+    }
+  });
+  exportJsonButton.addEventListener("click", () => {
+    downloadText(JSON.stringify(sessionRecorder, null, 2), `${sessionFileName()}.json`, "application/json");
+  });
+  exportCsvButton.addEventListener("click", () => {
+    downloadText(sessionRecorder.toCSV(), `${sessionFileName()}.csv`, "text/csv");
+  });
+}
+
+function updateExportButtons() {
+  exportJsonButton.disabled = sessionRecorder.isEmpty;
+  exportCsvButton.disabled = sessionRecorder.isEmpty;
+}
+
+function sessionFileName() {
+  const started = sessionRecorder.startedAt || new Date().toISOString();
+  return `practice-${started.slice(0, 19).replace(/[T:]/g, "-")}`;
+}
+
+function downloadText(text, fileName, type) {
+  const url = URL.createObjectURL(new Blob([text], {type}));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function isSessionFile(file) {
+  return /\.(json|csv)$/i.test(file.name);
+}
+
+async function replaySessionFile(file) {
+  let session;
+  try {
+    session = parseSession(await file.text(), file.name);
+  } catch (error) {
+    console.error(error);
+    setStatus(error.message || `Unable to read ${file.name}.`);
+    return;
+  }
+  if (!session.entries.length) {
+    setStatus(`${file.name} contains no recorded frames.`);
+    return;
+  }
+
+  if (isRunning) {
+    stopListening();
+  }
+  stopReplay();
+  debugLog("Replaying session.", {name: file.name, entries: session.entries.length});
+
+  segmenter.reset();
+  vibratoAnalyzer.reset();
+  noteList.replaceChildren();
+  noteStatistics.reset();
+  renderStatistics();
+  // The replayed trace has no audio.
+  audioRecorder.reset();
+  visualizer.unfreeze();
+  visualizer.clear();
+  visualizer.start();
+  visualizer.resize();
+
+  sessionReplay = new SessionReplay(session.entries, {
+    onEntry: replayEntry,
+    onEnd: () => {
+      segmenter.flush();
+      visualizer.stop();
+      resetReadouts();
+      sessionReplay = null;
+      setStatus(`Finished replaying ${file.name}.`);
+    },
+  });
+  sessionReplay.start(settings.updateIntervalMs);
+  const tuningText = session.tuning ? ` · ${formatTuning(new Tuning(session.tuning))}` : "";
+  setStatus(`Replaying ${file.name} (${formatDuration(sessionReplay.duration / 1000)}${tuningText})…`);
+}
+
+function replayEntry(entry, timestamp) {
+  // Recorded cents are replayed as-is, so the trace matches what the student saw whatever tuning is selected now.
+  const noteData = entryNoteData(entry);
+  if (!noteData) {
+    segmenter.push({time: timestamp, noteData: null});
+    noteStatistics.gap();
+    resetReadouts();
+    return;
+  }
+
+  const vibrato = vibratoAnalyzer.push(timestamp, noteData.midi);
+  const centerCents = vibrato.active ? noteData.cents - (noteData.midi - vibrato.centerMidi) * 100 : null;
+  renderReadouts(noteData, visualizer.showVibratoCenter ? centerCents : null);
+  renderVibrato(vibrato, centerCents);
+  const gradedCents = vibrato.active ? centerCents : noteData.cents;
+  segmenter.push({time: timestamp, noteData, rms: entry.rms ?? 0, cents: gradedCents});
+  noteStatistics.push(timestamp, noteData.nearestMidi, gradedCents);
+  renderStatistics(timestamp);
+  visualizer.update({...toVisualizerPoint(noteData), centerCents, time: timestamp});
+}
+
+/**
+ * Listen back to the microphone recording from a moment clicked on the trace, with a playhead following it.
+ */
+async function playRecordingAt(time) {
+  if (!audioRecorder.hasAudio) {
+    return;
+  }
+  if (!visualizer.isFrozen) {
+    visualizer.freeze();
+  }
+  const request = ++playRequest;
+  let played = false;
+  try {
+    played = await audioRecorder.play(time);
+  } catch (error) {
+    console.error(error);
+    setStatus(error.message || "Unable to play the recording.");
+  }
+  if (request !== playRequest) {
+    return; // a later click took over
+  }
+  if (!played) {
+    stopPlayback();
+    return;
+  }
+  setStatus(isRunning
+    ? "Playing back (Esc stops). Use headphones so the playback stays out of the trace."
+    : "Playing back (Esc stops).");
+  if (playheadFrame === null) {
+    playheadFrame = requestAnimationFrame(followPlayhead);
+  }
+}
+
+function followPlayhead() {
+  const time = audioRecorder.playbackTime;
+  if (time === null) {
+    playheadFrame = null;
+    stopPlayback();
+    return;
+  }
+  visualizer.setPlayhead(time);
+  playheadFrame = requestAnimationFrame(followPlayhead);
+}
+
+function stopPlayback() {
+  audioRecorder.stopPlayback();
+  visualizer.setPlayhead(null);
+  // While listening the trace scrolls live again; after stopping it stays where the student was looking.
+  if (isRunning) {
+    visualizer.unfreeze();
+  }
+}
+
+function stopReplay() {
+  if (!sessionReplay) {
+    return;
+  }
+  sessionReplay.stop();
+  sessionReplay = null;
+  segmenter.flush();
+  visualizer.stop();
+  visualizer.clear();
+  resetReadouts();
+}
+
+function initRecordingAnalysis() {
+  fileInput.addEventListener("change", () => {
+    const [file] = fileInput.files;
+    fileInput.value = "";
+    if (file) {
+      analyseRecording(file);
+    }
+  });
+
+  // Accept recordings dropped anywhere on the page.
+  document.addEventListener("dragover", (event) => {
+    if (event.dataTransfer?.types.includes("Files")) {
+      event.preventDefault();
+      appRoot.classList.add("app--dragging");
+    }
+  });
+  document.addEventListener("dragleave", (event) => {
+    if (!event.relatedTarget) {
+      appRoot.classList.remove("app--dragging");
+    }
+  });
+  document.addEventListener("drop", (event) => {
+    event.preventDefault();
+    appRoot.classList.remove("app--dragging");
+    const files = Array.from(event.dataTransfer?.files ?? []);
+    const sessionFile = files.find(isSessionFile);
+    const scoreFile = files.find(isScoreFile);
+    const file = files.find(isAudioFile);
+    if (sessionFile) {
+      replaySessionFile(sessionFile);
+    } else if (scoreFile) {
+      openScore(scoreFile);
+    } else if (file) {
+      analyseRecording(file);
+    } else {
+      setStatus("Drop a WAV, MP3 or OGG recording to analyse it, a MIDI or MusicXML score to follow, or a session export to replay it.");
+    }
+  });
+
+  analysisFitButton.addEventListener("click", () => contourView.showAll());
+  analysisCloseButton.addEventListener("click", () => {
+    analysisPanel.hidden = true;
+    contourView.clear();
+  });
+}
+
+function isAudioFile(file) {
+  return file.type.startsWith("audio/") || /\.(wav|mp3|ogg|oga|flac|m4a)$/i.test(file.name);
+}
+
+async function analyseRecording(file) {
+  if (isAnalysing) {
+    return;
+  }
+
+  isAnalysing = true;
+  debugLog("Analysing recording.", {name: file.name, size: file.size});
+  setStatus(`Decoding ${file.name}…`);
+
+  try {
+    const {samples, sampleRate, duration} = await decodeAudioFile(file);
+    const frames = await analyseSamples(samples, sampleRate, {
+      detector: tracker.detector,
+      octaveCheck: tracker.octaveCheck,
+      bufferSize: tracker.bufferSize,
+      yinThreshold: tracker.yinThreshold,
+      probabilityThreshold: tracker.probabilityThreshold,
+      detectionMode: DETECTION_MODE,
+      filterOptions: filterOptions(settings),
+      tuning,
+      onProgress: (progress) => setStatus(`Analysing ${file.name}… ${Math.round(progress * 100)}%`),
+    });
+
+    const points = frames
+      .filter((frame) => frame.noteData)
+      .map((frame) => ({...toVisualizerPoint(frame.noteData), time: frame.time}));
+
+    analysisPanel.hidden = false;
+    contourView.resize();
+    contourView.setContour(points, duration * 1000);
+    analysisTitle.textContent = file.name;
+    analysisSummary.textContent = `${formatDuration(duration)} · pitched ${formatPercent(points.length / Math.max(1, frames.length))} of frames · ${formatTuning(tuning)} · scroll to zoom, drag to pan`;
+    setStatus(`Analysed ${file.name}.`);
+  } catch (error) {
+    console.error(error);
+    setStatus(error.message || `Unable to analyse ${file.name}.`);
+  } finally {
+    isAnalysing = false;
+  }
+}
+
+function formatDuration(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.floor(seconds - minutes * 60);
+  return `${minutes}:${String(rest).padStart(2, "0")}`;
+}
+
+function formatPercent(ratio) {
+  return `${Math.round(ratio * 100)}%`;
+}
+
+function initTunerControls() {
+  for (const [value, label] of Object.entries(TARGET_MODES)) {
+    tunerTargetSelect.add(new Option(label, value));
+  }
+  tunerTargetSelect.value = stringTuner.targetMode;
+  stringTuner.setTuning(tuning);
+
+  tunerButton.addEventListener("click", async () => {
+    tunerMode = !tunerMode;
+    tunerPanel.hidden = !tunerMode;
+    tunerButton.textContent = tunerMode ? "Pitch Chart" : "Tuner";
+    stringTuner.release();
+    if (tunerMode) {
+      tunerDial.resize();
+      renderTuner(null);
+      if (!isRunning) {
+        await startListening();
       }
+    } else {
+      visualizer.resize();
+    }
+  });
+  tunerStringsInput.addEventListener("change", () => {
+    try {
+      stringTuner.setStrings(parseStrings(tunerStringsInput.value));
+    } catch (error) {
+      setStatus(error.message);
       return;
     }
+    renderTuner(null);
+  });
+  tunerTargetSelect.addEventListener("change", () => {
+    stringTuner.setTargetMode(tunerTargetSelect.value);
+    renderTuner(null);
+  });
+}
 
-    missCounter = 0;
+function renderTuner(reading) {
+  tunerDial.render(reading);
+
+  tunerStringList.replaceChildren(...stringTuner.strings.map((midi, index) => {
+    const item = document.createElement("li");
+    item.classList.toggle("is-active", reading?.index === index);
+    const measured = stringTuner.measured[index];
+    const cents = measured ? 1200 * Math.log2(measured / stringTuner.targets[index]) : null;
+    const name = document.createElement("span");
+    name.textContent = `${midiToNoteName(midi)} · ${formatFrequency(stringTuner.targets[index])}`;
+    const value = document.createElement("span");
+    value.textContent = cents === null ? "—" : formatCents(cents);
+    value.style.color = cents === null ? "" : colorForCents(cents);
+    item.append(name, value);
+    return item;
+  }));
+
+  tunerFifthList.replaceChildren(...stringTuner.fifths().map((fifth) => {
+    const item = document.createElement("li");
+    item.classList.toggle("is-pure", fifth.pure);
+    const name = document.createElement("span");
+    name.textContent = `${fifth.lower}–${fifth.upper}`;
+    const value = document.createElement("span");
+    if (fifth.cents === null) {
+      value.textContent = "play both";
+    } else {
+      const shape = fifth.pure ? "pure" : fifth.cents > 0 ? "wide" : "narrow";
+      value.textContent = `${formatCents(fifth.cents)} ${shape}`;
+    }
+    item.append(name, value);
+    return item;
+  }));
+}
 
-    let frequency = estimation.frequency;
-    if (frequency <= 0) {
-      setStatus("Listening", estimation);
+function initDroneControls() {
+  NOTE_NAMES.forEach((name, index) => dronePitchSelect.add(new Option(name, String(index))));
+  [2, 3, 4, 5].forEach((octave) => droneOctaveSelect.add(new Option(String(octave), String(octave))));
+  for (const [value, {label}] of Object.entries(DRONE_TIMBRES)) {
+    droneTimbreSelect.add(new Option(label, value));
+  }
+  dronePitchSelect.value = String(drone.settings.pitchClass);
+  droneOctaveSelect.value = String(drone.settings.octave);
+  droneTimbreSelect.value = drone.settings.timbre;
+  droneVolumeInput.value = String(drone.settings.volume);
+  droneFifthToggle.checked = drone.settings.fifth;
+
+  droneToggle.addEventListener("change", async () => {
+    if (!droneToggle.checked) {
+      stopDrone();
       return;
     }
+    // The drone shares the tracker's AudioContext, so listening starts with it.
+    if (!isRunning) {
+      await startListening();
+    }
+    if (!isRunning) {
+      droneToggle.checked = false;
+      return;
+    }
+    drone.start(tracker.audioContext, tuning);
+    resetDroneGuard();
+    renderTuningLabel();
+  });
+
+  for (const control of [dronePitchSelect, droneOctaveSelect, droneTimbreSelect, droneFifthToggle]) {
+    control.addEventListener("change", applyDroneControls);
+  }
+  droneVolumeInput.addEventListener("input", () => drone.update({volume: Number(droneVolumeInput.value)}));
+  // Re-measure the leakage once the volume slider is released.
+  droneVolumeInput.addEventListener("change", () => {
+    if (drone.isPlaying) {
+      resetDroneGuard();
+    }
+  });
+}
+
+function applyDroneControls() {
+  drone.update({
+    pitchClass: Number(dronePitchSelect.value),
+    octave: Number(droneOctaveSelect.value),
+    timbre: droneTimbreSelect.value,
+    volume: Number(droneVolumeInput.value),
+    fifth: droneFifthToggle.checked,
+  }, tuning);
+  if (drone.isPlaying) {
+    resetDroneGuard();
+    renderTuningLabel();
+  }
+}
+
+function resetDroneGuard() {
+  // Estimations are stamped on the performance clock, so calibration starts now.
+  droneGuard.start(drone.frequencies);
+  pitchHmm.reset();
+  setStatus(`Drone ${drone.noteName} playing — measuring how much reaches the microphone, stay quiet for a moment.`);
+}
+
+function stopDrone() {
+  if (!drone.isPlaying) {
+    return;
+  }
+  drone.stop();
+  droneGuard.stop();
+  droneToggle.checked = false;
+  renderTuningLabel();
+}
+
+function initAxisControls() {
+  for (const [value, label] of Object.entries(AXIS_MODES)) {
+    axisSelect.add(new Option(label, value));
+  }
+  axisSelect.value = visualizer.axisMode;
+  followToggle.checked = visualizer.autoFollow;
+
+  axisSelect.addEventListener("change", () => {
+    visualizer.setAxisMode(axisSelect.value);
+    contourView.setAxisMode(axisSelect.value);
+    followToggle.disabled = axisSelect.value !== "chromatic";
+  });
+  followToggle.addEventListener("change", () => visualizer.setAutoFollow(followToggle.checked));
+}
+
+function initExerciseControls() {
+  const groups = new Map();
+  for (const [value, {label, group}] of Object.entries(EXERCISES)) {
+    if (!groups.has(group)) {
+      groups.set(group, document.createElement("optgroup"));
+      groups.get(group).label = group;
+      exerciseTypeSelect.append(groups.get(group));
+    }
+    groups.get(group).append(new Option(label, value));
+  }
+  NOTE_NAMES.forEach((name, index) => exerciseTonicSelect.add(new Option(name, String(index))));
+  [3, 4, 5].forEach((octave) => exerciseOctaveSelect.add(new Option(String(octave), String(octave))));
+  [1, 2, 3].forEach((count) => exerciseOctavesSelect.add(new Option(String(count), String(count))));
+  for (const [value, label] of Object.entries(DIRECTIONS)) {
+    exerciseDirectionSelect.add(new Option(label, value));
+  }
+
+  // Default to a two-octave G major scale, up and down, starting on the open G string.
+  exerciseTypeSelect.value = "major";
+  exerciseTonicSelect.value = "7";
+  exerciseOctaveSelect.value = "3";
+  exerciseOctavesSelect.value = "2";
+  exerciseDirectionSelect.value = "up-down";
+
+  exerciseTypeSelect.addEventListener("change", () => {
+    const custom = exerciseTypeSelect.value === "custom";
+    exerciseNotesControl.hidden = !custom;
+    exerciseTonicControl.hidden = custom;
+    exerciseOctavesControl.hidden = custom;
+    exerciseDirectionControl.hidden = custom;
+  });
+  exerciseButton.addEventListener("click", () => {
+    if (exercise) {
+      finishExercise();
+    } else {
+      startExercise();
+    }
+  });
+}
+
+async function startExercise() {
+  let notes;
+  try {
+    notes = exerciseTypeSelect.value === "custom"
+      ? parseNoteList(exerciseNotesInput.value)
+      : buildExercise({
+        type: exerciseTypeSelect.value,
+        tonic: Number(exerciseTonicSelect.value),
+        octave: Number(exerciseOctaveSelect.value),
+        octaves: Number(exerciseOctavesSelect.value),
+        direction: exerciseDirectionSelect.value,
+      });
+  } catch (error) {
+    setStatus(error.message);
+    return;
+  }
+
+  exercise = new ExerciseSession(notes, {toleranceCents: segmenter.toleranceCents});
+  debugLog("Exercise started.", notes.map((note) => note.noteName));
+  exerciseButton.textContent = "End Exercise";
+  exerciseSummary.hidden = true;
+  exerciseSummary.replaceChildren();
+  renderExerciseProgress();
+  if (!isRunning) {
+    await startListening();
+  }
+}
+
+function handleExerciseNote(note) {
+  if (!exercise) {
+    return;
+  }
+  const result = exercise.handleNote(note);
+  debugLog("Exercise note.", {note: note.noteName, result});
+  if (exercise.isComplete) {
+    finishExercise();
+    return;
+  }
+  renderExerciseProgress();
+}
+
+function renderExerciseProgress() {
+  const expected = exercise.expected;
+  visualizer.setTargetNote(expected ? expected.midi : null);
+  const wrong = exercise.wrongNotes ? ` · ${exercise.wrongNotes} wrong` : "";
+  exerciseProgress.textContent = expected
+    ? `Next: ${expected.noteName} (${exercise.index + 1} of ${exercise.notes.length})${wrong}`
+    : "";
+}
+
+function finishExercise() {
+  const summary = exercise.summary();
+  debugLog("Exercise finished.", summary);
+  exercise = null;
+  visualizer.setTargetNote(scoreFollower?.expected?.midi ?? null);
+  exerciseButton.textContent = "Start Exercise";
+
+  const missed = summary.missed ? ` · ${summary.missed} missed` : "";
+  const wrong = summary.wrong ? ` · ${summary.wrong} wrong` : "";
+  exerciseProgress.textContent = `Score ${summary.score} · ${summary.graded} graded${missed}${wrong}`;
+
+  // One chip per scale degree, coloured by its average deviation.
+  exerciseSummary.replaceChildren(...summary.degrees.map((degree) => {
+    const item = document.createElement("li");
+    item.className = "note-chip";
+    item.title = `${degree.count} played${degree.missed ? `, ${degree.missed} missed` : ""}`;
+    const name = document.createElement("span");
+    name.className = "note-chip__name";
+    name.textContent = degree.degree;
+    const cents = document.createElement("span");
+    if (degree.meanCents === null) {
+      cents.textContent = "missed";
+    } else {
+      cents.textContent = formatCents(degree.meanCents);
+      cents.style.color = colorForCents(degree.meanCents);
+    }
+    const tendency = document.createElement("span");
+    tendency.className = "note-chip__score";
+    tendency.textContent = degree.meanCents === null ? "" : degree.tendency;
+    item.append(name, cents, tendency);
+    return item;
+  }));
+  exerciseSummary.hidden = false;
+}
 
-    // Clamp to a plausible frequency range and discard improbable jumps.
-    frequency = Math.min(Math.max(frequency, MIN_VALID_FREQ), MAX_VALID_FREQ);
+function initScoreControls() {
+  scoreInput.addEventListener("change", () => {
+    const [file] = scoreInput.files;
+    scoreInput.value = "";
+    if (file) {
+      openScore(file);
+    }
+  });
+  scoreRestartButton.addEventListener("click", () => {
+    if (scoreFollower) {
+      scoreFollower.reset();
+      renderScoreProgress();
+    }
+  });
+  scoreCloseButton.addEventListener("click", closeScore);
+}
 
-    const timeSinceLast = timestamp - lastDetectionTime;
-    if (lastDetectionTime !== 0 && timeSinceLast < MAX_GAP_MS && lastFrequency !== null) {
-      const jump = Math.abs(frequency - lastFrequency);
-      if (jump > MAX_JUMP_HZ) {
-        setStatus("Listening", estimation);
-        lastFrequency = null;
-        return;
+async function openScore(file) {
+  let score;
+  try {
+    score = await loadScoreFile(file);
+  } catch (error) {
+    console.error(error);
+    setStatus(error.message || `Unable to read ${file.name}.`);
+    return;
+  }
+
+  debugLog("Score loaded.", {title: score.title, notes: score.notes.length});
+  scoreFollower = new ScoreFollower(score.notes, {toleranceCents: segmenter.toleranceCents});
+  scoreTitle.textContent = score.title;
+  scorePanel.hidden = false;
+  pianoRoll.resize();
+  pianoRoll.setScore(score.notes);
+  renderScoreProgress();
+  setStatus(`Loaded ${score.title} (${score.notes.length} notes). Play from anywhere in the score.`);
+}
+
+function closeScore() {
+  scoreFollower = null;
+  scorePanel.hidden = true;
+  if (!exercise) {
+    visualizer.setTargetNote(null);
+  }
+}
+
+function handleScoreNote(note) {
+  if (!scoreFollower) {
+    return;
+  }
+  const result = scoreFollower.push(note);
+  debugLog("Score note.", {note: note.noteName, matched: result?.noteName, status: result?.status});
+  renderScoreProgress();
+}
+
+function renderScoreProgress() {
+  const expected = scoreFollower.expected;
+  if (!exercise) {
+    // An exercise in progress owns the target line on the trace.
+    visualizer.setTargetNote(expected ? expected.midi : null);
+  }
+  pianoRoll.render(scoreFollower.results, scoreFollower.position);
+
+  const summary = scoreFollower.summary();
+  const parts = [expected ? `Next: ${expected.noteName}` : "End of score", `${summary.reached} of ${summary.total}`];
+  if (summary.played) {
+    parts.push(`${summary.inTune} in tune`, `mean ${formatCents(summary.meanCents)}`);
+  }
+  if (summary.wrong) {
+    parts.push(`${summary.wrong} wrong`);
+  }
+  if (summary.missed) {
+    parts.push(`${summary.missed} missed`);
+  }
+  if (summary.extra) {
+    parts.push(`${summary.extra} extra`);
+  }
+  if (summary.tempo) {
+    parts.push(`tempo ${formatPercent(summary.tempo)}`);
+  }
+  scoreSummary.textContent = parts.join(" · ");
+}
+
+function createPitchHmm() {
+  return new PitchHmm({
+    minFrequency: settings.minFrequency,
+    maxFrequency: settings.maxFrequency,
+    lag: HMM_LAG_FRAMES,
+  });
+}
+
+function renderDetailedReadouts() {
+  readoutsContainer.style.display = settings.detailedStatus ? "block" : "none";
+}
+
+function initSettingsControls() {
+  for (const [value, {label}] of Object.entries(PRESETS)) {
+    settingsPresetSelect.add(new Option(label, value));
+  }
+  settingsPresetSelect.add(new Option("Custom", "custom"));
+
+  // One fieldset per group, with a control per setting built from its definition. Settings the current detection mode
+  // does not use get no control.
+  const groups = new Map();
+  for (const definition of SETTINGS) {
+    if (definition.detection && definition.detection !== DETECTION_MODE) {
+      continue;
+    }
+    if (!groups.has(definition.group)) {
+      const fieldset = document.createElement("fieldset");
+      fieldset.className = "settings__group";
+      const legend = document.createElement("legend");
+      legend.className = "readout__label";
+      legend.textContent = definition.group;
+      fieldset.append(legend);
+      groups.set(definition.group, fieldset);
+      settingsGroups.append(fieldset);
+    }
+
+    const control = document.createElement("label");
+    control.className = "control";
+    const label = document.createElement("span");
+    label.className = "control__label";
+    label.textContent = definition.label;
+    let input;
+    if (definition.options) {
+      input = document.createElement("select");
+      definition.options.forEach((option) => input.add(new Option(definition.labels?.[option] ?? String(option), String(option))));
+    } else {
+      input = document.createElement("input");
+      input.type = definition.type === "boolean" ? "checkbox" : "number";
+      if (definition.type !== "boolean") {
+        Object.assign(input, {min: definition.min, max: definition.max, step: definition.step});
       }
     }
+    input.addEventListener("change", () => {
+      const value = definition.type === "boolean" ? input.checked : definition.options ? input.value : Number(input.value);
+      applySettings({...settings, [definition.key]: value});
+    });
+    settingsInputs.set(definition.key, input);
+    control.append(label, input);
+    if (definition.unit) {
+      const unit = document.createElement("span");
+      unit.className = "control__unit";
+      unit.textContent = definition.unit;
+      control.append(unit);
+    }
+    groups.get(definition.group).append(control);
+  }
+
+  settingsButton.addEventListener("click", () => {
+    settingsPanel.hidden = !settingsPanel.hidden;
+  });
+  settingsCloseButton.addEventListener("click", () => {
+    settingsPanel.hidden = true;
+  });
+  settingsPresetSelect.addEventListener("change", () => {
+    if (settingsPresetSelect.value !== "custom") {
+      applySettings(presetSettings(settingsPresetSelect.value));
+    }
+  });
+  settingsResetButton.addEventListener("click", () => applySettings(presetSettings("default")));
+  settingsCopyButton.addEventListener("click", async () => {
+    const url = new URL(location.href);
+    url.search = encodeSettings(settings);
+    try {
+      await navigator.clipboard.writeText(url.href);
+      setStatus("Settings link copied to the clipboard.");
+    } catch (error) {
+      debugLog("Clipboard unavailable.", error);
+      setStatus(`Share this link: ${url.href}`);
+    }
+  });
+
+  if (linkedSettings) {
+    saveStoredSettings();
+    // The settings are saved now, so the address can go back to the plain page.
+    const url = new URL(location.href);
+    settingParams().forEach((param) => url.searchParams.delete(param));
+    history.replaceState(null, "", url.href);
+    setStatus("Loaded settings from the shared link.");
+  }
+  renderSettingsForm();
+}
+
+function renderSettingsForm() {
+  for (const {key, type} of SETTINGS) {
+    const input = settingsInputs.get(key);
+    if (!input) {
+      continue;
+    }
+    if (type === "boolean") {
+      input.checked = settings[key];
+    } else {
+      input.value = String(settings[key]);
+    }
+  }
+  const current = encodeSettings(settings);
+  settingsPresetSelect.value = Object.keys(PRESETS).find((name) => encodeSettings(presetSettings(name)) === current) ?? "custom";
+}
+
+function saveStoredSettings() {
+  try {
+    saveSettings(settings);
+  } catch (error) {
+    // Storage can be unavailable (private browsing, quota); the settings still apply to this visit.
+    debugLog("Unable to save settings.", error);
+  }
+}
+
+/**
+ * Apply new settings live: filters and display at once, detector options by rebuilding the audio graph.
+ */
+function applySettings(next) {
+  const previous = settings;
+  settings = normalizeSettings(next);
+  saveStoredSettings();
+  renderSettingsForm();
+
+  Object.assign(pitchFilter, filterOptions(settings));
+  if (settings.minFrequency !== previous.minFrequency || settings.maxFrequency !== previous.maxFrequency) {
+    pitchHmm = createPitchHmm();
+  }
+  renderDetailedReadouts();
+  if (tracker.configure(trackerOptions(settings)) && isRunning) {
+    trackerRestart = trackerRestart.then(() => restartTracker("Detector settings applied."));
+  }
+}
 
-    lastDetectionTime = timestamp;
-    lastFrequency = frequency;
+async function restartTracker(message) {
+  if (!isRunning) {
+    return;
+  }
+  // The session carries on; only the audio graph is rebuilt. The drone shares its context, so it restarts too.
+  const dronePlaying = drone.isPlaying;
+  stopDrone();
+  audioRecorder.stop();
+  tracker.stop();
+  pitchFilter.reset();
+  pitchHmm.reset();
+  setStatus("Restarting the microphone…");
+  try {
+    await tracker.start();
+  } catch (error) {
+    console.error(error);
+    stopListening();
+    setStatus(error.message || "Unable to restart the microphone.");
+    return;
+  }
+  const recording = startRecording();
+  inputLost = false;
+  if (dronePlaying) {
+    drone.start(tracker.audioContext, tuning);
+    droneToggle.checked = true;
+    resetDroneGuard();
+    renderTuningLabel();
+  }
+  setStatus(`Listening… ${message}${recording ? "" : ` ${NO_RECORDING_NOTE}`}`);
+  refreshInputDevices();
+  renderDiagnostics();
+}
+
+function loadInputDevice() {
+  try {
+    return localStorage.getItem(INPUT_DEVICE_KEY) || null;
+  } catch {
+    return null;
+  }
+}
+
+function loadNoiseFloor() {
+  try {
+    const stored = localStorage.getItem(NOISE_FLOOR_KEY);
+    return stored === null ? null : Number(stored);
+  } catch {
+    return null;
+  }
+}
 
-    const noteData = frequencyToNoteData(frequency);
-    if (!noteData) {
+/**
+ * Measure the room noise with the student silent, so the gate opens only for playing. Starts listening if needed.
+ */
+async function calibrateNoise() {
+  if (!isRunning) {
+    await startListening();
+    if (!isRunning) {
       return;
     }
+  }
+  calibrateButton.disabled = true;
+  setStatus(`Measuring room noise… stay quiet for ${NOISE_CALIBRATION_MS / 1000} s.`);
+  try {
+    const floorDb = await tracker.calibrateNoise(NOISE_CALIBRATION_MS);
+    try {
+      localStorage.setItem(NOISE_FLOOR_KEY, floorDb.toFixed(1));
+    } catch (error) {
+      debugLog("Unable to remember the noise floor.", error);
+    }
+    setStatus(`Noise floor ${floorDb.toFixed(1)} dBFS; notes above ${tracker.gate.openThresholdDb.toFixed(1)} dBFS are tracked.`);
+  } catch (error) {
+    debugLog("Noise calibration failed.", error);
+    setStatus(error.message || "Unable to measure the room noise.");
+  } finally {
+    calibrateButton.disabled = false;
+  }
+}
 
-    renderReadouts(noteData);
-    if (timestamp - lastDetectionLog > 500) {
-      debugLog("Pitch detected.", {
-        frequency: noteData.frequency,
-        cents: noteData.cents,
-        note: noteData.noteName,
-        probability: estimation.probability,
-      });
-      lastDetectionLog = timestamp;
+function initInputControls() {
+  inputSelect.addEventListener("change", () => {
+    const deviceId = inputSelect.value || null;
+    try {
+      if (deviceId) {
+        localStorage.setItem(INPUT_DEVICE_KEY, deviceId);
+      } else {
+        localStorage.removeItem(INPUT_DEVICE_KEY);
+      }
+    } catch (error) {
+      debugLog("Unable to remember the input device.", error);
     }
-    const noteIndex = (noteData.nearestMidi + 1200) % 12;
-    visualizer.update({
-      frequency: noteData.frequency,
-      cents: noteData.cents,
-      noteIndex,
+    if (tracker.setDevice(deviceId) && isRunning) {
+      trackerRestart = trackerRestart.then(() => restartTracker(`Using ${inputSelect.selectedOptions[0].textContent}.`));
+    }
+  });
+  diagnosticsButton.addEventListener("click", () => {
+    diagnosticsPanel.hidden = !diagnosticsPanel.hidden;
+    renderDiagnostics();
+  });
+  diagnosticsCloseButton.addEventListener("click", () => {
+    diagnosticsPanel.hidden = true;
+  });
+  calibrateButton.addEventListener("click", calibrateNoise);
+  navigator.mediaDevices?.addEventListener?.("devicechange", handleDeviceChange);
+  refreshInputDevices();
+  renderDiagnostics();
+}
+
+function initBroadcastControls() {
+  broadcastButton.addEventListener("click", async () => {
+    if (broadcaster.isActive) {
+      broadcaster.stop();
+      broadcastLink.hidden = true;
+      setStatus("Broadcast stopped.");
+      return;
+    }
+    broadcaster.start();
+    const link = viewerUrl(location, broadcaster.room);
+    broadcastLink.href = link;
+    broadcastLink.hidden = false;
+    try {
+      await navigator.clipboard.writeText(link);
+      setStatus("Broadcasting. The viewer link for your teacher is copied to the clipboard.");
+    } catch (error) {
+      debugLog("Clipboard unavailable.", error);
+      setStatus(`Broadcasting. Send your teacher this link: ${link}`);
+    }
+  });
+}
+
+function renderBroadcastStatus(status, viewers) {
+  debugLog("Broadcast status.", status, viewers);
+  const labels = {
+    off: "Broadcast",
+    connecting: "Connecting…",
+    live: viewers === 1 ? "Live · 1 viewer" : `Live · ${viewers} viewers`,
+    reconnecting: "Reconnecting…",
+  };
+  broadcastButton.textContent = labels[status];
+  broadcastButton.classList.toggle("app__button--active", status === "live");
+  if (status === "reconnecting") {
+    setStatus("Cannot reach the broadcast relay (start it with \"node relay.js\" and open the app from it). Retrying…");
+  }
+}
+
+/**
+ * Rebuild the input list, keeping the chosen device listed (as unavailable) while it is unplugged.
+ */
+async function refreshInputDevices() {
+  let devices = [];
+  try {
+    devices = await listInputDevices();
+  } catch (error) {
+    debugLog("Unable to list input devices.", error);
+  }
+  const options = [new Option("Default input", "")];
+  devices
+    .filter((device) => device.deviceId && device.deviceId !== "default")
+    .forEach((device, index) => options.push(new Option(device.label || `Microphone ${index + 1}`, device.deviceId)));
+  if (tracker.deviceId && !devices.some((device) => device.deviceId === tracker.deviceId)) {
+    options.push(new Option("Selected microphone (disconnected)", tracker.deviceId));
+  }
+  inputSelect.replaceChildren(...options);
+  inputSelect.value = tracker.deviceId ?? "";
+  return devices;
+}
+
+function handleInputEnded(label) {
+  if (!isRunning) {
+    return;
+  }
+  inputLost = true;
+  debugLog("Input lost.", label);
+  resetReadouts();
+  renderDiagnostics();
+  setStatus(`${label} stopped delivering audio (disconnected?). Reconnect it or choose another input.`);
+  // Following the system default recovers straight away when another input is present.
+  if (!tracker.deviceId) {
+    trackerRestart = trackerRestart.then(() => restartTracker("Switched to the default input."));
+  }
+}
+
+async function handleDeviceChange() {
+  // refreshInputDevices() handles listing failures itself and then reports no devices.
+  const devices = await refreshInputDevices();
+  debugLog("Input devices changed.", devices.map((device) => device.label));
+  if (isRunning && inputLost && devices.some((device) => !tracker.deviceId || device.deviceId === tracker.deviceId)) {
+    trackerRestart = trackerRestart.then(() => restartTracker("The microphone is back."));
+  }
+}
+
+function renderDiagnostics() {
+  if (diagnosticsPanel.hidden) {
+    return;
+  }
+  const diagnostics = tracker.diagnostics();
+  if (!diagnostics) {
+    diagnosticsList.replaceChildren(...diagnosticRow("Status", inputLost ? "Input lost" : "Not listening"));
+    return;
+  }
+
+  const rows = [
+    ...diagnosticRow("Device", diagnostics.deviceLabel),
+    ...diagnosticRow("Input", inputLost ? "Lost" : diagnostics.muted ? "Muted by the system" : diagnostics.trackState),
+    ...diagnosticRow("Sample rate", `${diagnostics.sampleRate} Hz`),
+    ...diagnosticRow("Capture", diagnostics.captureMode === "worklet" ? "AudioWorklet" : "AnalyserNode polling"),
+  ];
+  if (Number.isFinite(diagnostics.baseLatency)) {
+    rows.push(...diagnosticRow("Base latency", `${(diagnostics.baseLatency * 1000).toFixed(1)} ms`));
+  }
+  // Requested constraints next to what the browser applied; browsers may ignore some of them.
+  for (const [key, requested] of Object.entries(diagnostics.requested)) {
+    const applied = diagnostics.applied[key];
+    const value = key === "deviceId" ? "exact" : String(requested);
+    rows.push(...diagnosticRow(key, `${value} → ${applied === undefined ? "not reported" : String(applied)}`));
+  }
+  diagnosticsList.replaceChildren(...rows);
+}
+
+function diagnosticRow(term, description) {
+  const dt = document.createElement("dt");
+  dt.textContent = term;
+  const dd = document.createElement("dd");
+  dd.textContent = description;
+  return [dt, dd];
+}
+
+function renderLevelMeter(estimation, timestamp) {
+  if (diagnosticsPanel.hidden || !estimation || timestamp - lastLevelRender < LEVEL_METER_INTERVAL_MS) {
+    return;
+  }
+  lastLevelRender = timestamp;
+  // Show the microphone's own level, before auto-gain lifts it.
+  const gain = Math.max(estimation.gain ?? 1, 1e-6);
+  const toDb = (value) => 20 * Math.log10(Math.max(value / gain, 1e-6));
+  const position = (db) => `${Math.max(0, Math.min(100, (1 - db / LEVEL_METER_FLOOR_DB) * 100))}%`;
+  const rmsDb = toDb(estimation.rms ?? 0);
+  const peakDb = Number.isFinite(estimation.peak) ? toDb(estimation.peak) : rmsDb;
+  levelMeterFill.style.width = position(rmsDb);
+  levelMeterPeak.style.left = position(peakDb);
+  levelMeterPeak.classList.toggle("meter__peak--clip", peakDb > -1);
+  const gate = estimation.gate;
+  const openDb = tracker.gate.openThresholdDb;
+  levelMeterGate.hidden = openDb === null;
+  if (openDb !== null) {
+    levelMeterGate.style.left = position(openDb);
+  }
+  const gateText = !gate ? "" : tracker.gate.isCalibrating
+    ? " · calibrating"
+    : ` · gate ${gate.open ? "open" : "closed"}${gate.floorDb === null ? "" : `, floor ${gate.floorDb.toFixed(1)}`}`;
+  levelMeterLabel.textContent = `${rmsDb.toFixed(1)} dBFS · peak ${peakDb.toFixed(1)} · gain ×${gain.toFixed(1)}${gateText}`;
+}
+
+function initStatisticsControls() {
+  statsToleranceInput.value = String(noteStatistics.toleranceCents);
+  statsToleranceInput.addEventListener("change", () => {
+    try {
+      noteStatistics.setTolerance(Number(statsToleranceInput.value));
+    } catch (error) {
+      setStatus(error.message);
+      statsToleranceInput.value = String(noteStatistics.toleranceCents);
+      return;
+    }
+    renderStatistics();
+  });
+  statsResetButton.addEventListener("click", () => {
+    noteStatistics.reset();
+    renderStatistics();
+  });
+}
+
+/**
+ * Rebuild the statistics table; pass the frame timestamp to throttle updates while playing.
+ */
+function renderStatistics(timestamp = null) {
+  if (timestamp !== null && timestamp - lastStatsRender < STATS_RENDER_INTERVAL_MS) {
+    return;
+  }
+  lastStatsRender = timestamp ?? 0;
+
+  const entries = noteStatistics.entries();
+  statsEmpty.hidden = entries.length > 0;
+  statsBody.replaceChildren(...entries.map((entry) => {
+    const row = document.createElement("tr");
+    const cell = (text) => {
+      const element = document.createElement("td");
+      element.textContent = text;
+      row.append(element);
+      return element;
+    };
+    cell(entry.noteName);
+    cell(formatCents(entry.meanCents)).style.color = colorForCents(entry.meanCents);
+
+    // Mean and ±1 SD on a ±50 ¢ scale, so notes that are always sharp or flat stand out down the column.
+    const position = (cents) => Math.max(0, Math.min(100, 50 + cents));
+    const bar = document.createElement("div");
+    bar.className = "stats__bar";
+    const spread = document.createElement("span");
+    spread.className = "stats__spread";
+    spread.style.left = `${position(entry.meanCents - entry.stdCents)}%`;
+    spread.style.right = `${100 - position(entry.meanCents + entry.stdCents)}%`;
+    const mean = document.createElement("span");
+    mean.className = "stats__mean";
+    mean.style.left = `${position(entry.meanCents)}%`;
+    mean.style.background = colorForCents(entry.meanCents);
+    bar.append(spread, mean);
+    cell("").append(bar);
+
+    cell(`±${entry.stdCents.toFixed(1)} ¢`);
+    cell(entry.time < 60 ? `${entry.time.toFixed(1)} s` : formatDuration(entry.time));
+    cell(formatPercent(entry.withinTolerance));
+    return row;
+  }));
+}
+
+function initHistoryControls() {
+  if (!PracticeHistory.isSupported) {
+    historyButton.disabled = true;
+    historyButton.title = "This browser cannot store practice history.";
+    return;
+  }
+  historyButton.addEventListener("click", () => {
+    historyPanel.hidden = !historyPanel.hidden;
+    if (!historyPanel.hidden) {
+      trendChart.resize();
+      refreshHistory();
+    }
+  });
+  historyCloseButton.addEventListener("click", () => {
+    historyPanel.hidden = true;
+  });
+  historyPitchSelect.addEventListener("change", renderHistoryTrend);
+  historyExportButton.addEventListener("click", async () => {
+    try {
+      const date = new Date().toISOString().slice(0, 10);
+      downloadText(await practiceHistory.exportJSON(), `practice-history-${date}.json`, "application/json");
+    } catch (error) {
+      console.error(error);
+      setStatus(error.message || "Unable to export the practice history.");
+    }
+  });
+  historyInput.addEventListener("change", async () => {
+    const [file] = historyInput.files;
+    historyInput.value = "";
+    if (!file) {
+      return;
+    }
+    try {
+      const added = await practiceHistory.importJSON(await file.text());
+      setStatus(`Imported ${added} practice session${added === 1 ? "" : "s"} from ${file.name}.`);
+      await refreshHistory();
+    } catch (error) {
+      console.error(error);
+      setStatus(error.message || `Unable to import ${file.name}.`);
+    }
+  });
+  historyClearButton.addEventListener("click", async () => {
+    if (!confirm("Delete all stored practice sessions? Export them first to keep a copy.")) {
+      return;
+    }
+    try {
+      await practiceHistory.clear();
+      await refreshHistory();
+      setStatus("Practice history deleted.");
+    } catch (error) {
+      console.error(error);
+      setStatus(error.message || "Unable to delete the practice history.");
+    }
+  });
+
+  // Keep what was played if the page is closed while listening.
+  window.addEventListener("pagehide", () => {
+    if (isRunning) {
+      segmenter.flush();
+      savePractice();
+    }
+  });
+}
+
+async function savePractice() {
+  const record = practiceLog.finish();
+  if (!record || !PracticeHistory.isSupported) {
+    return;
+  }
+  try {
+    await practiceHistory.add(record);
+    debugLog("Practice session saved.", {notes: record.noteCount, duration: record.duration});
+    if (!historyPanel.hidden) {
+      await refreshHistory();
+    }
+  } catch (error) {
+    console.error(error);
+    setStatus(error.message || "Unable to save this practice session.");
+  }
+}
+
+async function refreshHistory() {
+  try {
+    historyRecords = await practiceHistory.list();
+  } catch (error) {
+    console.error(error);
+    setStatus(error.message || "Unable to read the practice history.");
+    return;
+  }
+
+  if (!historyRecords.length) {
+    historySummary.textContent = "No sessions yet. Sessions are saved when you stop listening.";
+  } else {
+    const totalSeconds = historyRecords.reduce((sum, record) => sum + record.duration, 0);
+    const since = new Date(historyRecords[0].startedAt).toLocaleDateString();
+    historySummary.textContent = `${historyRecords.length} sessions · ${formatDuration(totalSeconds)} since ${since}`;
+  }
+
+  // Pitch classes first, then individual notes (e.g. F5 for F on the E string), each with its total count.
+  const counts = new Map();
+  for (const record of historyRecords) {
+    for (const table of [record.pitchClasses, record.notes ?? {}]) {
+      for (const [key, {count}] of Object.entries(table)) {
+        counts.set(key, (counts.get(key) ?? 0) + count);
+      }
+    }
+  }
+  const pitchClasses = NOTE_NAMES.filter((name) => counts.has(name));
+  const notes = Array.from(counts.keys())
+    .filter((key) => /\d$/.test(key))
+    .sort((a, b) => noteNameToMidi(a) - noteNameToMidi(b));
+
+  const selected = counts.has(historyPitchSelect.value)
+    ? historyPitchSelect.value
+    : pitchClasses.reduce((best, name) => (counts.get(name) > (counts.get(best) ?? 0) ? name : best), pitchClasses[0] ?? "");
+  historyPitchSelect.replaceChildren();
+  for (const [label, keys] of [["Pitch classes", pitchClasses], ["Notes", notes]]) {
+    if (!keys.length) {
+      continue;
+    }
+    const group = document.createElement("optgroup");
+    group.label = label;
+    keys.forEach((key) => group.append(new Option(`${key} (${counts.get(key)})`, key)));
+    historyPitchSelect.append(group);
+  }
+  historyPitchSelect.value = selected;
+
+  // One chip per pitch class: latest session's average, and where it started.
+  historyPitchList.replaceChildren(...pitchClasses.map((name) => {
+    const trend = pitchTrend(historyRecords, name);
+    const latest = trend[trend.length - 1];
+    const item = document.createElement("li");
+    item.className = "note-chip";
+    item.dataset.pitch = name;
+    item.title = `${counts.get(name)} notes in ${trend.length} sessions`;
+    const label = document.createElement("span");
+    label.className = "note-chip__name";
+    label.textContent = name;
+    const cents = document.createElement("span");
+    cents.textContent = formatCents(latest.meanCents);
+    cents.style.color = colorForCents(latest.meanCents);
+    const change = document.createElement("span");
+    change.className = "note-chip__score";
+    change.textContent = trend.length > 1 ? `from ${formatCents(trend[0].meanCents)}` : "";
+    item.append(label, cents, change);
+    item.addEventListener("click", () => {
+      historyPitchSelect.value = name;
+      renderHistoryTrend();
     });
-    setStatus("Listening", estimation);
-  }, UPDATE_INTERVAL_MS);
+    return item;
+  }));
+  renderHistoryTrend();
 }
 
-function renderReadouts(noteData) {
+function renderHistoryTrend() {
+  const key = historyPitchSelect.value;
+  for (const item of historyPitchList.children) {
+    item.classList.toggle("note-chip--selected", item.dataset.pitch === key);
+  }
+  if (!key) {
+    trendChart.render([]);
+    return;
+  }
+  const trend = pitchTrend(historyRecords, key);
+  const latest = trend[trend.length - 1];
+  const overall = latest ? overallStats(historyRecords, key) : null;
+  const label = overall
+    ? `${key}: ${formatCents(latest.meanCents)} last session · ${formatCents(overall.meanCents)} ±${overall.stdCents.toFixed(1)} ¢ overall`
+    : key;
+  trendChart.render(trend, label);
+}
+
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator) || !/^https?:$/.test(location.protocol)) {
+    return;
+  }
+  navigator.serviceWorker.register("service-worker.js").then(() => navigator.serviceWorker.ready).then((registration) => {
+    // Files loaded before the worker took over are cached now, so the app opens offline after a single visit.
+    const urls = [location.href, ...performance.getEntriesByType("resource").map((entry) => entry.name)];
+    registration.active?.postMessage({type: "cache", urls});
+  }).catch((error) => debugLog("Service worker registration failed.", error));
+}
+
+function initDoubleStopControls() {
+  doubleStopToggle.checked = tracker.doubleStops;
+  doubleStopToggle.addEventListener("change", () => {
+    tracker.setDoubleStops(doubleStopToggle.checked);
+    doubleStopDisplay = null;
+    doubleStopReadout.hidden = true;
+  });
+}
+
+function renderDoubleStop(doubleStop, timestamp) {
+  if (!doubleStop) {
+    if (doubleStopDisplay && timestamp - doubleStopDisplay.time > DOUBLE_STOP_HOLD_MS) {
+      doubleStopDisplay = null;
+      doubleStopReadout.hidden = true;
+    }
+    return;
+  }
+
+  const {lower, upper, interval} = doubleStop;
+  const lowerNote = frequencyToNoteData(lower, tuning);
+  const upperNote = frequencyToNoteData(upper, tuning);
+  const same = doubleStopDisplay &&
+    doubleStopDisplay.lowerMidi === lowerNote.nearestMidi && doubleStopDisplay.upperMidi === upperNote.nearestMidi;
+  // Smooth the readings while the same two notes sound, so the numbers can be read.
+  const smooth = (previous, next) => (same && Number.isFinite(previous) && Number.isFinite(next) ? previous + 0.3 * (next - previous) : next);
+  doubleStopDisplay = {
+    time: timestamp,
+    lowerMidi: lowerNote.nearestMidi,
+    upperMidi: upperNote.nearestMidi,
+    centsFromPure: smooth(doubleStopDisplay?.centsFromPure, interval.centsFromPure),
+    beatRate: smooth(doubleStopDisplay?.beatRate, interval.beatRate),
+  };
+
+  const beats = Number.isFinite(doubleStopDisplay.beatRate) ? ` · beats ${doubleStopDisplay.beatRate.toFixed(1)} Hz` : "";
+  doubleStopReadout.hidden = false;
+  doubleStopReadout.textContent = `${lowerNote.noteName} + ${upperNote.noteName} · ${interval.name} · ${formatCents(doubleStopDisplay.centsFromPure)} from pure${beats}`;
+}
+
+function initVibratoControls() {
+  vibratoToggle.checked = visualizer.showVibratoCenter;
+  vibratoToggle.addEventListener("change", () => {
+    visualizer.setVibratoCenterVisible(vibratoToggle.checked);
+    if (!vibratoToggle.checked) {
+      vibratoReadout.hidden = true;
+    }
+  });
+}
+
+function renderVibrato(vibrato, centerCents) {
+  if (!visualizer.showVibratoCenter || !vibrato.active) {
+    vibratoReadout.hidden = true;
+    return;
+  }
+  vibratoReadout.hidden = false;
+  vibratoReadout.textContent = `Vibrato ${vibrato.rate.toFixed(1)} Hz · ±${vibrato.width.toFixed(0)} ¢ · centre ${formatCents(centerCents)}`;
+}
+
+function renderReadouts(noteData, centerCents = null) {
+  // In vibrato-centre mode the cents readout follows the centre instead of the oscillating raw pitch.
+  const cents = Number.isFinite(centerCents) ? centerCents : noteData.cents;
   frequencyLabel.textContent = formatFrequency(noteData.frequency);
   noteLabel.textContent = noteData.noteName;
-  centsLabel.textContent = formatCents(noteData.cents);
-  centsLabel.style.color = colorForCents(noteData.cents);
+  centsLabel.textContent = formatCents(cents);
+  centsLabel.style.color = colorForCents(cents);
+}
+
+function renderNoteEvent(note) {
+  debugLog("Note segmented.", note);
+  handleExerciseNote(note);
+  handleScoreNote(note);
+  practiceLog.add(note);
+  const item = document.createElement("li");
+  item.className = "note-chip";
+  item.title = [
+    `${Math.round(note.duration)} ms`,
+    `mean ${formatCents(note.meanCents)}`,
+    `median ${formatCents(note.medianCents)}`,
+    `stability ±${note.stability.toFixed(1)} ¢`,
+  ].join(" · ");
+
+  const name = document.createElement("span");
+  name.className = "note-chip__name";
+  name.textContent = note.noteName;
+  const cents = document.createElement("span");
+  cents.textContent = formatCents(note.medianCents);
+  cents.style.color = colorForCents(note.medianCents);
+  const score = document.createElement("span");
+  score.className = "note-chip__score";
+  score.textContent = String(note.score);
+
+  item.append(name, cents, score);
+  noteList.prepend(item);
+  while (noteList.children.length > MAX_RECENT_NOTES) {
+    noteList.lastElementChild.remove();
+  }
 }
 
 function resetReadouts() {
@@ -200,11 +1925,12 @@ function resetReadouts() {
   noteLabel.textContent = "—";
   centsLabel.textContent = "— ¢";
   centsLabel.style.color = "";
+  vibratoReadout.hidden = true;
 }
 
 function setStatus(message, info = {}) {
   const parts = [];
-  if (ENABLE_DETAILED_STATUS) {
+  if (settings.detailedStatus) {
     if (Number.isFinite(info.peak)) {
       parts.push(`peak ${formatPeak(Math.max(0, Math.min(1, info.peak)))}`);
     }
@@ -214,6 +1940,9 @@ function setStatus(message, info = {}) {
     if (Number.isFinite(info.gain)) {
       parts.push(`gain ×${info.gain.toFixed(2)}`);
     }
+    if (info.octave?.corrected) {
+      parts.push(`octave fixed from ${info.octave.from.toFixed(1)} Hz${info.octave.confident ? "" : " (unsure)"}`);
+    }
   }
 
   let text = message || "";
@@ -244,10 +1973,18 @@ function formatPeak(peak) {
   return `${(peak * 100).toFixed(1)}%`;
 }
 
-window.addEventListener("beforeunload", () => {
-  if (pollTimer) {
-    clearInterval(pollTimer);
+window.addEventListener("keydown", (event) => {
+  if (event.key === "Escape" && audioRecorder.isPlaying) {
+    stopPlayback();
   }
+});
+
+window.addEventListener("beforeunload", () => {
+  broadcaster.stop();
+  audioRecorder.reset();
+  sessionReplay?.stop();
   tracker.stop();
   visualizer.destroy();
+  contourView.destroy();
+  tunerDial.destroy();
 });
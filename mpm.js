@@ -0,0 +1,140 @@
+import {Autocorrelation} from './fft.js';
+
+// Cut-off factors tried by the probabilistic variant, like pYIN's distribution of thresholds.
+const CUTOFFS = Array.from({length: 21}, (_, index) => 0.8 + index * 0.01);
+
+// Implements the McLeod Pitch Method: key maxima of the normalized square difference function (NSDF).
+export class McLeodPitchDetector {
+  constructor(sampleRate, {
+    cutoff = 0.93, // the first key maximum within this factor of the highest one is the period
+    probabilityThreshold = 0.1,
+    bufferSize = 2048,
+  } = {}) {
+    this.sampleRate = sampleRate;
+    this.cutoff = cutoff;
+    this.probabilityThreshold = probabilityThreshold;
+    this.bufferSize = bufferSize;
+    // Same lag range as YIN, so both report the same lowest pitch for a given buffer size.
+    this.halfBuffer = Math.floor(bufferSize / 2);
+    this.autocorrelation = new Autocorrelation(bufferSize);
+    this.correlation = new Float64Array(this.halfBuffer);
+    this.nsdf = new Float32Array(this.halfBuffer);
+  }
+
+  /**
+   * Estimate the fundamental frequency present in the given audio buffer.
+   * Returns null when no peak is clear enough; the probability is the NSDF value (clarity) at the chosen peak.
+   * `candidates` ranks all key maxima by clarity.
+   */
+  getPitch(buffer) {
+    const maxima = this._keyMaxima(buffer);
+    const peak = this._pick(maxima, this.cutoff);
+    if (!peak || peak.clarity < this.probabilityThreshold) {
+      return null;
+    }
+    return {
+      frequency: this.sampleRate / peak.tau,
+      probability: peak.clarity,
+      candidates: [...maxima]
+        .sort((a, b) => b.clarity - a.clarity)
+        .map(({tau, clarity}) => ({frequency: this.sampleRate / tau, probability: clarity})),
+    };
+  }
+
+  /**
+   * Most probable candidate with the full candidate list attached for HMM tracking, or null without candidates.
+   */
+  getProbabilisticPitch(buffer) {
+    const candidates = this.getCandidates(buffer);
+    if (!candidates.length) {
+      return null;
+    }
+    return {
+      ...candidates[0],
+      candidates,
+    };
+  }
+
+  /**
+   * Every cut-off in 0.8–1.0 votes for the key maximum it would pick; a candidate's probability is its share of
+   * the votes times its clarity, so the probabilities sum to at most 1.
+   */
+  getCandidates(buffer) {
+    const maxima = this._keyMaxima(buffer);
+    const votes = new Map();
+    for (const cutoff of CUTOFFS) {
+      const peak = this._pick(maxima, cutoff);
+      if (peak) {
+        votes.set(peak, (votes.get(peak) || 0) + 1 / CUTOFFS.length);
+      }
+    }
+    return Array.from(votes, ([peak, share]) => ({
+      frequency: this.sampleRate / peak.tau,
+      probability: share * Math.max(0, peak.clarity),
+    }))
+      .filter((candidate) => candidate.probability > 0)
+      .sort((a, b) => b.probability - a.probability);
+  }
+
+  _pick(maxima, cutoff) {
+    if (!maxima.length) {
+      return null;
+    }
+    const highest = Math.max(...maxima.map((peak) => peak.clarity));
+    return maxima.find((peak) => peak.clarity >= cutoff * highest);
+  }
+
+  _normalizedSquareDifference(buffer) {
+    // n(tau) = 2·r(tau) / m(tau), where m(tau) sums the squares of both overlapping parts.
+    this.autocorrelation.compute(buffer, this.correlation);
+    let energy = 2 * this.correlation[0];
+    for (let tau = 0; tau < this.halfBuffer; tau++) {
+      if (tau > 0) {
+        const leaving = buffer[tau - 1];
+        const trailing = buffer[this.bufferSize - tau];
+        energy -= leaving * leaving + trailing * trailing;
+      }
+      this.nsdf[tau] = energy > 0 ? (2 * this.correlation[tau]) / energy : 0;
+    }
+  }
+
+  _keyMaxima(buffer) {
+    this._normalizedSquareDifference(buffer);
+    // The highest value between each positive-going zero crossing and the next negative-going one; the lobe around
+    // lag 0 is skipped.
+    const maxima = [];
+    let tau = 1;
+    while (tau < this.halfBuffer && this.nsdf[tau] > 0) {
+      tau++;
+    }
+    let best = -1;
+    for (; tau < this.halfBuffer; tau++) {
+      const value = this.nsdf[tau];
+      if (value > 0) {
+        if (best === -1 || value > this.nsdf[best]) {
+          best = tau;
+        }
+      } else if (best !== -1) {
+        maxima.push(this._interpolate(best));
+        best = -1;
+      }
+    }
+    // A lobe cut off by the end of the lag range has no known maximum and is not used.
+    return maxima;
+  }
+
+  _interpolate(tau) {
+    if (tau < 1 || tau + 1 >= this.halfBuffer) {
+      return {tau, clarity: this.nsdf[tau]};
+    }
+    const s0 = this.nsdf[tau - 1];
+    const s1 = this.nsdf[tau];
+    const s2 = this.nsdf[tau + 1];
+    const denominator = 2 * (2 * s1 - s2 - s0);
+    const shift = denominator !== 0 ? (s2 - s0) / denominator : 0;
+    if (!isFinite(shift) || Math.abs(shift) > 1) {
+      return {tau, clarity: s1};
+    }
+    return {tau: tau + shift, clarity: s1 + ((s2 - s0) * shift) / 4};
+  }
+}
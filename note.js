@@ -1,31 +1,65 @@
-const NOTE_NAMES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+import {DEFAULT_TUNING, TEMPERAMENTS} from './tuning.js';
+
+export const NOTE_NAMES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
 
 /**
- * Convert a frequency in Hz to equal-tempered note data relative to A4 = 440 Hz.
+ * Convert a frequency in Hz to note data relative to the given tuning (A4 = 440 Hz equal temperament by default).
+ * `cents` is the deviation from the tuning's target pitch; `equalCents` is the deviation from equal temperament.
  */
-export function frequencyToNoteData(frequency) {
+export function frequencyToNoteData(frequency, tuning = DEFAULT_TUNING) {
   if (!frequency || frequency <= 0) {
     return null;
   }
 
-  const midi = 69 + 12 * Math.log2(frequency / 440);
-  const nearestMidi = Math.round(midi);
-  const noteIndex = (nearestMidi + 1200) % 12; // ensure positive
-  const octave = Math.floor(nearestMidi / 12) - 1;
-  const noteName = `${NOTE_NAMES[noteIndex]}${octave}`;
-  const equalFrequency = 440 * Math.pow(2, (nearestMidi - 69) / 12);
-  const cents = 1200 * Math.log2(frequency / equalFrequency);
+  const {midi, nearestMidi, cents, targetFrequency} = tuning.nearestTarget(frequency);
+  const noteName = midiToNoteName(nearestMidi);
+  const equalFrequency = tuning.equalFrequency(nearestMidi);
+  const equalCents = 1200 * Math.log2(frequency / equalFrequency);
 
   return {
     frequency,
     midi,
     nearestMidi,
     cents,
+    equalCents,
     equalFrequency,
+    targetFrequency,
     noteName,
   };
 }
 
+export function midiToNoteName(midi) {
+  const noteIndex = (midi + 1200) % 12; // ensure positive
+  const octave = Math.floor(midi / 12) - 1;
+  return `${NOTE_NAMES[noteIndex]}${octave}`;
+}
+
+/**
+ * Parse a pitch-class name such as "G", "F#" or "Bb" into its index (C = 0), or -1 when unknown.
+ */
+export function pitchClassFromName(name) {
+  const match = /^([A-Ga-g])([#b♯♭]?)$/.exec(String(name).trim());
+  if (!match) {
+    return -1;
+  }
+  const natural = NOTE_NAMES.indexOf(match[1].toUpperCase());
+  const accidental = match[2] === "#" || match[2] === "♯" ? 1 : match[2] ? -1 : 0;
+  return (natural + accidental + 12) % 12;
+}
+
+/**
+ * Parse a note name with octave such as "G3", "F#5" or "Bb4" into its MIDI number, or null when unknown.
+ */
+export function noteNameToMidi(name) {
+  const match = /^([A-Ga-g])([#b♯♭]?)(-?\d)$/.exec(String(name).trim());
+  if (!match) {
+    return null;
+  }
+  const natural = NOTE_NAMES.indexOf(match[1].toUpperCase());
+  const accidental = match[2] === "#" || match[2] === "♯" ? 1 : match[2] ? -1 : 0;
+  return (Number(match[3]) + 1) * 12 + natural + accidental;
+}
+
 export function formatFrequency(frequency) {
   return `${frequency.toFixed(1)} Hz`;
 }
@@ -34,3 +68,11 @@ export function formatCents(cents) {
   const sign = cents > 0 ? "+" : "";
   return `${sign}${cents.toFixed(1)} ¢`;
 }
+
+export function formatTuning(tuning) {
+  const reference = `A4 = ${Number(tuning.referenceFrequency.toFixed(2))} Hz`;
+  if (tuning.temperament === "equal") {
+    return reference;
+  }
+  return `${reference} · ${TEMPERAMENTS[tuning.temperament].label} on ${NOTE_NAMES[tuning.tonic]}`;
+}
@@ -0,0 +1,203 @@
+import {createPitchDetector} from './detectors.js';
+import {analyseAmplitude} from './amplitude.js';
+import {PitchFilter} from './filter.js';
+import {PitchHmm} from './pyin.js';
+import {frequencyToNoteData} from './note.js';
+import {DEFAULT_TUNING} from './tuning.js';
+
+const DECODE_SAMPLE_RATE = 44100;
+const YIELD_EVERY_FRAMES = 200;
+
+/**
+ * Decode a dropped or selected audio file (WAV/MP3/OGG, whatever the browser supports) into mono samples.
+ */
+export async function decodeAudioFile(file) {
+  const data = await file.arrayBuffer();
+  const OfflineContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  // decodeAudioData resamples to the context rate, so a tiny offline context is enough to decode.
+  const context = new OfflineContextClass(1, 1, DECODE_SAMPLE_RATE);
+  let audioBuffer;
+  try {
+    audioBuffer = await context.decodeAudioData(data);
+  } catch (error) {
+    throw new Error(`Could not decode ${file.name}: unsupported or damaged audio file.`);
+  }
+
+  const channels = [];
+  for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+    channels.push(audioBuffer.getChannelData(channel));
+  }
+
+  return {
+    samples: mixToMono(channels),
+    sampleRate: audioBuffer.sampleRate,
+    duration: audioBuffer.duration,
+  };
+}
+
+export function mixToMono(channels) {
+  if (channels.length === 1) {
+    return channels[0];
+  }
+
+  const length = channels[0].length;
+  const mono = new Float32Array(length);
+  for (const channel of channels) {
+    for (let i = 0; i < length; i++) {
+      mono[i] += channel[i] / channels.length;
+    }
+  }
+  return mono;
+}
+
+/**
+ * Run the live detection pipeline over a whole recording: amplitude gate and the pitch detector (`detector`, YIN by
+ * default) with range and jump filtering, or its candidates decoded by the pitch HMM when `detectionMode` is "pyin".
+ * Yields one frame per hop; `time` is the centre of the analysis window in milliseconds from the start.
+ * Frames without an accepted pitch carry `frequency: null`.
+ */
+export function* analyseFrames(samples, sampleRate, options = {}) {
+  const settings = resolveOptions(sampleRate, options);
+  if (settings.detectionMode === "pyin") {
+    // Decode the whole recording at once so every decision benefits from full Viterbi backtracking.
+    const frames = Array.from(candidateFrames(samples, sampleRate, settings));
+    yield* decodeCandidateFrames(frames, settings);
+    return;
+  }
+
+  const detector = createDetector(sampleRate, settings);
+  const filter = new PitchFilter(settings.filterOptions);
+  for (const {time, frame, rms, peak} of readWindows(samples, sampleRate, settings)) {
+    const estimation = rms >= settings.rmsThreshold ? detector.getPitch(frame) : null;
+
+    if (!estimation || !Number.isFinite(estimation.frequency) || estimation.frequency <= 0) {
+      filter.miss();
+      yield {time, frequency: null, probability: 0, rms, peak, noteData: null};
+      continue;
+    }
+
+    const frequency = filter.accept(estimation.frequency, time);
+    yield {
+      time,
+      frequency,
+      rawFrequency: estimation.frequency,
+      probability: estimation.probability,
+      rms,
+      peak,
+      noteData: frequency === null ? null : frequencyToNoteData(frequency, settings.tuning),
+    };
+  }
+}
+
+/**
+ * Collect all frames of a recording, periodically yielding to the event loop so the page stays responsive.
+ */
+export async function analyseSamples(samples, sampleRate, {onProgress = null, ...options} = {}) {
+  const settings = resolveOptions(sampleRate, options);
+  const pyin = settings.detectionMode === "pyin";
+  const source = pyin
+    ? candidateFrames(samples, sampleRate, settings)
+    : analyseFrames(samples, sampleRate, settings);
+  const durationMs = (samples.length / sampleRate) * 1000;
+  const frames = [];
+
+  for (const frame of source) {
+    frames.push(frame);
+    if (frames.length % YIELD_EVERY_FRAMES === 0) {
+      if (onProgress) {
+        onProgress(Math.min(1, frame.time / durationMs));
+      }
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+  }
+
+  const results = pyin ? Array.from(decodeCandidateFrames(frames, settings)) : frames;
+  if (onProgress) {
+    onProgress(1);
+  }
+  return results;
+}
+
+function resolveOptions(sampleRate, {
+  bufferSize = 2048,
+  hopSize = Math.round(sampleRate * 0.02),
+  yinThreshold = 0.1,
+  probabilityThreshold = 0.15,
+  rmsThreshold = 0.01,
+  normalize = true,
+  detectionMode = "yin",
+  detector = "yin",
+  octaveCheck = true,
+  filterOptions = {},
+  tuning = DEFAULT_TUNING,
+} = {}) {
+  if (detectionMode !== "yin" && detectionMode !== "pyin") {
+    throw new Error(`Unknown detection mode: ${detectionMode}`);
+  }
+  return {
+    bufferSize,
+    hopSize,
+    yinThreshold,
+    probabilityThreshold,
+    rmsThreshold,
+    normalize,
+    detectionMode,
+    detector,
+    octaveCheck,
+    filterOptions,
+    tuning,
+  };
+}
+
+function createDetector(sampleRate, {detector, octaveCheck, bufferSize, yinThreshold, probabilityThreshold}) {
+  return createPitchDetector(detector, sampleRate, {yinThreshold, probabilityThreshold, bufferSize, octaveCheck});
+}
+
+function* readWindows(samples, sampleRate, {bufferSize, hopSize, normalize}) {
+  // Live input is levelled by the auto-gain stage; peak-normalising gives files a comparable gate level.
+  const scale = normalize ? 1 / Math.max(analyseAmplitude(samples).peak, 1e-6) : 1;
+  const frame = new Float32Array(bufferSize);
+
+  for (let start = 0; start + bufferSize <= samples.length; start += hopSize) {
+    for (let i = 0; i < bufferSize; i++) {
+      frame[i] = samples[start + i] * scale;
+    }
+    const {rms, peak} = analyseAmplitude(frame);
+    yield {
+      time: ((start + bufferSize / 2) / sampleRate) * 1000,
+      frame,
+      rms,
+      peak,
+    };
+  }
+}
+
+function* candidateFrames(samples, sampleRate, settings) {
+  const detector = createDetector(sampleRate, settings);
+  for (const {time, rms, peak, frame} of readWindows(samples, sampleRate, settings)) {
+    const estimation = rms >= settings.rmsThreshold ? detector.getProbabilisticPitch(frame) : null;
+    yield {time, rms, peak, candidates: estimation ? estimation.candidates : []};
+  }
+}
+
+function* decodeCandidateFrames(frames, {filterOptions, tuning}) {
+  const hmm = new PitchHmm({
+    minFrequency: filterOptions.minFrequency,
+    maxFrequency: filterOptions.maxFrequency,
+  });
+  const decisions = hmm.decode(frames);
+
+  for (let index = 0; index < frames.length; index++) {
+    const {time, rms, peak, candidates} = frames[index];
+    const {voiced, frequency, probability} = decisions[index];
+    yield {
+      time,
+      frequency: voiced ? frequency : null,
+      rawFrequency: candidates.length ? candidates[0].frequency : null,
+      probability,
+      rms,
+      peak,
+      noteData: voiced ? frequencyToNoteData(frequency, tuning) : null,
+    };
+  }
+}
@@ -0,0 +1,73 @@
+import {midiToNoteName} from './note.js';
+import {DEFAULT_TUNING} from './tuning.js';
+
+// Announces notes while they sound: a note starts once its pitch has held steady and ends after a stretch of silence
+// or when another note takes over. NoteSegmenter, by contrast, reports a note with its statistics after it ended.
+export class NoteOnsetTracker {
+  constructor({
+    onHoldMs = 50, // a pitch must stay within one semitone this long before its note starts
+    offHoldMs = 80, // unvoiced frames must last this long before the note ends
+    tuning = DEFAULT_TUNING, // pitches are named after the nearest note of this tuning, as in the readout
+  } = {}) {
+    this.onHoldMs = onHoldMs;
+    this.offHoldMs = offHoldMs;
+    this.tuning = tuning;
+    this.reset();
+  }
+
+  reset() {
+    this.current = null;
+    this.pending = null;
+  }
+
+  /**
+   * Feed one estimation ({time, frequency}, frequency null when unvoiced). Returns the `noteon` and `noteoff`
+   * events it completes, oldest first; each is stamped with the time the note actually started or ended.
+   */
+  push({time, frequency}) {
+    const midi = frequency > 0 ? this.tuning.nearestTarget(frequency).nearestMidi : null;
+    if (midi !== null && midi === this.current?.midi) {
+      this.current.lastVoicedTime = time;
+      this.pending = null;
+      return [];
+    }
+
+    const events = [];
+    if (this.current && time - this.current.lastVoicedTime >= this.offHoldMs) {
+      events.push(this._end(this.current.lastVoicedTime));
+    }
+    if (midi === null) {
+      this.pending = null;
+      return events;
+    }
+
+    if (this.pending?.midi !== midi) {
+      this.pending = {midi, frequency, time};
+    }
+    if (time - this.pending.time >= this.onHoldMs) {
+      const {time: onset, frequency: onsetFrequency} = this.pending;
+      if (this.current) {
+        events.push(this._end(onset));
+      }
+      this.current = {midi, onset, lastVoicedTime: time};
+      this.pending = null;
+      events.push({type: "noteon", time: onset, midi, noteName: midiToNoteName(midi), frequency: onsetFrequency});
+    }
+    return events;
+  }
+
+  /**
+   * End the sounding note, e.g. when listening stops. Returns its `noteoff` event, if any.
+   */
+  flush() {
+    const events = this.current ? [this._end(this.current.lastVoicedTime)] : [];
+    this.pending = null;
+    return events;
+  }
+
+  _end(time) {
+    const {midi, onset} = this.current;
+    this.current = null;
+    return {type: "noteoff", time, midi, noteName: midiToNoteName(midi), duration: time - onset};
+  }
+}
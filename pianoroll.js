@@ -0,0 +1,153 @@
+import {midiToNoteName} from './note.js';
+
+const GUTTER_WIDTH = 40;
+const CENTS_RANGE = 50;
+const LEAD_FRACTION = 0.3; // the expected note sits this far across the view
+
+// Piano-roll view of a followed score, with each note coloured by how it was played.
+export class PianoRoll {
+  constructor(canvas, {timeWindow = 8} = {}) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext("2d");
+    this.timeWindow = timeWindow; // seconds of score time across the view
+    this.notes = [];
+    this.results = [];
+    this.position = -1;
+    this._handleResize = this.resize.bind(this);
+    window.addEventListener("resize", this._handleResize);
+    this.resize();
+  }
+
+  setScore(notes) {
+    this.notes = notes;
+    this.results = notes.map((note) => ({...note, status: "pending", cents: null}));
+    this.position = notes.length ? 0 : -1;
+    const pitches = notes.map((note) => note.midi);
+    this.low = Math.min(...pitches) - 1;
+    this.high = Math.max(...pitches) + 1;
+    this.draw();
+  }
+
+  /**
+   * Show the follower's results; `position` is the expected note index (-1 at the end).
+   */
+  render(results, position) {
+    this.results = results;
+    this.position = position;
+    this.draw();
+  }
+
+  resize() {
+    const ratio = window.devicePixelRatio || 1;
+    const displayWidth = this.canvas.clientWidth * ratio;
+    const displayHeight = this.canvas.clientHeight * ratio;
+    if (this.canvas.width !== displayWidth || this.canvas.height !== displayHeight) {
+      this.canvas.width = displayWidth;
+      this.canvas.height = displayHeight;
+    }
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    this.ctx.scale(ratio, ratio);
+    this.width = this.canvas.clientWidth;
+    this.height = this.canvas.clientHeight;
+    this.draw();
+  }
+
+  draw() {
+    const ctx = this.ctx;
+    ctx.clearRect(0, 0, this.width, this.height);
+    if (!this.notes.length || this.width <= GUTTER_WIDTH || this.height < 10) {
+      return;
+    }
+
+    const plotWidth = this.width - GUTTER_WIDTH;
+    const rows = this.high - this.low + 1;
+    const rowHeight = this.height / rows;
+    const focus = this.notes[this.position] ?? this.notes[this.notes.length - 1];
+    const viewStart = Math.max(0, focus.start - this.timeWindow * LEAD_FRACTION);
+    const xFor = (time) => GUTTER_WIDTH + ((time - viewStart) / this.timeWindow) * plotWidth;
+    const yFor = (midi) => this.height - (midi - this.low + 1) * rowHeight;
+
+    ctx.font = "11px -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif";
+    ctx.textBaseline = "middle";
+    for (let midi = this.low; midi <= this.high; midi++) {
+      const name = midiToNoteName(midi);
+      const natural = !name.includes("#");
+      ctx.fillStyle = natural ? "rgba(255, 255, 255, 0.03)" : "rgba(0, 0, 0, 0.25)";
+      ctx.fillRect(GUTTER_WIDTH, yFor(midi), plotWidth, rowHeight);
+      if (natural && (rowHeight >= 10 || name.startsWith("C"))) {
+        ctx.fillStyle = "rgba(244, 246, 248, 0.55)";
+        ctx.textAlign = "left";
+        ctx.fillText(name, 6, yFor(midi) + rowHeight / 2);
+      }
+    }
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(GUTTER_WIDTH, 0, plotWidth, this.height);
+    ctx.clip();
+    ctx.textAlign = "center";
+
+    this.results.forEach((note, index) => {
+      const x = xFor(note.start);
+      const width = Math.max(3, xFor(note.start + note.duration) - x - 1);
+      if (x > this.width || x + width < GUTTER_WIDTH) {
+        return;
+      }
+      const y = yFor(note.midi) + 1;
+      const height = Math.max(2, rowHeight - 2);
+
+      if (note.status === "missed") {
+        ctx.setLineDash([3, 3]);
+        ctx.strokeStyle = "rgba(255, 255, 255, 0.45)";
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x + 0.5, y + 0.5, width - 1, height - 1);
+        ctx.setLineDash([]);
+      } else {
+        ctx.fillStyle = noteColor(note);
+        ctx.fillRect(x, y, width, height);
+      }
+
+      if (note.status === "played" && width > 30 && height >= 10) {
+        ctx.fillStyle = "rgba(6, 10, 17, 0.9)";
+        ctx.fillText(`${note.cents > 0 ? "+" : ""}${Math.round(note.cents)}`, x + width / 2, y + height / 2);
+      }
+
+      if (index === this.position) {
+        ctx.strokeStyle = "rgb(120, 220, 140)";
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x - 1, y - 1, width + 2, height + 2);
+      }
+    });
+
+    if (this.position !== -1) {
+      const x = xFor(this.notes[this.position].start);
+      ctx.strokeStyle = "rgba(120, 220, 140, 0.5)";
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, this.height);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  destroy() {
+    window.removeEventListener("resize", this._handleResize);
+  }
+}
+
+function noteColor(note) {
+  if (note.status === "played") {
+    // Same scale as the live trace: white in tune, red sharp, blue flat.
+    const ratio = Math.min(Math.abs(note.cents), CENTS_RANGE) / CENTS_RANGE;
+    const channel = Math.round(255 * (1 - ratio));
+    return note.cents > 0 ? `rgb(255, ${channel}, ${channel})` : `rgb(${channel}, ${channel}, 255)`;
+  }
+  if (note.status === "wrong") {
+    return "rgba(255, 170, 60, 0.85)";
+  }
+  if (note.status === "skipped") {
+    return "rgba(255, 255, 255, 0.06)";
+  }
+  return "rgba(255, 255, 255, 0.18)";
+}
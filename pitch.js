@@ -1,5 +1,10 @@
-import {YinPitchDetector} from './yin.js';
+import {createPitchDetector} from './detectors.js';
 import {AutoGainController} from './autogain.js';
+import {StreamingPitchDetector} from './streaming.js';
+import {analyseAmplitude} from './amplitude.js';
+import {DoubleStopDetector} from './polyphony.js';
+import {NoiseGate} from './gate.js';
+import {NoteOnsetTracker} from './onset.js';
 
 const ENABLE_DEBUG_LOGS = false;
 const debugLog = (...args) => {
@@ -8,6 +13,9 @@ const debugLog = (...args) => {
   }
 };
 
+const MAX_PENDING_ESTIMATIONS = 1000;
+const DOUBLE_STOP_INTERVAL_MS = 100; // the double-stop analysis is costly; polls in between repeat its last result
+
 const AUDIO_CONSTRAINTS = {
   audio: {
     echoCancellation: false,
@@ -19,26 +27,84 @@ const AUDIO_CONSTRAINTS = {
   video: false,
 };
 
-export class PitchTracker {
+/**
+ * Audio inputs the browser can open. Labels stay empty until microphone permission has been granted.
+ */
+export async function listInputDevices() {
+  if (!navigator.mediaDevices?.enumerateDevices) {
+    return [];
+  }
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices.filter((device) => device.kind === "audioinput");
+}
+
+// Captures the microphone and detects pitch. Subscribers listen for events, all stamped with `time` on the
+// performance.now() timeline (each `detail` is listed with its event):
+//   pitch       a voiced estimation ({frequency, probability, rms, peak, smoothedRms, gain, gate, time, ...})
+//   silence     an unvoiced estimation, the same shape with frequency null
+//   level       {time, rms, peak, smoothedRms, gain, gate} for every estimation, voiced or not
+//   noteon      {time, midi, noteName, frequency} once a pitch has held steady; time is when it began
+//   noteoff     {time, midi, noteName, duration} when that note ends
+//   statechange {time, state, previous}; states are idle, starting, running, suspended and stopped
+//   error       {time, message, error, reason}; reason is "start", "worker" or "input-ended" (with `label`)
+export class PitchTracker extends EventTarget {
   constructor({
     bufferSize = 2048,
     yinThreshold = 0.1,
     probabilityThreshold = 0.15,
-    rmsThreshold = 0.01,
     autoGainOptions = {},
+    captureMode = "auto",
+    hopSize = 512,
+    pyin = false,
+    doubleStops = false,
+    detector = "yin", // a name in DETECTORS, or a factory `(sampleRate, options) => detector` (not run in a worker)
+    octaveCheck = true, // correct octave errors against the spectrum; estimations then carry `octave`
+    deviceId = null, // null opens the default input
+    onInputEnded = null, // called with the device label when the input stops delivering audio (e.g. unplugged)
+    gateOptions = {},
+    pollIntervalMs = 20, // how often the analyser fallback reads a frame; worklet capture follows the hop size
+    noteOptions = {},
   } = {}) {
+    super();
+    this.state = "idle";
     this.bufferSize = bufferSize;
+    this.deviceId = deviceId;
+    this.onInputEnded = onInputEnded;
+    this.constraints = null;
+    this.track = null;
+    this._handleTrackEnded = this._handleTrackEnded.bind(this);
+    // Gates on the input level before auto-gain; every estimation carries its `gate` state ({open, levelDb, floorDb}).
+    // The gate outlives restarts so its noise-floor estimate is kept.
+    this.gate = new NoiseGate(gateOptions);
+    this.noteTracker = new NoteOnsetTracker(noteOptions);
+    this.pollIntervalMs = pollIntervalMs;
+    this._pollTimer = null;
+    // With pYIN every estimation carries its candidate list for HMM tracking.
+    this.pyin = pyin;
+    // Double-stop analysis adds `doubleStop` ({lower, upper, interval} or null) to every estimation.
+    this.doubleStops = doubleStops;
+    this.doubleStopDetector = null;
+    this.streamingDetector = null;
+    this.detector = detector;
+    this.octaveCheck = octaveCheck;
     this.yinThreshold = yinThreshold;
     this.probabilityThreshold = probabilityThreshold;
-    this.rmsThreshold = rmsThreshold;
     this.buffer = null;
     this.audioContext = null;
     this.analyser = null;
     this.stream = null;
     this.source = null;
-    this.yin = null;
+    this.pitchDetector = null;
+    // "auto" prefers sample-accurate AudioWorklet capture and falls back to polling an AnalyserNode.
+    this.requestedCaptureMode = captureMode;
+    this.captureMode = null;
+    this.hopSize = hopSize;
+    this.workletNode = null;
+    this.worker = null;
+    this._detectorOpen = true; // the gate state last passed to the streaming detector
+    this._pendingEstimations = [];
+    this._latestEstimation = null;
     this.initialized = false;
-    this._lastLowRmsLog = 0;
     this._lastNullPitchLog = 0;
     this._lastDetectionLog = 0;
     this.autoGain = null;
@@ -62,53 +128,398 @@ export class PitchTracker {
       throw new Error("Your browser does not support microphone access.");
     }
 
-    debugLog('Requesting microphone stream with constraints', AUDIO_CONSTRAINTS);
+    this.constraints = {
+      ...AUDIO_CONSTRAINTS,
+      audio: {...AUDIO_CONSTRAINTS.audio, ...(this.deviceId ? {deviceId: {exact: this.deviceId}} : {})},
+    };
+    debugLog('Requesting microphone stream with constraints', this.constraints);
     // Acquire live audio stream with all automatic processing disabled to keep pitch intact.
-    this.stream = await navigator.mediaDevices.getUserMedia(AUDIO_CONSTRAINTS);
+    try {
+      this.stream = await navigator.mediaDevices.getUserMedia(this.constraints);
+    } catch (error) {
+      if (error.name === "OverconstrainedError" || error.name === "NotFoundError") {
+        throw new Error(this.deviceId
+          ? "The selected microphone is not available. Reconnect it or choose another input."
+          : "No microphone was found. Connect one and try again.");
+      }
+      throw error;
+    }
+    [this.track] = this.stream.getAudioTracks();
+    this.track?.addEventListener("ended", this._handleTrackEnded);
 
     const AudioContextClass = window.AudioContext || window.webkitAudioContext;
     this.audioContext = new AudioContextClass();
+    this.audioContext.onstatechange = () => this._syncState();
     debugLog('Created audio context', {
       sampleRate: this.audioContext.sampleRate,
       state: this.audioContext.state,
     });
 
-    // Route the microphone into an analyser node so we can read raw samples for pitch detection.
     this.source = this.audioContext.createMediaStreamSource(this.stream);
-    // Insert an automatic gain controller so the analyser always receives a levelled signal.
+    // Insert an automatic gain controller so the detector always receives a levelled signal.
     this.autoGain = new AutoGainController(this.audioContext, this.autoGainOptions);
+    this.source.connect(this.autoGain.input);
+
+    this.captureMode = null;
+    if (this.requestedCaptureMode !== "analyser") {
+      try {
+        await this._connectWorklet();
+        this.captureMode = "worklet";
+      } catch (error) {
+        if (this.requestedCaptureMode === "worklet") {
+          throw error;
+        }
+        debugLog('AudioWorklet capture unavailable, falling back to AnalyserNode polling.', error);
+      }
+    }
+    if (!this.captureMode) {
+      this._connectAnalyser();
+      this.captureMode = "analyser";
+    }
+
+    this.gate.reset();
+    this.noteTracker.reset();
+    this.initialized = true;
+    debugLog('Pitch tracker initialized.', {captureMode: this.captureMode});
+  }
+
+  _connectAnalyser() {
+    // Route the levelled signal into an analyser node so we can read raw samples for pitch detection.
     this.analyser = this.audioContext.createAnalyser();
-    this.analyser.fftSize = this.bufferSize;
     this.analyser.minDecibels = -100;
     this.analyser.maxDecibels = -10;
     this.analyser.smoothingTimeConstant = 0;
-    this.source.connect(this.autoGain.input);
     this.autoGain.connect(this.analyser);
 
-    this.buffer = new Float32Array(this.analyser.fftSize);
-    this.yin = new YinPitchDetector(this.audioContext.sampleRate, {
-      threshold: this.yinThreshold,
+    this.pitchDetector = createPitchDetector(this.detector, this.audioContext.sampleRate, {
+      yinThreshold: this.yinThreshold,
       probabilityThreshold: this.probabilityThreshold,
-      bufferSize: this.analyser.fftSize,
+      bufferSize: this.bufferSize,
+      octaveCheck: this.octaveCheck,
     });
+    this._sizeAnalyser();
+  }
 
-    this.initialized = true;
-    debugLog('Pitch tracker initialized.');
+  _sizeAnalyser() {
+    // Double stops need a longer window; the pitch detector keeps reading the most recent `bufferSize` samples of it.
+    this.doubleStopDetector = this.doubleStops
+      ? new DoubleStopDetector(this.audioContext.sampleRate, {rmsThreshold: 0}) // only run while the gate is open
+      : null;
+    this._doubleStop = null;
+    this._doubleStopTime = null;
+    this.analyser.fftSize = Math.max(this.bufferSize, this.doubleStopDetector?.bufferSize ?? 0);
+    this.analyserBuffer = new Float32Array(this.analyser.fftSize);
+    this.buffer = this.analyserBuffer.subarray(this.analyser.fftSize - this.bufferSize);
+  }
+
+  /**
+   * Change detector or auto-gain options. Gain options apply immediately; returns true when detector options
+   * changed on a running tracker, which then needs a restart (stop and start) to use them.
+   */
+  configure({
+    detector,
+    octaveCheck,
+    bufferSize,
+    yinThreshold,
+    probabilityThreshold,
+    autoGainOptions,
+    gateOptions,
+    pollIntervalMs,
+  } = {}) {
+    const detectorOptions = {detector, octaveCheck, bufferSize, yinThreshold, probabilityThreshold};
+    let changed = false;
+    for (const [key, value] of Object.entries(detectorOptions)) {
+      if (value !== undefined && value !== this[key]) {
+        this[key] = value;
+        changed = true;
+      }
+    }
+
+    if (autoGainOptions) {
+      Object.assign(this.autoGainOptions, autoGainOptions);
+      if (this.autoGain) {
+        const {targetRms, smoothingTime, minGain, maxGain, gainSlew} = this.autoGainOptions;
+        Object.assign(this.autoGain, {
+          targetRms,
+          smoothingTime: Math.max(smoothingTime, 1e-3),
+          minGain,
+          maxGain,
+          gainSlew: Math.max(gainSlew, 1e-3),
+        });
+      }
+    }
+    if (gateOptions) {
+      this.gate.configure(gateOptions);
+    }
+    if (pollIntervalMs !== undefined && pollIntervalMs !== this.pollIntervalMs) {
+      this.pollIntervalMs = pollIntervalMs;
+      if (this._pollTimer) {
+        this._startPolling();
+      }
+    }
+    return changed && this.initialized;
+  }
+
+  /**
+   * Measure the room's noise floor over the next `durationMs` while the student stays quiet.
+   * Resolves with the floor in dBFS; the gate then adapts it continuously.
+   */
+  calibrateNoise(durationMs = 3000) {
+    if (!this.initialized) {
+      return Promise.reject(new Error("Start listening before calibrating the noise floor."));
+    }
+    return this.gate.calibrate(durationMs);
+  }
+
+  /**
+   * Choose the input device (null for the default); takes effect the next time the tracker starts.
+   * Returns true when the tracker is running on a different device and needs a restart.
+   */
+  setDevice(deviceId) {
+    const changed = (deviceId || null) !== this.deviceId;
+    this.deviceId = deviceId || null;
+    return changed && this.initialized;
+  }
+
+  /**
+   * What the browser actually opened: sample rate, latency, the device and its applied track settings,
+   * next to the constraints that were requested. Null before the tracker starts.
+   */
+  diagnostics() {
+    if (!this.initialized) {
+      return null;
+    }
+    return {
+      sampleRate: this.audioContext.sampleRate,
+      baseLatency: this.audioContext.baseLatency ?? null,
+      contextState: this.audioContext.state,
+      captureMode: this.captureMode,
+      deviceLabel: this.track?.label || "Default input",
+      trackState: this.track?.readyState ?? "ended",
+      muted: Boolean(this.track?.muted),
+      requested: this.constraints.audio,
+      applied: this.track?.getSettings?.() ?? {},
+    };
+  }
+
+  _handleTrackEnded() {
+    debugLog('Input track ended.', {label: this.track?.label});
+    const label = this.track?.label || "The microphone";
+    this._emitError(new Error(`${label} stopped delivering audio.`), "input-ended", {label});
+    if (this.onInputEnded) {
+      this.onInputEnded(label);
+    }
+  }
+
+  /**
+   * Name `noteon` and `noteoff` events after the nearest notes of `tuning` (a Tuning), from the next estimation on.
+   */
+  setTuning(tuning) {
+    this.noteTracker.tuning = tuning;
+  }
+
+  /**
+   * Switch double-stop analysis on or off, including while listening.
+   */
+  setDoubleStops(enabled) {
+    this.doubleStops = Boolean(enabled);
+    if (this.worker || this.streamingDetector) {
+      this._configureDetector({doubleStops: this.doubleStops});
+    } else if (this.analyser) {
+      this._sizeAnalyser();
+    }
+  }
+
+  _configureDetector(options) {
+    if (this.worker) {
+      this.worker.postMessage({type: "configure", options});
+    } else if (this.streamingDetector) {
+      this.streamingDetector.configure(options);
+    }
+  }
+
+  async _connectWorklet() {
+    if (!this.audioContext.audioWorklet || typeof AudioWorkletNode === "undefined") {
+      throw new Error("AudioWorklet is not supported in this browser.");
+    }
+
+    await this.audioContext.audioWorklet.addModule(new URL('./capture-worklet.js', import.meta.url));
+    // The node has no outputs, so the graph pulls it without routing anything to the speakers.
+    this.workletNode = new AudioWorkletNode(this.audioContext, "pitch-capture", {
+      numberOfInputs: 1,
+      numberOfOutputs: 0,
+      channelCount: 1,
+      channelCountMode: "explicit",
+      processorOptions: {hopSize: this.hopSize},
+    });
+
+    const detectorOptions = {
+      detector: this.detector,
+      octaveCheck: this.octaveCheck,
+      bufferSize: this.bufferSize,
+      yinThreshold: this.yinThreshold,
+      probabilityThreshold: this.probabilityThreshold,
+      pyin: this.pyin,
+      doubleStops: this.doubleStops,
+    };
+
+    this._detectorOpen = true;
+
+    // Functions cannot be sent to a worker, so custom detector factories run on this thread.
+    if (typeof Worker !== "undefined" && typeof this.detector !== "function") {
+      // Hand the worklet's hops straight to a detector worker so analysis stays off the main thread.
+      const channel = new MessageChannel();
+      this.worker = new Worker(new URL('./detector-worker.js', import.meta.url), {type: "module"});
+      this.worker.onmessage = (event) => this._handleFrameEstimation(event.data);
+      this.worker.onerror = (event) => {
+        debugLog('Detector worker failed.', event.message);
+        this._emitError(new Error(event.message || "The pitch detector failed."), "worker");
+      };
+      this.worker.postMessage({
+        type: "init",
+        sampleRate: this.audioContext.sampleRate,
+        options: detectorOptions,
+        port: channel.port2,
+      }, [channel.port2]);
+      this.workletNode.port.postMessage({type: "connect", port: channel.port1}, [channel.port1]);
+    } else {
+      const detector = new StreamingPitchDetector(this.audioContext.sampleRate, detectorOptions);
+      this.streamingDetector = detector;
+      this.workletNode.port.onmessage = ({data}) => {
+        const estimation = detector.push(data.samples, data.endFrame);
+        if (estimation) {
+          this._handleFrameEstimation(estimation);
+        }
+      };
+    }
+
+    this.autoGain.connect(this.workletNode);
+  }
+
+  _handleFrameEstimation(frame) {
+    if (!this.audioContext) {
+      return;
+    }
+
+    // The frame was captured with the gain in force before this update.
+    const appliedGain = this.autoGain?.currentGain ?? 1;
+    const gainMetrics = this.autoGain
+      ? this.autoGain.update(frame.rms)
+      : {smoothedRms: frame.rms, gain: 1};
+    const estimation = this._applyGate({
+      ...frame,
+      smoothedRms: gainMetrics.smoothedRms,
+      gain: gainMetrics.gain,
+      time: this._audioTimeToPerformanceTime(frame.audioTime),
+    }, appliedGain);
+    // The detector skips analysis while the gate is closed. It learns of a change one hop late, so the first hop of a
+    // note goes unanalysed.
+    if (estimation.gate.open !== this._detectorOpen) {
+      this._detectorOpen = estimation.gate.open;
+      this._configureDetector({open: this._detectorOpen});
+    }
+    this._publish(estimation);
+  }
+
+  /**
+   * Hand a fresh estimation to getPitch(), readEstimations() and the event subscribers.
+   */
+  _publish(estimation) {
+    this._latestEstimation = estimation;
+    this._pendingEstimations.push(estimation);
+    if (this._pendingEstimations.length > MAX_PENDING_ESTIMATIONS) {
+      this._pendingEstimations.shift();
+    }
+
+    const {time, rms, peak, smoothedRms, gain, gate} = estimation;
+    this._emit("level", {time, rms, peak, smoothedRms, gain, gate});
+    this._emit(estimation.frequency ? "pitch" : "silence", estimation);
+    for (const {type, ...note} of this.noteTracker.push(estimation)) {
+      this._emit(type, note);
+    }
+  }
+
+  _emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, {detail}));
+  }
+
+  _emitError(error, reason, extra = {}) {
+    this._emit("error", {time: currentTime(), message: error.message, error, reason, ...extra});
+  }
+
+  _setState(state) {
+    if (state === this.state) {
+      return;
+    }
+    const previous = this.state;
+    this.state = state;
+    debugLog('State changed.', {previous, state});
+    this._emit("statechange", {time: currentTime(), state, previous});
+  }
+
+  /**
+   * Follow the audio context: the browser may suspend it (e.g. another app took the audio device) and resume it.
+   */
+  _syncState() {
+    if (this.initialized && this.audioContext && this.audioContext.state !== "closed") {
+      this._setState(this.audioContext.state === "running" ? "running" : "suspended");
+    }
+  }
+
+  _startPolling() {
+    clearInterval(this._pollTimer);
+    this._pollTimer = setInterval(() => this._pollAnalyser(), this.pollIntervalMs);
+  }
+
+  _pollAnalyser() {
+    if (!this.analyser || this.audioContext?.state !== "running") {
+      return;
+    }
+    const appliedGain = this.autoGain?.currentGain ?? 1;
+    this._publish(this._readAnalyser(appliedGain));
+  }
+
+  /**
+   * Convert an audio-clock time in seconds to the performance.now() timeline used by the UI.
+   */
+  _audioTimeToPerformanceTime(audioTime) {
+    const stamp = this.audioContext.getOutputTimestamp?.();
+    if (stamp && stamp.performanceTime > 0) {
+      return stamp.performanceTime + (audioTime - stamp.contextTime) * 1000;
+    }
+    return currentTime() - (this.audioContext.currentTime - audioTime) * 1000;
   }
 
   async start() {
     if (!this.initialized) {
-      await this.init();
+      this._setState("starting");
+      try {
+        await this.init();
+      } catch (error) {
+        // Release whatever init acquired before it failed.
+        this.stop();
+        this._emitError(error, "start");
+        throw error;
+      }
     }
 
     if (this.audioContext?.state === "suspended") {
       await this.audioContext.resume();
       debugLog('Audio context resumed.');
     }
+    if (this.captureMode === "analyser" && !this._pollTimer) {
+      this._startPolling();
+    }
+    this._syncState();
     debugLog('Pitch tracker start complete.');
   }
 
   stop() {
+    clearInterval(this._pollTimer);
+    this._pollTimer = null;
+    for (const {type, ...note} of this.noteTracker.flush()) {
+      this._emit(type, note);
+    }
     if (this.source) {
       this.source.disconnect();
       this.source = null;
@@ -117,77 +528,118 @@ export class PitchTracker {
       this.analyser.disconnect();
       this.analyser = null;
     }
+    if (this.workletNode) {
+      this.workletNode.port.postMessage({type: "stop"});
+      this.workletNode.disconnect();
+      this.workletNode = null;
+    }
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
     if (this.autoGain) {
       this.autoGain.disconnect();
       this.autoGain = null;
     }
+    if (this.track) {
+      // Stopping the track ourselves must not be reported as a lost input.
+      this.track.removeEventListener("ended", this._handleTrackEnded);
+      this.track = null;
+    }
     if (this.stream) {
       this.stream.getTracks().forEach((track) => track.stop());
       this.stream = null;
     }
     if (this.audioContext) {
+      this.audioContext.onstatechange = null;
       this.audioContext.close();
       this.audioContext = null;
     }
     this.buffer = null;
-    this.yin = null;
+    this.analyserBuffer = null;
+    this.pitchDetector = null;
+    this.doubleStopDetector = null;
+    this.streamingDetector = null;
+    this.captureMode = null;
+    this._pendingEstimations = [];
+    this._latestEstimation = null;
+    this.gate.reset();
     this.initialized = false;
+    if (this.state !== "idle") {
+      this._setState("stopped");
+    }
     debugLog('Pitch tracker stopped and resources released.');
   }
 
+  /**
+   * Return every estimation produced since the previous call (or since start()), oldest first, each stamped with
+   * `time`. Only the latest MAX_PENDING_ESTIMATIONS are kept. Subscribing to the `pitch` and `silence` events is
+   * preferred.
+   */
+  readEstimations() {
+    const estimations = this._pendingEstimations;
+    this._pendingEstimations = [];
+    return estimations;
+  }
+
+  /**
+   * The most recent estimation while the tracker is running, else null. With the analyser fallback this is the
+   * latest polled reading, at most `pollIntervalMs` old, rather than one taken on each call.
+   */
   getPitch() {
-    if (!this.initialized || !this.analyser || this.audioContext?.state !== "running") {
+    if (this.state !== "running") {
       if (ENABLE_DEBUG_LOGS) {
-        debugLog('Cannot get pitch: analyser missing or audio context not running.', {
-          initialized: this.initialized,
-          hasAnalyser: Boolean(this.analyser),
-          contextState: this.audioContext?.state,
-        });
+        debugLog('Cannot get pitch: the tracker is not running.', {state: this.state});
       }
       return null;
     }
+    return this._latestEstimation;
+  }
+
+  _applyGate(estimation, appliedGain) {
+    const gate = this.gate.process((estimation.rms ?? 0) / Math.max(appliedGain, 1e-6), estimation.time);
+    if (gate.open) {
+      return {...estimation, gate};
+    }
+    return {...estimation, gate, frequency: null, probability: 0, candidates: [], doubleStop: null};
+  }
 
-    // Pull the latest audio frame and reject very quiet input before running YIN.
-    this.analyser.getFloatTimeDomainData(this.buffer);
+  _readAnalyser(appliedGain) {
+    // Pull the latest audio frame and gate it on the level before auto-gain; the detectors only run while it is open.
+    this.analyser.getFloatTimeDomainData(this.analyserBuffer);
     const {rms, peak} = this._analyseAmplitude(this.buffer);
+    const now = currentTime();
+    const gate = this.gate.process(rms / Math.max(appliedGain, 1e-6), now);
     // Feed the amplitude reading into the gain controller before evaluating pitch.
     const gainMetrics = this.autoGain
       ? this.autoGain.update(rms)
       : {smoothedRms: rms, gain: 1};
-    const now = (typeof performance !== 'undefined' && performance.now) ? performance.now() : Date.now();
-
-    if (rms < this.rmsThreshold) {
-      if (now - this._lastLowRmsLog > 500) {
-        debugLog('RMS below threshold, skipping pitch detection.', {
-          rms,
-          threshold: this.rmsThreshold,
-        });
-        this._lastLowRmsLog = now;
-      }
-      return {
-        frequency: null,
-        probability: 0,
-        rms,
-        peak,
-        smoothedRms: gainMetrics.smoothedRms,
-        gain: gainMetrics.gain,
-      };
+    const silence = {
+      frequency: null,
+      probability: 0,
+      candidates: [],
+      rms,
+      peak,
+      smoothedRms: gainMetrics.smoothedRms,
+      gain: gainMetrics.gain,
+      gate,
+      doubleStop: null,
+      time: now,
+    };
+    if (!gate.open) {
+      return silence;
     }
 
-    const estimation = this.yin.getPitch(this.buffer);
+    const doubleStop = this.doubleStopDetector ? this._detectDoubleStop(now) : null;
+    const estimation = this.pyin
+      ? this.pitchDetector.getProbabilisticPitch(this.buffer)
+      : this.pitchDetector.getPitch(this.buffer);
     if (!estimation) {
       if (now - this._lastNullPitchLog > 500) {
-        debugLog('YIN returned no pitch candidate.', {rms});
+        debugLog('The detector returned no pitch candidate.', {rms});
         this._lastNullPitchLog = now;
       }
-      return {
-        frequency: null,
-        probability: 0,
-        rms,
-        peak,
-        smoothedRms: gainMetrics.smoothedRms,
-        gain: gainMetrics.gain,
-      };
+      return {...silence, doubleStop};
     }
 
     if (now - this._lastDetectionLog > 500) {
@@ -201,23 +653,25 @@ export class PitchTracker {
       peak,
       smoothedRms: gainMetrics.smoothedRms,
       gain: gainMetrics.gain,
+      gate,
+      doubleStop,
+      time: now,
     };
   }
 
-  _analyseAmplitude(buffer) {
-    let sum = 0;
-    let peak = 0;
-    for (let i = 0; i < buffer.length; i++) {
-      const sample = buffer[i];
-      sum += sample * sample;
-      const magnitude = Math.abs(sample);
-      if (magnitude > peak) {
-        peak = magnitude;
-      }
+  _detectDoubleStop(now) {
+    if (this._doubleStopTime === null || now - this._doubleStopTime >= DOUBLE_STOP_INTERVAL_MS) {
+      this._doubleStop = this.doubleStopDetector.detect(this.analyserBuffer);
+      this._doubleStopTime = now;
     }
-    return {
-      rms: Math.sqrt(sum / buffer.length),
-      peak,
-    };
+    return this._doubleStop;
+  }
+
+  _analyseAmplitude(buffer) {
+    return analyseAmplitude(buffer);
   }
 }
+
+function currentTime() {
+  return (typeof performance !== 'undefined' && performance.now) ? performance.now() : Date.now();
+}
@@ -0,0 +1,225 @@
+import {FFT, nextPowerOfTwo} from './fft.js';
+import {JUST_RATIOS} from './tuning.js';
+import {analyseAmplitude} from './amplitude.js';
+
+const INTERVAL_NAMES = [
+  "unison", "minor second", "major second", "minor third", "major third", "perfect fourth", "tritone",
+  "perfect fifth", "minor sixth", "major sixth", "minor seventh", "major seventh", "octave",
+  "minor ninth", "major ninth", "minor tenth", "major tenth", "perfect eleventh", "augmented eleventh",
+  "perfect twelfth", "minor thirteenth", "major thirteenth", "minor fourteenth", "major fourteenth", "double octave",
+];
+const HARMONIC_TOLERANCE_CENTS = 35;
+const HARMONIC_WEIGHT = 0.85; // weight falls off for higher harmonics
+const MAX_BEATING_PARTIAL = 8; // beats between higher coinciding partials are too faint to hear
+
+/**
+ * Name the interval between two frequencies and compare it with the pure (just) interval.
+ * Returns {semitones, name, cents, pureCents, centsFromPure, ratio: [upper, lower], beatRate}.
+ */
+export function describeInterval(lowerFrequency, upperFrequency) {
+  const cents = 1200 * Math.log2(upperFrequency / lowerFrequency);
+  const semitones = Math.round(cents / 100);
+  const octaves = Math.floor(semitones / 12);
+  const [numerator, denominator] = JUST_RATIOS[semitones % 12];
+  const divisor = gcd(numerator * 2 ** octaves, denominator);
+  const upper = (numerator * 2 ** octaves) / divisor;
+  const lower = denominator / divisor;
+  const pureCents = 1200 * Math.log2(upper / lower);
+
+  // The lower note's `upper`-th partial and the upper note's `lower`-th partial coincide in a pure interval;
+  // any mistuning makes them beat at the difference of their frequencies.
+  const beatRate = upper <= MAX_BEATING_PARTIAL && lower <= MAX_BEATING_PARTIAL
+    ? Math.abs(upper * lowerFrequency - lower * upperFrequency)
+    : null;
+
+  return {
+    semitones,
+    name: INTERVAL_NAMES[semitones] ?? `${semitones} semitones`,
+    cents,
+    pureCents,
+    centsFromPure: cents - pureCents,
+    ratio: [upper, lower],
+    beatRate,
+  };
+}
+
+// Finds two simultaneous pitches (a double stop) by spectral peak picking and harmonic grouping.
+export class DoubleStopDetector {
+  constructor(sampleRate, {
+    bufferSize = 8192, // long windows resolve close partials; ~170 ms at 48 kHz
+    minFrequency = 180, // just below the open G string
+    maxFrequency = 2700,
+    maxHarmonics = 8,
+    peakRangeDb = 50, // peaks weaker than the strongest by more than this are ignored
+    maxPeaks = 40, // only the strongest peaks are grouped; scoring grows with the square of their number
+    secondNoteRatio = 0.12, // minimum salience of the second note relative to the first
+    rmsThreshold = 0.01,
+  } = {}) {
+    this.sampleRate = sampleRate;
+    this.bufferSize = bufferSize;
+    this.fftSize = nextPowerOfTwo(bufferSize * 2); // zero padding sharpens peak interpolation
+    this.minFrequency = minFrequency;
+    this.maxFrequency = maxFrequency;
+    this.maxHarmonics = maxHarmonics;
+    this.peakRangeDb = peakRangeDb;
+    this.maxPeaks = maxPeaks;
+    this.secondNoteRatio = secondNoteRatio;
+    this.rmsThreshold = rmsThreshold;
+
+    this.fft = new FFT(this.fftSize);
+    this.real = new Float64Array(this.fftSize);
+    this.imag = new Float64Array(this.fftSize);
+    this.levels = new Float64Array(this.fftSize / 2);
+    this.windowShape = Float64Array.from({length: bufferSize}, (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (bufferSize - 1)));
+  }
+
+  /**
+   * Analyse the most recent `bufferSize` samples. Returns null unless two notes are found:
+   * {lower, upper, interval} with frequencies in Hz and the interval from describeInterval.
+   */
+  detect(buffer) {
+    const samples = buffer.length > this.bufferSize ? buffer.subarray(buffer.length - this.bufferSize) : buffer;
+    if (samples.length < this.bufferSize || analyseAmplitude(samples).rms < this.rmsThreshold) {
+      return null;
+    }
+
+    const peaks = this._findPeaks(samples);
+    if (peaks.length < 2) {
+      return null;
+    }
+
+    const first = this._bestNote(peaks, () => true);
+    if (!first) {
+      return null;
+    }
+    // Partials already explained by the first note only count half towards the second.
+    const explained = new Set(first.partials.map(({peak}) => peak));
+    const second = this._bestNote(peaks, (peak) => !this._isHarmonicOf(peak.frequency, first.frequency), explained);
+    if (!second || second.salience < first.salience * this.secondNoteRatio) {
+      return null;
+    }
+
+    // Partials where the two harmonic series (nearly) coincide are pulled between both notes; leave them out.
+    const firstFrequency = this._refineFrequency(first, second.frequency);
+    const secondFrequency = this._refineFrequency(second, first.frequency);
+    const [lower, upper] = firstFrequency < secondFrequency
+      ? [firstFrequency, secondFrequency]
+      : [secondFrequency, firstFrequency];
+    return {
+      lower,
+      upper,
+      interval: describeInterval(lower, upper),
+      confidence: second.salience / first.salience,
+    };
+  }
+
+  _refineFrequency(note, otherFrequency) {
+    let weightedFrequency = 0;
+    let weight = 0;
+    for (const {peak, harmonic} of note.partials) {
+      if (this._isHarmonicOf(peak.frequency, otherFrequency)) {
+        continue;
+      }
+      // Higher partials pin down the fundamental more precisely, so they get proportionally more weight.
+      weightedFrequency += (peak.frequency / harmonic) * peak.amplitude * harmonic;
+      weight += peak.amplitude * harmonic;
+    }
+    return weight > 0 ? weightedFrequency / weight : note.frequency;
+  }
+
+  _findPeaks(samples) {
+    const {real, imag, levels} = this;
+    real.fill(0);
+    imag.fill(0);
+    for (let i = 0; i < samples.length; i++) {
+      real[i] = samples[i] * this.windowShape[i];
+    }
+    this.fft.transform(real, imag);
+
+    let maximum = -Infinity;
+    for (let bin = 0; bin < levels.length; bin++) {
+      levels[bin] = 10 * Math.log10(real[bin] * real[bin] + imag[bin] * imag[bin] + 1e-20);
+      maximum = Math.max(maximum, levels[bin]);
+    }
+
+    const binWidth = this.sampleRate / this.fftSize;
+    const firstBin = Math.max(2, Math.floor(this.minFrequency / binWidth));
+    const lastBin = Math.min(levels.length - 3, Math.ceil((this.maxFrequency * this.maxHarmonics) / binWidth));
+    const floor = maximum - this.peakRangeDb;
+    const peaks = [];
+    for (let bin = firstBin; bin <= lastBin; bin++) {
+      const level = levels[bin];
+      if (level < floor || level <= levels[bin - 1] || level < levels[bin + 1] ||
+        level <= levels[bin - 2] || level < levels[bin + 2]) {
+        continue;
+      }
+      // Parabolic interpolation on the log spectrum refines the peak position well below one bin.
+      const left = levels[bin - 1];
+      const right = levels[bin + 1];
+      const denominator = left - 2 * level + right;
+      const shift = denominator === 0 ? 0 : (0.5 * (left - right)) / denominator;
+      const peakLevel = level - 0.25 * (left - right) * shift;
+      peaks.push({
+        frequency: (bin + shift) * binWidth,
+        amplitude: Math.pow(10, (peakLevel - maximum) / 20),
+      });
+    }
+    // Noise alone yields a thousand or more local maxima; two notes' partials are among the strongest few dozen.
+    return peaks.length > this.maxPeaks
+      ? peaks.sort((a, b) => b.amplitude - a.amplitude).slice(0, this.maxPeaks)
+      : peaks;
+  }
+
+  /**
+   * The note whose harmonic series best explains the peaks. Only peaks accepted by `accept` may be its fundamental,
+   * since a bowed string always shows one; this rules out phantom subharmonics.
+   */
+  _bestNote(peaks, accept, explained = new Set()) {
+    let best = null;
+    for (const candidate of peaks) {
+      if (candidate.frequency < this.minFrequency || candidate.frequency > this.maxFrequency || !accept(candidate)) {
+        continue;
+      }
+      let salience = 0;
+      let weightedFrequency = 0;
+      let frequencyWeight = 0;
+      const partials = [];
+      for (let harmonic = 1; harmonic <= this.maxHarmonics; harmonic++) {
+        const peak = this._peakNear(peaks, candidate.frequency * harmonic);
+        if (!peak) {
+          continue;
+        }
+        const share = explained.has(peak) ? 0.5 : 1;
+        salience += share * peak.amplitude * Math.pow(HARMONIC_WEIGHT, harmonic - 1);
+        weightedFrequency += (peak.frequency / harmonic) * peak.amplitude * harmonic;
+        frequencyWeight += peak.amplitude * harmonic;
+        partials.push({peak, harmonic});
+      }
+      if (!best || salience > best.salience) {
+        best = {frequency: weightedFrequency / frequencyWeight, salience, partials};
+      }
+    }
+    return best;
+  }
+
+  _peakNear(peaks, frequency) {
+    let best = null;
+    for (const peak of peaks) {
+      if (Math.abs(1200 * Math.log2(peak.frequency / frequency)) <= HARMONIC_TOLERANCE_CENTS &&
+        (!best || peak.amplitude > best.amplitude)) {
+        best = peak;
+      }
+    }
+    return best;
+  }
+
+  _isHarmonicOf(frequency, fundamental) {
+    // Octaves of the first note cannot be told apart from its own harmonics, so they are never a second note.
+    const harmonic = Math.round(frequency / fundamental);
+    return harmonic >= 1 && Math.abs(1200 * Math.log2(frequency / (fundamental * harmonic))) <= HARMONIC_TOLERANCE_CENTS;
+  }
+}
+
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
@@ -0,0 +1,217 @@
+const CANDIDATE_TOLERANCE_BINS = 2;
+
+// Hidden Markov model that picks the most likely pitch path and voicing from pYIN candidates (Viterbi decoding).
+export class PitchHmm {
+  constructor({
+    minFrequency = 110, // A2
+    maxFrequency = 1660, // G6
+    binCents = 10,
+    maxStepCents = 250, // largest pitch change between consecutive frames
+    switchProbability = 0.01, // chance of toggling between voiced and unvoiced per frame
+    lag = 0, // frames of look-ahead before a decision is reported
+  } = {}) {
+    this.minFrequency = minFrequency;
+    this.binCents = binCents;
+    this.binCount = Math.floor((1200 * Math.log2(maxFrequency / minFrequency)) / binCents) + 1;
+    this.lag = Math.max(0, Math.round(lag));
+
+    const stateCount = 2 * this.binCount;
+    this.logStay = Math.log(1 - switchProbability);
+    this.logSwitch = Math.log(switchProbability);
+
+    // Triangular pitch-transition weights over ±maxStep bins, stored as log probabilities by distance.
+    this.maxStep = Math.max(1, Math.round(maxStepCents / binCents));
+    const weights = Array.from({length: this.maxStep + 1}, (_, distance) => this.maxStep + 1 - distance);
+    const total = weights[0] + 2 * weights.slice(1).reduce((sum, weight) => sum + weight, 0);
+    this.logTransition = Float64Array.from(weights, (weight) => Math.log(weight / total));
+
+    this.delta = new Float64Array(stateCount);
+    this.nextDelta = new Float64Array(stateCount);
+    this.observation = new Float64Array(stateCount);
+    this.bestVoiced = new Float64Array(this.binCount);
+    this.bestUnvoiced = new Float64Array(this.binCount);
+    this.sourceVoiced = new Int32Array(this.binCount);
+    this.sourceUnvoiced = new Int32Array(this.binCount);
+    this.reset();
+  }
+
+  reset() {
+    this.delta.fill(0);
+    this.frameCount = 0;
+    // Ring of the most recent frames (candidates, times, estimations, backpointers) needed to report a lagged decision.
+    this.history = [];
+  }
+
+  binFrequency(bin) {
+    return this.minFrequency * Math.pow(2, (bin * this.binCents) / 1200);
+  }
+
+  /**
+   * Feed one frame of candidates ([{frequency, probability}], empty for silence).
+   * Returns the decision for the frame `lag` frames back, or null while the look-ahead fills. The decision carries
+   * that frame's `estimation` as passed in, so it can be paired with the frame's other measurements.
+   */
+  push(candidates, time = null, estimation = null) {
+    const backpointers = this._step(candidates);
+    this.history.push({candidates, time, estimation, backpointers});
+    if (this.history.length > this.lag + 1) {
+      this.history.shift();
+    }
+    if (this.frameCount < this.lag + 1) {
+      return null;
+    }
+
+    let state = argmax(this.delta);
+    for (let index = this.history.length - 1; index > 0; index--) {
+      state = this.history[index].backpointers[state];
+    }
+    return {...this._decision(state, this.history[0]), estimation: this.history[0].estimation};
+  }
+
+  /**
+   * Decode a complete sequence of frames ([{candidates, time}]) with full Viterbi backtracking.
+   */
+  decode(frames) {
+    this.reset();
+    const backpointers = frames.map((frame) => this._step(frame.candidates));
+    const decisions = new Array(frames.length);
+    let state = argmax(this.delta);
+    for (let index = frames.length - 1; index >= 0; index--) {
+      decisions[index] = this._decision(state, frames[index]);
+      state = backpointers[index][state];
+    }
+    this.reset();
+    return decisions;
+  }
+
+  _step(candidates) {
+    const bins = this.binCount;
+    this._observe(candidates);
+
+    if (this.frameCount === 0) {
+      for (let state = 0; state < 2 * bins; state++) {
+        this.delta[state] = this.observation[state];
+      }
+      this.frameCount++;
+      return new Int32Array(2 * bins).map((_, state) => state);
+    }
+
+    // Best predecessor for each pitch bin, entering a voiced or an unvoiced state.
+    for (let bin = 0; bin < bins; bin++) {
+      const voiced = this.delta[bin];
+      const unvoiced = this.delta[bins + bin];
+      if (voiced + this.logStay >= unvoiced + this.logSwitch) {
+        this.bestVoiced[bin] = voiced + this.logStay;
+        this.sourceVoiced[bin] = bin;
+      } else {
+        this.bestVoiced[bin] = unvoiced + this.logSwitch;
+        this.sourceVoiced[bin] = bins + bin;
+      }
+      if (unvoiced + this.logStay >= voiced + this.logSwitch) {
+        this.bestUnvoiced[bin] = unvoiced + this.logStay;
+        this.sourceUnvoiced[bin] = bins + bin;
+      } else {
+        this.bestUnvoiced[bin] = voiced + this.logSwitch;
+        this.sourceUnvoiced[bin] = bin;
+      }
+    }
+
+    const backpointers = new Int32Array(2 * bins);
+    let maximum = -Infinity;
+    for (let bin = 0; bin < bins; bin++) {
+      let bestVoiced = -Infinity;
+      let bestUnvoiced = -Infinity;
+      const from = Math.max(0, bin - this.maxStep);
+      const to = Math.min(bins - 1, bin + this.maxStep);
+      for (let source = from; source <= to; source++) {
+        const transition = this.logTransition[Math.abs(source - bin)];
+        const voiced = this.bestVoiced[source] + transition;
+        if (voiced > bestVoiced) {
+          bestVoiced = voiced;
+          backpointers[bin] = this.sourceVoiced[source];
+        }
+        const unvoiced = this.bestUnvoiced[source] + transition;
+        if (unvoiced > bestUnvoiced) {
+          bestUnvoiced = unvoiced;
+          backpointers[bins + bin] = this.sourceUnvoiced[source];
+        }
+      }
+      this.nextDelta[bin] = bestVoiced + this.observation[bin];
+      this.nextDelta[bins + bin] = bestUnvoiced + this.observation[bins + bin];
+      maximum = Math.max(maximum, this.nextDelta[bin], this.nextDelta[bins + bin]);
+    }
+
+    // Keep the log scores near zero so long sessions cannot drift out of floating-point range.
+    for (let state = 0; state < 2 * bins; state++) {
+      this.delta[state] = this.nextDelta[state] - maximum;
+    }
+    this.frameCount++;
+    return backpointers;
+  }
+
+  _observe(candidates) {
+    const bins = this.binCount;
+    const observation = this.observation;
+    observation.fill(0, 0, bins);
+
+    let voicedProbability = 0;
+    for (const {frequency, probability} of candidates || []) {
+      const bin = this._binForFrequency(frequency);
+      if (bin === -1) {
+        continue;
+      }
+      observation[bin] += probability;
+      voicedProbability += probability;
+    }
+    voicedProbability = Math.min(1, voicedProbability);
+
+    const unvoiced = (1 - voicedProbability) / bins;
+    for (let bin = 0; bin < bins; bin++) {
+      observation[bin] = Math.log(Math.max(observation[bin], 1e-12));
+      observation[bins + bin] = Math.log(Math.max(unvoiced, 1e-12));
+    }
+  }
+
+  _binForFrequency(frequency) {
+    if (!Number.isFinite(frequency) || frequency <= 0) {
+      return -1;
+    }
+    const bin = Math.round((1200 * Math.log2(frequency / this.minFrequency)) / this.binCents);
+    return bin >= 0 && bin < this.binCount ? bin : -1;
+  }
+
+  _decision(state, frame) {
+    // Report the precise candidate that landed near the chosen bin rather than the quantised bin centre.
+    let best = null;
+    if (state < this.binCount) {
+      for (const candidate of frame.candidates || []) {
+        const bin = this._binForFrequency(candidate.frequency);
+        if (bin !== -1 && Math.abs(bin - state) <= CANDIDATE_TOLERANCE_BINS &&
+          (!best || candidate.probability > best.probability)) {
+          best = candidate;
+        }
+      }
+    }
+
+    // A voiced path with no supporting candidate is only bridging a jump, so it is reported as unvoiced.
+    if (!best) {
+      return {time: frame.time, voiced: false, frequency: null, probability: 0};
+    }
+    return {
+      time: frame.time,
+      voiced: true,
+      frequency: best.frequency,
+      probability: best.probability,
+    };
+  }
+}
+
+function argmax(values) {
+  let index = 0;
+  for (let i = 1; i < values.length; i++) {
+    if (values[i] > values[index]) {
+      index = i;
+    }
+  }
+  return index;
+}
@@ -0,0 +1,172 @@
+const TIMESLICE_MS = 1000; // the recorder hands over audio in pieces of this length
+const SEGMENT_MS = 5 * 60 * 1000; // a long recording is split into segments of this length...
+const MAX_RETAINED_MS = 30 * 60 * 1000; // ...so the oldest can be dropped once this much is kept
+
+// Records the raw microphone stream alongside the pitch trace so any moment of it can be heard again. A new segment
+// starts whenever the microphone is reopened and every few minutes of a long take; each remembers when it began on
+// the performance.now() timeline that pitch samples use, which lines the audio up with the trace to within a few tens
+// of milliseconds. Only the last half hour or so is kept: chunks cannot be dropped from the start of a segment without
+// losing its header, so whole segments are.
+export class AudioRecorder {
+  constructor() {
+    this.segments = [];
+    this.current = null;
+    this.playback = null;
+    this._playRequest = 0;
+  }
+
+  static get isSupported() {
+    return typeof MediaRecorder !== "undefined";
+  }
+
+  get hasAudio() {
+    return this.segments.some((segment) => segment.startTime !== null);
+  }
+
+  get isPlaying() {
+    return this.playback !== null;
+  }
+
+  /**
+   * Position of the playback on the performance.now() timeline, or null when nothing is playing.
+   */
+  get playbackTime() {
+    if (!this.playback) {
+      return null;
+    }
+    return this.playback.segment.startTime + this.playback.audio.currentTime * 1000;
+  }
+
+  /**
+   * Discard everything recorded, e.g. when a new session starts.
+   */
+  reset() {
+    this.stop();
+    this.stopPlayback();
+    this.segments = [];
+  }
+
+  /**
+   * Start recording `stream` as a new segment, ending the one in progress. Returns false when the browser cannot
+   * record.
+   */
+  record(stream) {
+    this.stop();
+    if (!AudioRecorder.isSupported || !stream) {
+      return false;
+    }
+
+    const recorder = new MediaRecorder(stream);
+    const segment = {startTime: null, endTime: null, chunks: [], mimeType: recorder.mimeType, recorder, finished: null};
+    // "stop" follows the last "dataavailable", so once it fired every chunk is in. The recorder also stops by
+    // itself when the input is lost.
+    segment.finished = new Promise((resolve) => recorder.addEventListener("stop", () => {
+      segment.endTime ??= performance.now();
+      resolve();
+    }, {once: true}));
+    recorder.addEventListener("start", (event) => {
+      segment.startTime = event.timeStamp;
+    });
+    recorder.addEventListener("dataavailable", ({data}) => {
+      if (data.size) {
+        segment.chunks.push(data);
+      }
+      if (this.current === segment && stream.active && performance.now() - segment.startTime >= SEGMENT_MS) {
+        this.record(stream);
+      }
+    });
+    recorder.start(TIMESLICE_MS);
+    this.segments.push(segment);
+    this.current = segment;
+    this._dropOldSegments();
+    return true;
+  }
+
+  /**
+   * End the segment in progress; what was recorded stays playable.
+   */
+  stop() {
+    const segment = this.current;
+    this.current = null;
+    if (segment && segment.recorder.state !== "inactive") {
+      segment.endTime = performance.now();
+      segment.recorder.stop();
+    }
+  }
+
+  /**
+   * Play the recording from `time` (performance.now() timeline). Resolves with false when nothing was recorded at
+   * that moment, or when a later call took over.
+   */
+  async play(time) {
+    const request = ++this._playRequest;
+    const segment = this._segmentAt(time);
+    if (!segment) {
+      return false;
+    }
+    await this._flush(segment);
+    if (request !== this._playRequest) {
+      return false;
+    }
+
+    this.stopPlayback();
+    const url = URL.createObjectURL(new Blob(segment.chunks, {type: segment.mimeType}));
+    const audio = new Audio(url);
+    this.playback = {segment, audio, url};
+    audio.addEventListener("ended", () => this.stopPlayback());
+    try {
+      await new Promise((resolve, reject) => {
+        audio.addEventListener("loadedmetadata", resolve, {once: true});
+        audio.addEventListener("error", () => reject(new Error("The recording could not be decoded.")), {once: true});
+      });
+      if (this.playback?.audio !== audio) {
+        return false;
+      }
+      audio.currentTime = Math.max(0, (time - segment.startTime) / 1000);
+      await audio.play();
+    } catch (error) {
+      if (this.playback?.audio === audio) {
+        this.stopPlayback();
+      }
+      throw error;
+    }
+    return true;
+  }
+
+  stopPlayback() {
+    if (!this.playback) {
+      return;
+    }
+    const {audio, url} = this.playback;
+    this.playback = null;
+    audio.pause();
+    URL.revokeObjectURL(url);
+  }
+
+  _dropOldSegments() {
+    const oldest = performance.now() - MAX_RETAINED_MS;
+    this.segments = this.segments.filter((segment) => segment === this.current
+      || segment === this.playback?.segment
+      || (segment.endTime ?? performance.now()) >= oldest);
+  }
+
+  _segmentAt(time) {
+    return this.segments.find((segment) => segment.startTime !== null
+      && time >= segment.startTime
+      && time <= (segment.endTime ?? performance.now())) ?? null;
+  }
+
+  /**
+   * Make sure the segment's chunks include everything recorded so far.
+   */
+  async _flush(segment) {
+    if (segment.recorder.state === "recording") {
+      await new Promise((resolve) => {
+        segment.recorder.addEventListener("dataavailable", resolve, {once: true});
+        segment.recorder.requestData();
+      });
+    } else {
+      await segment.finished;
+    }
+  }
+}
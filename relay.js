@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+// Live lesson relay: serves the app and passes each student's pitch stream on to the teachers watching it.
+import {createServer} from 'node:http';
+import {readFile, stat} from 'node:fs/promises';
+import {dirname, extname, resolve, sep} from 'node:path';
+import {fileURLToPath} from 'node:url';
+import {parseArgs} from 'node:util';
+import {acceptWebSocket, rejectUpgrade} from './websocket.js';
+
+const USAGE = `Usage: node relay.js [options]
+
+Serves the app over HTTP and relays live pitch streams over WebSocket at /live. A student who presses
+"Broadcast" in the app publishes to a room; a teacher opens the viewer link the app shows
+(viewer.html?room=<name>) and follows the trace read-only. To try it on one machine, run the relay,
+open http://localhost:8080/ in one tab and the viewer link in another.
+
+Options:
+  --port <number>                Port to listen on (default: 8080)
+  --host <name>                  Interface to listen on; use 0.0.0.0 to accept other machines (default: localhost)
+  --root <folder>                Folder to serve (default: the app's folder)
+  -h, --help                     Show this help
+`;
+
+const OPTIONS = {
+  "port": {type: "string", default: "8080"},
+  "host": {type: "string", default: "localhost"},
+  "root": {type: "string", default: dirname(fileURLToPath(import.meta.url))},
+  "help": {type: "boolean", short: "h", default: false},
+};
+
+const LIVE_PATH = "/live";
+const ROLES = ["publisher", "viewer"];
+const ROOM_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const RELAYED_TYPES = ["start", "pitch"];
+const MAX_VIEWER_BACKLOG = 256 * 1024; // bytes queued for a slow viewer before its messages are dropped
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".ico": "image/x-icon",
+  ".wav": "audio/wav",
+};
+
+async function main() {
+  const {values} = parseArgs({options: OPTIONS});
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  const port = Number(values.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`--port expects a port number, got "${values.port}".`);
+  }
+  const root = resolve(values.root);
+  if (!(await stat(root)).isDirectory()) {
+    throw new Error(`--root: ${root} is not a folder.`);
+  }
+
+  const relay = new Relay();
+  const server = createServer((request, response) => serveFile(root, request, response));
+  server.on("upgrade", (request, socket) => relay.handleUpgrade(request, socket));
+  await new Promise((resolveListen, rejectListen) => {
+    server.once("error", rejectListen);
+    server.listen(port, values.host, resolveListen);
+  });
+  const address = server.address();
+  const origin = `${values.host.includes(":") ? `[${values.host}]` : values.host}:${address.port}`;
+  process.stdout.write(`Serving ${root} at http://${origin}/\n`);
+  process.stdout.write(`Relaying pitch streams at ws://${origin}${LIVE_PATH}\n`);
+  return 0;
+}
+
+// Rooms of WebSocket connections. Publishers' messages go to every viewer in the room; viewers only listen.
+class Relay {
+  constructor() {
+    this.rooms = new Map(); // name → {publishers: Set, viewers: Set}
+  }
+
+  handleUpgrade(request, socket) {
+    const url = new URL(request.url, "http://localhost");
+    if (url.pathname !== LIVE_PATH) {
+      rejectUpgrade(socket, 404, "Not Found");
+      return;
+    }
+    const room = url.searchParams.get("room") ?? "";
+    const role = url.searchParams.get("role");
+    if (!ROOM_PATTERN.test(room) || !ROLES.includes(role)) {
+      rejectUpgrade(socket, 400, "Bad Request");
+      return;
+    }
+
+    const connection = acceptWebSocket(request, socket, {
+      onMessage: role === "publisher" ? (text) => this._relay(room, text) : null,
+      onClose: () => this._leave(room, role, connection),
+    });
+    if (connection) {
+      this._join(room, role, connection);
+    }
+  }
+
+  _join(room, role, connection) {
+    if (!this.rooms.has(room)) {
+      this.rooms.set(room, {publishers: new Set(), viewers: new Set()});
+    }
+    this.rooms.get(room)[`${role}s`].add(connection);
+    this._announce(room);
+  }
+
+  _leave(room, role, connection) {
+    const members = this.rooms.get(room);
+    if (!members) {
+      return;
+    }
+    members[`${role}s`].delete(connection);
+    if (!members.publishers.size && !members.viewers.size) {
+      this.rooms.delete(room);
+      return;
+    }
+    this._announce(room);
+  }
+
+  /**
+   * Tell everyone in the room how many students and teachers are connected.
+   */
+  _announce(room) {
+    const {publishers, viewers} = this.rooms.get(room);
+    const message = JSON.stringify({type: "presence", publishers: publishers.size, viewers: viewers.size});
+    for (const connection of [...publishers, ...viewers]) {
+      connection.send(message);
+    }
+  }
+
+  _relay(room, text) {
+    // Only well-formed stream messages are passed on, so a viewer never has to guard against arbitrary input.
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch {
+      return;
+    }
+    if (!RELAYED_TYPES.includes(message?.type)) {
+      return;
+    }
+    for (const viewer of this.rooms.get(room)?.viewers ?? []) {
+      if (viewer.bufferedAmount < MAX_VIEWER_BACKLOG) {
+        viewer.send(text);
+      }
+    }
+  }
+}
+
+async function serveFile(root, request, response) {
+  if (request.method !== "GET" && request.method !== "HEAD") {
+    sendText(response, 405, "Method Not Allowed");
+    return;
+  }
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(request.url, "http://localhost").pathname);
+  } catch {
+    sendText(response, 400, "Bad Request");
+    return;
+  }
+  if (pathname.endsWith("/")) {
+    pathname += "index.html";
+  }
+  const path = resolve(root, `.${pathname}`);
+  // Stay inside the served folder and keep dot-files such as .git private.
+  if (!path.startsWith(root + sep) || path.slice(root.length).split(sep).some((part) => part.startsWith("."))) {
+    sendText(response, 404, "Not Found");
+    return;
+  }
+
+  let body;
+  try {
+    body = await readFile(path);
+  } catch (error) {
+    const missing = error.code === "ENOENT" || error.code === "EISDIR";
+    sendText(response, missing ? 404 : 500, missing ? "Not Found" : "Internal Server Error");
+    return;
+  }
+  response.writeHead(200, {
+    "Content-Type": CONTENT_TYPES[extname(path).toLowerCase()] ?? "application/octet-stream",
+    "Content-Length": body.length,
+    "Cache-Control": "no-cache",
+  });
+  response.end(request.method === "HEAD" ? undefined : body);
+}
+
+function sendText(response, status, message) {
+  response.writeHead(status, {"Content-Type": "text/plain; charset=utf-8"});
+  response.end(`${message}\n`);
+}
+
+main().then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (error) => {
+    process.stderr.write(`${error.message}\n`);
+    process.exitCode = 1;
+  },
+);
@@ -0,0 +1,468 @@
+import {midiToNoteName} from './note.js';
+
+const DEFAULT_TEMPO_BPM = 120;
+const DRUM_CHANNEL = 9;
+const STEP_SEMITONES = {C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11};
+
+// Alignment steps, as recorded by ScoreFollower for backtracking.
+const MATCH = 0;
+const EXTRA = 1;
+const SKIP = 2;
+
+/**
+ * Load a score file (standard MIDI file or uncompressed MusicXML) into {title, notes}.
+ * Notes are monophonic, in order, with `start` and `duration` in seconds at the score's own tempo.
+ */
+export async function loadScoreFile(file) {
+  if (/\.mxl$/i.test(file.name)) {
+    throw new Error(`${file.name} is compressed MusicXML; export it as uncompressed .musicxml instead.`);
+  }
+  const data = await file.arrayBuffer();
+  const bytes = new Uint8Array(data);
+  const isMidi = /\.midi?$/i.test(file.name) || String.fromCharCode(...bytes.subarray(0, 4)) === "MThd";
+  const score = isMidi ? parseMidi(bytes) : parseMusicXml(new TextDecoder().decode(bytes));
+  if (!score.notes.length) {
+    throw new Error(`${file.name} contains no notes to follow.`);
+  }
+  return {...score, title: score.title || file.name.replace(/\.[^.]+$/, "")};
+}
+
+export function isScoreFile(file) {
+  return /\.(midi?|musicxml|xml|mxl)$/i.test(file.name);
+}
+
+/**
+ * Parse a standard MIDI file. All non-drum tracks are merged; where notes start together the highest one is kept
+ * as the melody.
+ */
+export function parseMidi(bytes) {
+  const reader = new ByteReader(bytes);
+  if (reader.text(4) !== "MThd") {
+    throw new Error("Not a standard MIDI file.");
+  }
+  const headerLength = reader.uint32();
+  reader.uint16(); // format
+  const trackCount = reader.uint16();
+  const division = reader.uint16();
+  reader.skip(headerLength - 6);
+
+  const tempos = [{tick: 0, microsecondsPerQuarter: 500000}];
+  const notes = [];
+  let title = "";
+
+  for (let track = 0; track < trackCount && !reader.done; track++) {
+    const id = reader.text(4);
+    const length = reader.uint32();
+    const end = reader.offset + length;
+    if (id !== "MTrk") {
+      reader.offset = end;
+      continue;
+    }
+
+    let tick = 0;
+    let status = 0;
+    const sounding = new Map(); // channel/key -> start tick
+    while (reader.offset < end) {
+      tick += reader.variableLength();
+      let byte = reader.uint8();
+      if (byte < 0x80) {
+        // Running status: the data byte belongs to the previous status.
+        reader.offset--;
+        byte = status;
+      }
+
+      if (byte === 0xff) {
+        const type = reader.uint8();
+        const size = reader.variableLength();
+        if (type === 0x51 && size === 3) {
+          tempos.push({tick, microsecondsPerQuarter: (reader.uint8() << 16) | (reader.uint8() << 8) | reader.uint8()});
+        } else if (type === 0x03 && !title && track === 0) {
+          title = reader.text(size);
+        } else {
+          reader.skip(size);
+        }
+        continue;
+      }
+      if (byte === 0xf0 || byte === 0xf7) {
+        reader.skip(reader.variableLength());
+        continue;
+      }
+
+      status = byte;
+      const kind = byte & 0xf0;
+      const channel = byte & 0x0f;
+      if (kind === 0x80 || kind === 0x90) {
+        const key = reader.uint8();
+        const velocity = reader.uint8();
+        const id = `${channel}:${key}`;
+        if (kind === 0x90 && velocity > 0) {
+          sounding.set(id, tick);
+        } else if (sounding.has(id)) {
+          if (channel !== DRUM_CHANNEL) {
+            notes.push({midi: key, startTick: sounding.get(id), endTick: tick});
+          }
+          sounding.delete(id);
+        }
+      } else if (kind === 0xc0 || kind === 0xd0) {
+        reader.skip(1);
+      } else {
+        reader.skip(2);
+      }
+    }
+    reader.offset = end;
+  }
+
+  const toSeconds = tickConverter(division, tempos);
+  const timed = notes.map(({midi, startTick, endTick}) => ({
+    midi,
+    start: toSeconds(startTick),
+    duration: toSeconds(endTick) - toSeconds(startTick),
+  }));
+  return {title: title.trim(), notes: toMelody(timed)};
+}
+
+/**
+ * Parse an uncompressed partwise MusicXML document, following the first voice of the first part with notes.
+ */
+export function parseMusicXml(text) {
+  const document = new DOMParser().parseFromString(text, "application/xml");
+  if (document.querySelector("parsererror")) {
+    throw new Error("The score is not valid MusicXML.");
+  }
+  const root = document.documentElement;
+  if (root.nodeName !== "score-partwise") {
+    throw new Error("Only partwise MusicXML scores are supported.");
+  }
+
+  const title = (root.querySelector("work > work-title")?.textContent || root.querySelector("movement-title")?.textContent || "").trim();
+  const part = Array.from(root.querySelectorAll(":scope > part")).find((candidate) => candidate.querySelector("note > pitch"));
+  if (!part) {
+    return {title, notes: []};
+  }
+
+  const notes = [];
+  let divisions = 1;
+  let tempo = DEFAULT_TEMPO_BPM;
+  let time = 0; // seconds
+  let voice = null;
+  let lastStart = 0; // chord notes share the start of the note before them
+  const secondsFor = (duration) => (duration / divisions) * (60 / tempo);
+
+  for (const measure of part.querySelectorAll(":scope > measure")) {
+    for (const element of measure.children) {
+      const tempoAttribute = element.nodeName === "sound" ? element : element.querySelector("sound[tempo]");
+      if (tempoAttribute?.hasAttribute("tempo")) {
+        tempo = Number(tempoAttribute.getAttribute("tempo")) || tempo;
+      }
+
+      if (element.nodeName === "attributes") {
+        divisions = Number(childText(element, "divisions")) || divisions;
+      } else if (element.nodeName === "backup") {
+        time -= secondsFor(Number(childText(element, "duration")) || 0);
+      } else if (element.nodeName === "forward") {
+        time += secondsFor(Number(childText(element, "duration")) || 0);
+      } else if (element.nodeName === "note") {
+        if (element.querySelector(":scope > grace")) {
+          continue;
+        }
+        const duration = secondsFor(Number(childText(element, "duration")) || 0);
+        const chord = Boolean(element.querySelector(":scope > chord"));
+        const noteVoice = childText(element, "voice") || "1";
+        voice = voice ?? noteVoice;
+        if (noteVoice !== voice) {
+          // Other voices are skipped, but their durations still move the cursor between backups.
+          if (!chord) {
+            time += duration;
+          }
+          continue;
+        }
+
+        const start = chord ? lastStart : time;
+        if (!chord) {
+          lastStart = time;
+          time += duration;
+        }
+        const pitch = element.querySelector(":scope > pitch");
+        if (!pitch) {
+          continue;
+        }
+        const midi = (Number(childText(pitch, "octave")) + 1) * 12 +
+          STEP_SEMITONES[childText(pitch, "step")] + Math.round(Number(childText(pitch, "alter")) || 0);
+        const tieStop = Boolean(element.querySelector(":scope > tie[type='stop']"));
+        const previous = notes[notes.length - 1];
+
+        if (chord && previous && previous.start === start) {
+          // Keep the top note of a chord as the melody.
+          previous.midi = Math.max(previous.midi, midi);
+        } else if (tieStop && previous && previous.midi === midi) {
+          previous.duration = start + duration - previous.start;
+        } else {
+          notes.push({midi, start, duration});
+        }
+      }
+    }
+  }
+  return {title, notes: toMelody(notes)};
+}
+
+// Aligns played note events with a score by pitch order, so wrong, extra and skipped notes and any tempo are tolerated.
+export class ScoreFollower {
+  constructor(notes, {
+    toleranceCents = 5,
+    extraNoteCost = 1, // a played note that is not in the score
+    skippedNoteCost = 0.8, // a score note that was not played; below extraNoteCost so jumping ahead reads as skipping
+    wrongNoteCost = 1, // a different note played in place of the score note
+    octaveCost = 0.6, // the right pitch class in the wrong octave (often an octave error in detection)
+    startCost = 0.05, // per score note skipped before the first played note; starting mid-piece is cheap
+    tempoNotes = 8, // recent matched notes used to estimate the tempo
+  } = {}) {
+    this.notes = notes;
+    this.toleranceCents = toleranceCents;
+    this.extraNoteCost = extraNoteCost;
+    this.skippedNoteCost = skippedNoteCost;
+    this.wrongNoteCost = wrongNoteCost;
+    this.octaveCost = octaveCost;
+    this.startCost = startCost;
+    this.tempoNotes = tempoNotes;
+    this.reset();
+  }
+
+  reset() {
+    // costs[j]: cheapest alignment of the played notes so far with the first j score notes.
+    this.costs = Float64Array.from({length: this.notes.length + 1}, (_, j) => j * this.startCost);
+    this.steps = []; // per played note, how each cell was reached: MATCH, EXTRA or SKIP
+    this.events = [];
+    this.consumed = 0;
+    this._align();
+  }
+
+  /**
+   * Index of the next score note the student is expected to play, or -1 at the end of the score.
+   */
+  get position() {
+    return this.consumed < this.notes.length ? this.consumed : -1;
+  }
+
+  get expected() {
+    return this.notes[this.consumed] ?? null;
+  }
+
+  /**
+   * Feed a note event from NoteSegmenter. Earlier assignments may be revised as later notes disambiguate the path.
+   */
+  push(event) {
+    const m = this.notes.length;
+    const previous = this.costs;
+    const costs = new Float64Array(m + 1);
+    const steps = new Uint8Array(m + 1);
+    costs[0] = previous[0] + this.extraNoteCost;
+    steps[0] = EXTRA;
+    for (let j = 1; j <= m; j++) {
+      const match = previous[j - 1] + this._matchCost(event, this.notes[j - 1]);
+      const extra = previous[j] + this.extraNoteCost;
+      const skip = costs[j - 1] + this.skippedNoteCost;
+      if (match <= extra && match <= skip) {
+        costs[j] = match;
+        steps[j] = MATCH;
+      } else if (extra <= skip) {
+        costs[j] = extra;
+        steps[j] = EXTRA;
+      } else {
+        costs[j] = skip;
+        steps[j] = SKIP;
+      }
+    }
+    this.costs = costs;
+    this.steps.push(steps);
+    this.events.push(event);
+    this._align();
+    return this.results[this.consumed - 1] ?? null;
+  }
+
+  /**
+   * Counts and intonation over the notes reached so far. `tempo` is the playing speed relative to the score.
+   */
+  summary() {
+    const reached = this.results.slice(0, this.consumed);
+    const played = reached.filter((result) => result.status === "played");
+    const meanOf = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+    return {
+      total: this.notes.length,
+      reached: this.consumed,
+      played: played.length,
+      inTune: played.filter((result) => Math.abs(result.cents) <= this.toleranceCents).length,
+      wrong: reached.filter((result) => result.status === "wrong").length,
+      missed: reached.filter((result) => result.status === "missed").length,
+      extra: this.extraNotes,
+      meanCents: meanOf(played.map((result) => result.cents)),
+      meanAbsCents: meanOf(played.map((result) => Math.abs(result.cents))),
+      score: played.length ? Math.round(meanOf(played.map((result) => result.score))) : 0,
+      tempo: this._estimateTempo(played),
+    };
+  }
+
+  _matchCost(event, note) {
+    if (event.midi === note.midi) {
+      return 0;
+    }
+    if ((event.midi - note.midi) % 12 === 0) {
+      return this.octaveCost;
+    }
+    return this.wrongNoteCost;
+  }
+
+  _align() {
+    // Free end: the student is wherever the cheapest alignment of everything played so far ends.
+    let end = 0;
+    for (let j = 1; j < this.costs.length; j++) {
+      if (this.costs[j] < this.costs[end]) {
+        end = j;
+      }
+    }
+    this.consumed = end;
+    this.results = this.notes.map((note) => ({...note, status: "pending", cents: null, score: null, event: null}));
+    this.extraNotes = 0;
+
+    let i = this.events.length - 1;
+    let j = end;
+    let started = false;
+    while (i >= 0) {
+      const step = this.steps[i][j];
+      if (j === 0 || step === EXTRA) {
+        this.extraNotes++;
+        i--;
+      } else if (step === SKIP) {
+        if (started) {
+          this.results[j - 1].status = "missed";
+        }
+        j--;
+      } else {
+        const event = this.events[i];
+        const played = event.midi === this.notes[j - 1].midi;
+        Object.assign(this.results[j - 1], {
+          status: played ? "played" : "wrong",
+          cents: played ? event.medianCents : null,
+          score: played ? event.score : null,
+          event,
+        });
+        started = true;
+        i--;
+        j--;
+      }
+    }
+    // Score notes before the first played note were never attempted, so they are not counted as missed.
+    for (let index = 0; index < j; index++) {
+      this.results[index].status = "skipped";
+    }
+  }
+
+  _estimateTempo(played) {
+    const recent = played.slice(-this.tempoNotes);
+    if (recent.length < 3) {
+      return null;
+    }
+    // Least-squares slope of score time against performance time.
+    const xs = recent.map((result) => result.event.onset / 1000);
+    const ys = recent.map((result) => result.start);
+    const meanX = xs.reduce((sum, value) => sum + value, 0) / xs.length;
+    const meanY = ys.reduce((sum, value) => sum + value, 0) / ys.length;
+    let covariance = 0;
+    let variance = 0;
+    xs.forEach((x, index) => {
+      covariance += (x - meanX) * (ys[index] - meanY);
+      variance += (x - meanX) ** 2;
+    });
+    return variance > 0 && covariance > 0 ? covariance / variance : null;
+  }
+}
+
+function childText(element, name) {
+  return element.querySelector(`:scope > ${name}`)?.textContent.trim() ?? "";
+}
+
+function toMelody(notes) {
+  // One note per onset (the highest), in time order.
+  const byStart = new Map();
+  for (const note of notes) {
+    const key = note.start.toFixed(4);
+    if (!byStart.has(key) || byStart.get(key).midi < note.midi) {
+      byStart.set(key, note);
+    }
+  }
+  return Array.from(byStart.values())
+    .sort((a, b) => a.start - b.start)
+    .map((note, index) => ({...note, index, noteName: midiToNoteName(note.midi)}));
+}
+
+function tickConverter(division, tempos) {
+  if (division & 0x8000) {
+    // SMPTE time: frames per second times ticks per frame.
+    const framesPerSecond = 256 - (division >> 8);
+    const ticksPerSecond = framesPerSecond * (division & 0xff);
+    return (tick) => tick / ticksPerSecond;
+  }
+
+  const map = tempos.sort((a, b) => a.tick - b.tick);
+  return (tick) => {
+    let seconds = 0;
+    for (let index = 0; index < map.length; index++) {
+      const from = map[index].tick;
+      if (tick <= from) {
+        break;
+      }
+      const to = index + 1 < map.length ? Math.min(map[index + 1].tick, tick) : tick;
+      seconds += ((to - from) / division) * (map[index].microsecondsPerQuarter / 1e6);
+    }
+    return seconds;
+  };
+}
+
+class ByteReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.offset = 0;
+  }
+
+  get done() {
+    return this.offset >= this.bytes.length;
+  }
+
+  uint8() {
+    if (this.offset >= this.bytes.length) {
+      throw new Error("The MIDI file ends unexpectedly.");
+    }
+    return this.bytes[this.offset++];
+  }
+
+  uint16() {
+    return (this.uint8() << 8) | this.uint8();
+  }
+
+  uint32() {
+    return ((this.uint16() << 16) | this.uint16()) >>> 0;
+  }
+
+  variableLength() {
+    let value = 0;
+    for (let i = 0; i < 4; i++) {
+      const byte = this.uint8();
+      value = (value << 7) | (byte & 0x7f);
+      if (!(byte & 0x80)) {
+        break;
+      }
+    }
+    return value;
+  }
+
+  text(length) {
+    let text = "";
+    for (let i = 0; i < length; i++) {
+      text += String.fromCharCode(this.uint8());
+    }
+    return text;
+  }
+
+  skip(length) {
+    this.offset += length;
+  }
+}
@@ -0,0 +1,161 @@
+const DEFAULT_TOLERANCE_CENTS = 5;
+const ZERO_SCORE_CENTS = 50;
+
+/**
+ * Grade an intonation deviation from 100 (within `tolerance`) down to 0 (a quarter tone or more away).
+ */
+export function scoreIntonation(cents, tolerance = DEFAULT_TOLERANCE_CENTS) {
+  const deviation = Math.abs(cents);
+  if (!Number.isFinite(deviation)) {
+    return 0;
+  }
+  if (deviation <= tolerance) {
+    return 100;
+  }
+  const ratio = (deviation - tolerance) / Math.max(1e-6, ZERO_SCORE_CENTS - tolerance);
+  return Math.round(100 * Math.max(0, 1 - ratio));
+}
+
+// Turns the per-frame pitch stream into discrete note events with onset, offset and intonation statistics.
+export class NoteSegmenter {
+  constructor({
+    onNote = null,
+    minDurationMs = 120, // shorter segments are treated as glitches or transitions
+    maxGapMs = 80, // unvoiced dropouts shorter than this are bridged
+    changeHoldMs = 50, // a new pitch must persist this long before it starts a new note
+    reattackDip = 0.35, // fraction of the note's peak RMS that counts as a bow change dip
+    reattackRise = 0.7, // fraction of the peak RMS that must return after a dip to start a repeated note
+    toleranceCents = DEFAULT_TOLERANCE_CENTS,
+  } = {}) {
+    this.onNote = onNote;
+    this.minDurationMs = minDurationMs;
+    this.maxGapMs = maxGapMs;
+    this.changeHoldMs = changeHoldMs;
+    this.reattackDip = reattackDip;
+    this.reattackRise = reattackRise;
+    this.toleranceCents = toleranceCents;
+    this.reset();
+  }
+
+  reset() {
+    this.current = null;
+    this.pending = null;
+  }
+
+  /**
+   * Feed one frame: `noteData` from frequencyToNoteData, or null when no pitch was detected.
+   * `cents` overrides the deviation used for grading (e.g. the vibrato centre).
+   */
+  push({time, noteData = null, rms = 0, cents = null}) {
+    if (!noteData) {
+      if (this.current && time - this.current.lastVoicedTime > this.maxGapMs) {
+        this._close(this.current.lastVoicedTime);
+      }
+      this.pending = null;
+      return;
+    }
+
+    const frame = {
+      time,
+      cents: Number.isFinite(cents) ? cents : noteData.cents,
+      rms,
+    };
+
+    if (!this.current) {
+      this._open(noteData, frame);
+      return;
+    }
+
+    if (noteData.nearestMidi !== this.current.noteData.nearestMidi) {
+      // Hold back a pitch change until it has lasted long enough to be a real note.
+      if (!this.pending || this.pending.noteData.nearestMidi !== noteData.nearestMidi) {
+        this.pending = {noteData, frames: []};
+      }
+      this.pending.frames.push(frame);
+      if (time - this.pending.frames[0].time >= this.changeHoldMs) {
+        const {noteData: nextNote, frames} = this.pending;
+        this._close(frames[0].time);
+        this._open(nextNote, frames[0]);
+        frames.slice(1).forEach((pendingFrame) => this._append(pendingFrame));
+      }
+      return;
+    }
+
+    this.pending = null;
+    const note = this.current;
+    if (note.dipped && rms >= note.peakRms * this.reattackRise) {
+      // The level fell and came back on the same pitch: a re-articulated (repeated) note.
+      this._close(time);
+      this._open(noteData, frame);
+      return;
+    }
+    if (rms < note.peakRms * this.reattackDip) {
+      note.dipped = true;
+    }
+    this._append(frame);
+  }
+
+  /**
+   * Close the note in progress, e.g. when listening stops.
+   */
+  flush() {
+    if (this.current) {
+      this._close(this.current.lastVoicedTime);
+    }
+    this.pending = null;
+  }
+
+  _open(noteData, frame) {
+    this.current = {
+      noteData,
+      onset: frame.time,
+      lastVoicedTime: frame.time,
+      cents: [frame.cents],
+      peakRms: frame.rms,
+      dipped: false,
+    };
+  }
+
+  _append(frame) {
+    const note = this.current;
+    note.cents.push(frame.cents);
+    note.lastVoicedTime = frame.time;
+    note.peakRms = Math.max(note.peakRms, frame.rms);
+  }
+
+  _close(offset) {
+    const note = this.current;
+    this.current = null;
+    if (!note || offset - note.onset < this.minDurationMs) {
+      return;
+    }
+
+    const event = summariseNote(note, offset, this.toleranceCents);
+    if (this.onNote) {
+      this.onNote(event);
+    }
+  }
+}
+
+function summariseNote(note, offset, toleranceCents) {
+  const values = note.cents;
+  const meanCents = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - meanCents) ** 2, 0) / values.length;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const medianCents = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+
+  return {
+    onset: note.onset,
+    offset,
+    duration: offset - note.onset,
+    midi: note.noteData.nearestMidi,
+    noteName: note.noteData.noteName,
+    targetFrequency: note.noteData.targetFrequency,
+    meanCents,
+    medianCents,
+    stability: Math.sqrt(variance), // standard deviation in cents; lower is steadier
+    frameCount: values.length,
+    score: scoreIntonation(medianCents, toleranceCents),
+  };
+}
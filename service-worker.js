@@ -0,0 +1,42 @@
+// Keeps the app usable offline: requests go to the network first and fall back to the last cached copy.
+const CACHE_NAME = "violin-intonation-v1";
+
+self.addEventListener("install", () => {
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+// The page lists the files it loaded before this worker took control, so the first visit is enough to go offline.
+self.addEventListener("message", (event) => {
+  if (event.data?.type !== "cache" || !Array.isArray(event.data.urls)) {
+    return;
+  }
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => Promise.all(
+    event.data.urls.filter(isSameOrigin).map((url) => cache.add(url).catch(() => {})),
+  )));
+});
+
+self.addEventListener("fetch", (event) => {
+  const {request} = event;
+  if (request.method !== "GET" || !isSameOrigin(request.url)) {
+    return;
+  }
+  event.respondWith(
+    fetch(request)
+      .then((response) => {
+        if (response.ok) {
+          const copy = response.clone();
+          event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.put(request, copy)));
+        }
+        return response;
+      })
+      .catch(async () => (await caches.match(request, {ignoreSearch: true})) ?? Response.error()),
+  );
+});
+
+function isSameOrigin(url) {
+  return new URL(url, self.location.href).origin === self.location.origin;
+}
@@ -0,0 +1,245 @@
+import {midiToNoteName} from './note.js';
+
+export const SESSION_FORMAT = "violin-intonation-session";
+const SESSION_VERSION = 1;
+const CSV_COLUMNS = ["time", "frequency", "note", "midi", "cents", "probability", "rms", "gain"];
+
+// Keeps every estimation of a practice session so it can be exported and replayed later.
+export class SessionRecorder {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.entries = [];
+    this.startTime = null;
+    this.startedAt = null;
+    this.tuning = null;
+    this.detectionMode = null;
+  }
+
+  /**
+   * Begin a new session; `startTime` is the performance-clock time that entry times are measured from.
+   */
+  start({tuning = null, detectionMode = null, startTime = performance.now()} = {}) {
+    this.reset();
+    this.startTime = startTime;
+    this.startedAt = new Date().toISOString();
+    this.tuning = tuning ? tuning.toJSON() : null;
+    this.detectionMode = detectionMode;
+  }
+
+  get isEmpty() {
+    return this.entries.length === 0;
+  }
+
+  /**
+   * Record one frame. Pass `noteData` from frequencyToNoteData, or null for an unvoiced frame.
+   */
+  record(timestamp, noteData, {probability = null, rms = null, gain = null} = {}) {
+    if (this.startTime === null) {
+      return;
+    }
+    this.entries.push({
+      time: round(timestamp - this.startTime, 1),
+      frequency: noteData ? round(noteData.frequency, 3) : null,
+      note: noteData ? noteData.noteName : null,
+      midi: noteData ? noteData.nearestMidi : null,
+      cents: noteData ? round(noteData.cents, 2) : null,
+      probability: Number.isFinite(probability) ? round(probability, 4) : null,
+      rms: Number.isFinite(rms) ? round(rms, 5) : null,
+      gain: Number.isFinite(gain) ? round(gain, 3) : null,
+    });
+  }
+
+  toJSON() {
+    return {
+      format: SESSION_FORMAT,
+      version: SESSION_VERSION,
+      startedAt: this.startedAt,
+      detectionMode: this.detectionMode,
+      tuning: this.tuning,
+      entries: this.entries,
+    };
+  }
+
+  toCSV() {
+    const lines = [CSV_COLUMNS.join(",")];
+    for (const entry of this.entries) {
+      lines.push(CSV_COLUMNS.map((column) => csvValue(entry[column])).join(","));
+    }
+    return lines.join("\n") + "\n";
+  }
+}
+
+/**
+ * Parse an exported session (JSON or CSV) back into {startedAt, detectionMode, tuning, entries}.
+ */
+export function parseSession(text, fileName = "") {
+  const trimmed = text.trim();
+  if (/\.json$/i.test(fileName) || trimmed.startsWith("{")) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error(`${fileName || "Session"} is not valid JSON.`);
+    }
+    if (data?.format !== SESSION_FORMAT || !Array.isArray(data.entries)) {
+      throw new Error(`${fileName || "File"} is not a practice session export.`);
+    }
+    return {
+      startedAt: data.startedAt ?? null,
+      detectionMode: data.detectionMode ?? null,
+      tuning: data.tuning ?? null,
+      entries: data.entries.map(normaliseEntry).sort((a, b) => a.time - b.time),
+    };
+  }
+
+  const [header, ...rows] = trimmed.split(/\r?\n/);
+  const columns = splitCsvLine(header);
+  if (!columns.includes("time") || !columns.includes("frequency")) {
+    throw new Error(`${fileName || "File"} is missing the time and frequency columns of a session export.`);
+  }
+  const entries = rows
+    .filter((row) => row.trim())
+    .map((row) => {
+      const values = splitCsvLine(row);
+      return normaliseEntry(Object.fromEntries(columns.map((column, index) => [column, values[index]])));
+    });
+  return {
+    startedAt: null,
+    detectionMode: null,
+    tuning: null,
+    entries: entries.sort((a, b) => a.time - b.time),
+  };
+}
+
+/**
+ * Rebuild the note data the live pipeline works with from a recorded entry, or null for an unvoiced one.
+ */
+export function entryNoteData(entry) {
+  if (!Number.isFinite(entry.frequency) || !Number.isFinite(entry.midi) || !Number.isFinite(entry.cents)) {
+    return null;
+  }
+  return {
+    frequency: entry.frequency,
+    midi: entry.midi + entry.cents / 100,
+    nearestMidi: entry.midi,
+    cents: entry.cents,
+    targetFrequency: entry.frequency / Math.pow(2, entry.cents / 1200),
+    noteName: entry.note || midiToNoteName(entry.midi),
+  };
+}
+
+// Plays recorded entries back in real time, calling `onEntry(entry, time)` with times on the performance clock.
+export class SessionReplay {
+  constructor(entries, {onEntry = null, onEnd = null, speed = 1} = {}) {
+    this.entries = entries;
+    this.onEntry = onEntry;
+    this.onEnd = onEnd;
+    this.speed = speed;
+    this.timer = null;
+    this.index = 0;
+    this.startTime = 0;
+    this._tick = this._tick.bind(this);
+  }
+
+  get isPlaying() {
+    return this.timer !== null;
+  }
+
+  get duration() {
+    return this.entries.length ? this.entries[this.entries.length - 1].time : 0;
+  }
+
+  start(interval = 20) {
+    this.stop();
+    this.index = 0;
+    this.startTime = performance.now() - (this.entries[0]?.time ?? 0) / this.speed;
+    this.timer = setInterval(this._tick, interval);
+  }
+
+  stop() {
+    if (this.timer !== null) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  _tick() {
+    const elapsed = (performance.now() - this.startTime) * this.speed;
+    while (this.index < this.entries.length && this.entries[this.index].time <= elapsed) {
+      const entry = this.entries[this.index++];
+      if (this.onEntry) {
+        this.onEntry(entry, this.startTime + entry.time / this.speed);
+      }
+    }
+    if (this.index >= this.entries.length) {
+      this.stop();
+      if (this.onEnd) {
+        this.onEnd();
+      }
+    }
+  }
+}
+
+function normaliseEntry(entry) {
+  return {
+    time: toNumber(entry.time) ?? 0,
+    frequency: toNumber(entry.frequency),
+    note: entry.note || null,
+    midi: toNumber(entry.midi),
+    cents: toNumber(entry.cents),
+    probability: toNumber(entry.probability),
+    rms: toNumber(entry.rms),
+    gain: toNumber(entry.gain),
+  };
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function splitCsvLine(line) {
+  const values = [];
+  let current = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      values.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  values.push(current);
+  return values.map((value) => value.trim());
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function round(value, digits) {
+  return Number(value.toFixed(digits));
+}
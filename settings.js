@@ -0,0 +1,154 @@
+const STORAGE_KEY = "violin-intonation-settings";
+
+// Every adjustable parameter. `param` is its short name in shared links; `restart` marks detector options that only
+// take effect when the audio graph is rebuilt; `detection` limits a setting to the detection mode that uses it (pYIN
+// weighs all thresholds at once and its HMM decides what counts as a jump).
+export const SETTINGS = [
+  {key: "detector", param: "detector", group: "Detector", label: "Algorithm", options: ["yin", "mpm", "autocorrelation"], labels: {yin: "YIN", mpm: "McLeod (MPM)", autocorrelation: "Autocorrelation"}, default: "yin", restart: true},
+  {key: "octaveCheck", param: "octave", group: "Detector", label: "Octave check", type: "boolean", default: true, restart: true},
+  {key: "bufferSize", param: "buffer", group: "Detector", label: "Buffer size", options: [1024, 2048, 4096, 8192], unit: "samples", default: 2048, restart: true},
+  {key: "yinThreshold", param: "yin", group: "Detector", label: "YIN threshold", min: 0.02, max: 0.5, step: 0.01, default: 0.1, restart: true, detection: "yin"},
+  {key: "probabilityThreshold", param: "prob", group: "Detector", label: "Min. probability", min: 0, max: 1, step: 0.01, default: 0.15, restart: true, detection: "yin"},
+  {key: "targetRms", param: "agcTarget", group: "Auto gain", label: "Target level", min: 0.02, max: 0.8, step: 0.01, unit: "RMS", default: 0.2},
+  {key: "smoothingTime", param: "agcSmooth", group: "Auto gain", label: "Smoothing", min: 0.05, max: 5, step: 0.05, unit: "s", default: 0.6},
+  {key: "minGain", param: "agcMin", group: "Auto gain", label: "Min. gain", min: 0.1, max: 10, step: 0.1, unit: "×", default: 0.5},
+  {key: "maxGain", param: "agcMax", group: "Auto gain", label: "Max. gain", min: 1, max: 1000, step: 1, unit: "×", default: 200},
+  {key: "gainSlew", param: "agcSlew", group: "Auto gain", label: "Gain slew", min: 0.01, max: 1, step: 0.01, default: 0.1},
+  {key: "gateOpenDb", param: "gateOpen", group: "Noise gate", label: "Open above floor", min: 3, max: 40, step: 1, unit: "dB", default: 12},
+  {key: "gateCloseDb", param: "gateClose", group: "Noise gate", label: "Close above floor", min: 0, max: 40, step: 1, unit: "dB", default: 6},
+  {key: "gateHoldMs", param: "gateHold", group: "Noise gate", label: "Hold time", min: 0, max: 1000, step: 10, unit: "ms", default: 150},
+  {key: "minFrequency", param: "fmin", group: "Pitch range", label: "Lowest pitch", min: 40, max: 1000, step: 1, unit: "Hz", default: 110},
+  {key: "maxFrequency", param: "fmax", group: "Pitch range", label: "Highest pitch", min: 200, max: 5000, step: 1, unit: "Hz", default: 1660},
+  {key: "maxJumpHz", param: "jump", group: "Pitch range", label: "Max. jump", min: 10, max: 2000, step: 1, unit: "Hz", default: 160, detection: "yin"},
+  {key: "maxGapMs", param: "gap", group: "Pitch range", label: "Jump window", min: 20, max: 2000, step: 10, unit: "ms", default: 200, detection: "yin"},
+  {key: "updateIntervalMs", param: "poll", group: "Display", label: "Update interval", min: 10, max: 200, step: 5, unit: "ms", default: 20},
+  {key: "detailedStatus", param: "status", group: "Display", label: "Detailed status", type: "boolean", default: false},
+];
+
+export const DEFAULT_SETTINGS = Object.freeze(Object.fromEntries(SETTINGS.map(({key, default: value}) => [key, value])));
+
+// Starting points a teacher can adjust and share; values not listed keep their defaults.
+export const PRESETS = {
+  default: {label: "Default", settings: {}},
+  quiet: {label: "Quiet room", settings: {maxGain: 400}},
+  noisy: {label: "Noisy room", settings: {gateOpenDb: 15, gateCloseDb: 9, maxGain: 60, bufferSize: 4096}},
+};
+
+/**
+ * Complete settings from a partial object: unknown keys are dropped, numbers are clamped to their range and
+ * anything unusable falls back to the default.
+ */
+export function normalizeSettings(values = {}) {
+  const settings = {};
+  for (const definition of SETTINGS) {
+    settings[definition.key] = normalizeValue(definition, values[definition.key]);
+  }
+  if (settings.gateCloseDb > settings.gateOpenDb) {
+    settings.gateCloseDb = settings.gateOpenDb;
+  }
+  if (settings.minFrequency >= settings.maxFrequency) {
+    settings.minFrequency = DEFAULT_SETTINGS.minFrequency;
+    settings.maxFrequency = DEFAULT_SETTINGS.maxFrequency;
+  }
+  return settings;
+}
+
+export function presetSettings(name) {
+  const preset = PRESETS[name];
+  if (!preset) {
+    throw new Error(`Unknown preset: ${name}`);
+  }
+  return normalizeSettings({...DEFAULT_SETTINGS, ...preset.settings});
+}
+
+export function loadSettings(storage = globalThis.localStorage) {
+  try {
+    const stored = storage?.getItem(STORAGE_KEY);
+    return normalizeSettings(stored ? JSON.parse(stored) : {});
+  } catch {
+    return normalizeSettings();
+  }
+}
+
+export function saveSettings(settings, storage = globalThis.localStorage) {
+  storage?.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Query string (without "?") holding the settings that differ from the defaults, e.g. "gateOpen=15&buffer=4096".
+ */
+export function encodeSettings(settings) {
+  const params = new URLSearchParams();
+  for (const {key, param, type} of SETTINGS) {
+    if (settings[key] !== DEFAULT_SETTINGS[key]) {
+      params.set(param, type === "boolean" ? (settings[key] ? "1" : "0") : String(settings[key]));
+    }
+  }
+  return params.toString();
+}
+
+/**
+ * Settings encoded in a query string, on top of the defaults; null when the query holds none.
+ */
+export function decodeSettings(search) {
+  const params = new URLSearchParams(search);
+  const values = {};
+  for (const {key, param, type} of SETTINGS) {
+    if (params.has(param)) {
+      const text = params.get(param);
+      values[key] = type === "boolean" ? text === "1" || text === "true" : text;
+    }
+  }
+  return Object.keys(values).length ? normalizeSettings({...DEFAULT_SETTINGS, ...values}) : null;
+}
+
+export function settingParams() {
+  return SETTINGS.map(({param}) => param);
+}
+
+export function trackerOptions(settings) {
+  return {
+    detector: settings.detector,
+    octaveCheck: settings.octaveCheck,
+    bufferSize: settings.bufferSize,
+    yinThreshold: settings.yinThreshold,
+    probabilityThreshold: settings.probabilityThreshold,
+    pollIntervalMs: settings.updateIntervalMs,
+    autoGainOptions: {
+      targetRms: settings.targetRms,
+      smoothingTime: settings.smoothingTime,
+      minGain: settings.minGain,
+      maxGain: settings.maxGain,
+      gainSlew: settings.gainSlew,
+    },
+    gateOptions: {
+      openDb: settings.gateOpenDb,
+      closeDb: settings.gateCloseDb,
+      holdMs: settings.gateHoldMs,
+    },
+  };
+}
+
+export function filterOptions(settings) {
+  return {
+    minFrequency: settings.minFrequency,
+    maxFrequency: settings.maxFrequency,
+    maxJumpHz: settings.maxJumpHz,
+    maxGapMs: settings.maxGapMs,
+  };
+}
+
+function normalizeValue(definition, value) {
+  if (definition.type === "boolean") {
+    return typeof value === "boolean" ? value : definition.default;
+  }
+  if (definition.options) {
+    // Values read from links and forms arrive as strings.
+    return definition.options.find((option) => String(option) === String(value)) ?? definition.default;
+  }
+  const number = Number(value);
+  if (value === null || value === undefined || value === "" || !Number.isFinite(number)) {
+    return definition.default;
+  }
+  return Math.min(definition.max, Math.max(definition.min, number));
+}
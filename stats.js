@@ -0,0 +1,94 @@
+import {midiToNoteName} from './note.js';
+
+const HISTOGRAM_STEP_CENTS = 0.5;
+const HISTOGRAM_RANGE_CENTS = 50; // deviations beyond this share the last bin
+const DEFAULT_FRAME_MS = 20;
+
+// Accumulates every voiced frame of a session per note (pitch class and octave), weighted by the time it lasted.
+export class NoteStatistics {
+  constructor({
+    toleranceCents = 5,
+    maxFrameMs = 100, // a longer gap since the previous frame counts as one typical frame, not as sounding time
+  } = {}) {
+    this.toleranceCents = toleranceCents;
+    this.maxFrameMs = maxFrameMs;
+    this.reset();
+  }
+
+  reset() {
+    this.notes = new Map();
+    this.lastTime = null;
+    this.frameMs = DEFAULT_FRAME_MS;
+  }
+
+  get isEmpty() {
+    return this.notes.size === 0;
+  }
+
+  setTolerance(cents) {
+    if (!Number.isFinite(cents) || cents <= 0) {
+      throw new Error("The tolerance must be a positive number of cents.");
+    }
+    this.toleranceCents = cents;
+  }
+
+  /**
+   * Add a voiced frame: `midi` is the nearest note and `cents` its deviation from the target.
+   */
+  push(timestamp, midi, cents) {
+    if (!Number.isFinite(cents)) {
+      return;
+    }
+    const elapsed = this.lastTime === null ? null : timestamp - this.lastTime;
+    if (elapsed !== null && elapsed > 0 && elapsed <= this.maxFrameMs) {
+      this.frameMs = elapsed;
+    }
+    this.lastTime = timestamp;
+    const weight = this.frameMs / 1000;
+
+    if (!this.notes.has(midi)) {
+      this.notes.set(midi, {
+        time: 0,
+        sum: 0,
+        sumSquares: 0,
+        histogram: new Float64Array(Math.ceil(HISTOGRAM_RANGE_CENTS / HISTOGRAM_STEP_CENTS) + 1),
+      });
+    }
+    const entry = this.notes.get(midi);
+    entry.time += weight;
+    entry.sum += cents * weight;
+    entry.sumSquares += cents * cents * weight;
+    const bin = Math.min(entry.histogram.length - 1, Math.floor(Math.abs(cents) / HISTOGRAM_STEP_CENTS));
+    entry.histogram[bin] += weight;
+  }
+
+  /**
+   * Mark an unvoiced frame, so the silence is not counted towards the next note.
+   */
+  gap() {
+    this.lastTime = null;
+  }
+
+  /**
+   * Per-note statistics, lowest note first: {midi, noteName, meanCents, stdCents, time (s), withinTolerance (0-1)}.
+   */
+  entries() {
+    // The histogram resolves the tolerance in half-cent steps, so changing it applies to the whole session.
+    const inside = Math.floor(this.toleranceCents / HISTOGRAM_STEP_CENTS);
+    return Array.from(this.notes, ([midi, entry]) => {
+      const meanCents = entry.sum / entry.time;
+      let within = 0;
+      for (let bin = 0; bin < Math.min(inside, entry.histogram.length - 1); bin++) {
+        within += entry.histogram[bin];
+      }
+      return {
+        midi,
+        noteName: midiToNoteName(midi),
+        meanCents,
+        stdCents: Math.sqrt(Math.max(0, entry.sumSquares / entry.time - meanCents * meanCents)),
+        time: entry.time,
+        withinTolerance: within / entry.time,
+      };
+    }).sort((a, b) => a.midi - b.midi);
+  }
+}
@@ -0,0 +1,96 @@
+import {createPitchDetector} from './detectors.js';
+import {analyseAmplitude} from './amplitude.js';
+import {DoubleStopDetector} from './polyphony.js';
+
+const DOUBLE_STOP_INTERVAL = 0.1; // seconds between double-stop analyses; hops in between repeat the last result
+
+// Maintains a sliding analysis window over consecutive hops of audio and runs the pitch detector on each hop. While
+// the owner's noise gate is closed only the level is measured, so silence costs next to nothing.
+export class StreamingPitchDetector {
+  constructor(sampleRate, {
+    bufferSize = 2048,
+    yinThreshold = 0.1,
+    probabilityThreshold = 0.15,
+    pyin = false,
+    doubleStops = false,
+    detector = "yin", // a name in DETECTORS or a detector factory
+    octaveCheck = true,
+  } = {}) {
+    this.sampleRate = sampleRate;
+    this.pyin = pyin;
+    this.bufferSize = bufferSize;
+    this.open = true;
+    this.window = new Float32Array(bufferSize);
+    this.filled = 0;
+    this.detector = createPitchDetector(detector, sampleRate, {yinThreshold, probabilityThreshold, bufferSize, octaveCheck});
+    this.configure({doubleStops});
+  }
+
+  /**
+   * Change options that can be switched while streaming. `doubleStops` adds polyphonic analysis on a longer window;
+   * `open` follows the noise gate, and hops are only analysed while it is true.
+   */
+  configure({doubleStops = Boolean(this.doubleStops), open = this.open} = {}) {
+    this.open = open;
+    if (doubleStops && !this.doubleStops) {
+      // Silence never reaches it, so it needs no level threshold of its own.
+      this.doubleStops = new DoubleStopDetector(this.sampleRate, {rmsThreshold: 0});
+      this.history = new Float32Array(this.doubleStops.bufferSize);
+      this.historyFilled = 0;
+      this.doubleStop = null;
+      this.doubleStopTime = null;
+    } else if (!doubleStops) {
+      this.doubleStops = null;
+      this.history = null;
+    }
+  }
+
+  /**
+   * Append a hop of samples ending at audio frame `endFrame`.
+   * Returns null until the window has filled, then one estimation per hop stamped with `audioTime` in seconds.
+   */
+  push(samples, endFrame) {
+    const count = Math.min(samples.length, this.bufferSize);
+    this.window.copyWithin(0, count);
+    this.window.set(samples.subarray(samples.length - count), this.bufferSize - count);
+    this.filled = Math.min(this.bufferSize, this.filled + count);
+    if (this.history) {
+      const historyCount = Math.min(samples.length, this.history.length);
+      this.history.copyWithin(0, historyCount);
+      this.history.set(samples.subarray(samples.length - historyCount), this.history.length - historyCount);
+      this.historyFilled = Math.min(this.history.length, this.historyFilled + historyCount);
+    }
+    if (this.filled < this.bufferSize) {
+      return null;
+    }
+
+    const audioTime = endFrame / this.sampleRate;
+    const {rms, peak} = analyseAmplitude(this.window);
+    let estimation = null;
+    if (this.open) {
+      estimation = this.pyin ? this.detector.getProbabilisticPitch(this.window) : this.detector.getPitch(this.window);
+    }
+
+    return {
+      frequency: estimation ? estimation.frequency : null,
+      probability: estimation ? estimation.probability : 0,
+      candidates: estimation?.candidates ?? [],
+      octave: estimation?.octave ?? null,
+      doubleStop: this.open && this.history && this.historyFilled === this.history.length
+        ? this._detectDoubleStop(audioTime)
+        : null,
+      rms,
+      peak,
+      audioTime,
+    };
+  }
+
+  _detectDoubleStop(audioTime) {
+    // The analysis is far costlier than a hop is long, and a double stop changes much more slowly than that.
+    if (this.doubleStopTime === null || audioTime - this.doubleStopTime >= DOUBLE_STOP_INTERVAL) {
+      this.doubleStop = this.doubleStops.detect(this.history);
+      this.doubleStopTime = audioTime;
+    }
+    return this.doubleStop;
+  }
+}
@@ -0,0 +1,17 @@
+// Plain-text tables for the command-line tools.
+
+/**
+ * Rows of equal keys as a plain-text table: text columns left-aligned, numbers and percentages right-aligned.
+ */
+export function formatTable(rows) {
+  const columns = Object.keys(rows[0]);
+  const cells = [columns, ...rows.map((row) => columns.map((column) => String(row[column])))];
+  const widths = columns.map((_, index) => Math.max(...cells.map((line) => line[index].length)));
+  const numeric = columns.map((column) => rows.every((row) => /^[\d.,%×e+–-]+$/.test(String(row[column]))));
+  const format = (line) => line
+    .map((cell, index) => (numeric[index] ? cell.padStart(widths[index]) : cell.padEnd(widths[index])))
+    .join("  ")
+    .trimEnd();
+  const rule = widths.map((width) => "-".repeat(width)).join("  ");
+  return [format(cells[0]), rule, ...cells.slice(1).map(format)].join("\n") + "\n";
+}
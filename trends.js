@@ -0,0 +1,137 @@
+const MARGIN = {left: 44, right: 16, top: 14, bottom: 24};
+const MIN_CENTS_RANGE = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Chart of one pitch's average deviation per practice session over time, with the spread as whiskers.
+export class TrendChart {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext("2d");
+    this.points = [];
+    this.label = "";
+    this._handleResize = this.resize.bind(this);
+    window.addEventListener("resize", this._handleResize);
+    this.resize();
+  }
+
+  /**
+   * Show points from pitchTrend: [{date, meanCents, stdCents, count}].
+   */
+  render(points, label = "") {
+    this.points = points;
+    this.label = label;
+    this.draw();
+  }
+
+  resize() {
+    const ratio = window.devicePixelRatio || 1;
+    const displayWidth = this.canvas.clientWidth * ratio;
+    const displayHeight = this.canvas.clientHeight * ratio;
+    if (this.canvas.width !== displayWidth || this.canvas.height !== displayHeight) {
+      this.canvas.width = displayWidth;
+      this.canvas.height = displayHeight;
+    }
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    this.ctx.scale(ratio, ratio);
+    this.width = this.canvas.clientWidth;
+    this.height = this.canvas.clientHeight;
+    this.draw();
+  }
+
+  draw() {
+    const ctx = this.ctx;
+    ctx.clearRect(0, 0, this.width, this.height);
+    const plotWidth = this.width - MARGIN.left - MARGIN.right;
+    const plotHeight = this.height - MARGIN.top - MARGIN.bottom;
+    if (plotWidth < 20 || plotHeight < 20) {
+      return;
+    }
+    ctx.font = "11px -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif";
+
+    if (!this.points.length) {
+      ctx.fillStyle = "rgba(244, 246, 248, 0.5)";
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillText("No sessions with this note yet", this.width / 2, this.height / 2);
+      return;
+    }
+
+    const extent = Math.max(MIN_CENTS_RANGE, ...this.points.map(({meanCents, stdCents}) => Math.abs(meanCents) + stdCents));
+    const range = Math.ceil(extent / 10) * 10;
+    const first = this.points[0].date.getTime();
+    const last = this.points[this.points.length - 1].date.getTime();
+    const span = Math.max(last - first, DAY_MS);
+    const start = first - (last === first ? span / 2 : span * 0.03);
+    const end = start + span * (last === first ? 1 : 1.06);
+    const xFor = (date) => MARGIN.left + ((date.getTime() - start) / (end - start)) * plotWidth;
+    const yFor = (cents) => MARGIN.top + ((range - cents) / (2 * range)) * plotHeight;
+
+    // Cents grid, with the in-tune line emphasised.
+    ctx.textAlign = "right";
+    ctx.textBaseline = "middle";
+    const step = range > 40 ? 20 : 10;
+    for (let cents = -range; cents <= range; cents += step) {
+      const y = yFor(cents);
+      ctx.strokeStyle = cents === 0 ? "rgba(120, 220, 140, 0.5)" : "rgba(255, 255, 255, 0.08)";
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(MARGIN.left, y);
+      ctx.lineTo(this.width - MARGIN.right, y);
+      ctx.stroke();
+      ctx.fillStyle = "rgba(244, 246, 248, 0.55)";
+      ctx.fillText(cents > 0 ? `+${cents}` : String(cents), MARGIN.left - 6, y);
+    }
+
+    // Date labels, thinned so they do not overlap.
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    let lastLabelX = -Infinity;
+    for (const {date} of this.points) {
+      const x = xFor(date);
+      if (x - lastLabelX < 60) {
+        continue;
+      }
+      ctx.fillText(date.toLocaleDateString(undefined, {month: "short", day: "numeric"}), x, this.height - MARGIN.bottom + 6);
+      lastLabelX = x;
+    }
+
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.35)";
+    ctx.lineWidth = 1;
+    for (const {date, meanCents, stdCents} of this.points) {
+      const x = xFor(date);
+      ctx.beginPath();
+      ctx.moveTo(x, yFor(Math.min(range, meanCents + stdCents)));
+      ctx.lineTo(x, yFor(Math.max(-range, meanCents - stdCents)));
+      ctx.stroke();
+    }
+
+    ctx.strokeStyle = "rgb(255, 214, 102)";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    this.points.forEach(({date, meanCents}, index) => {
+      const method = index === 0 ? "moveTo" : "lineTo";
+      ctx[method](xFor(date), yFor(meanCents));
+    });
+    ctx.stroke();
+
+    ctx.fillStyle = "rgb(255, 214, 102)";
+    for (const {date, meanCents, count} of this.points) {
+      // Sessions with more notes of this pitch are more reliable, so they get larger markers.
+      const radius = Math.min(6, 2.5 + Math.sqrt(count) / 2);
+      ctx.beginPath();
+      ctx.arc(xFor(date), yFor(meanCents), radius, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    if (this.label) {
+      ctx.textAlign = "left";
+      ctx.textBaseline = "top";
+      ctx.fillStyle = "rgba(244, 246, 248, 0.75)";
+      ctx.fillText(this.label, MARGIN.left + 6, MARGIN.top);
+    }
+  }
+
+  destroy() {
+    window.removeEventListener("resize", this._handleResize);
+  }
+}
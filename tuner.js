@@ -0,0 +1,305 @@
+import {midiToNoteName, noteNameToMidi} from './note.js';
+import {DEFAULT_TUNING} from './tuning.js';
+
+export const DEFAULT_STRINGS = ["G3", "D4", "A4", "E5"];
+export const TARGET_MODES = {
+  "pure-fifths": "Pure fifths from A",
+  equal: "Equal temperament",
+};
+
+const PURE_FIFTH_CENTS = 1200 * Math.log2(3 / 2);
+const DIAL_RANGE_CENTS = 50;
+const MAX_STRING_DISTANCE_CENTS = 350; // pitches further than this from every open string are ignored
+const SWITCH_FRAMES = 3; // consecutive frames nearer another string before the tuner switches to it
+
+/**
+ * Parse a string setup such as "G3 D4 A4 E5" (lowest first) into MIDI numbers.
+ */
+export function parseStrings(text) {
+  const names = String(text).split(/[\s,]+/).filter(Boolean);
+  if (!names.length) {
+    throw new Error("List the open strings with octaves, e.g. G3 D4 A4 E5.");
+  }
+  const strings = names.map((name) => {
+    const midi = noteNameToMidi(name);
+    if (midi === null) {
+      throw new Error(`Unknown string "${name}"; use note names with octaves, e.g. C3 or E5.`);
+    }
+    return midi;
+  });
+  return strings.sort((a, b) => a - b);
+}
+
+// Tracks which open string is sounding and how far it is from its target, for tuning before practice.
+export class StringTuner {
+  constructor({
+    strings = DEFAULT_STRINGS.map(noteNameToMidi),
+    tuning = DEFAULT_TUNING,
+    targetMode = "pure-fifths",
+    smoothing = 0.35, // weight of the newest reading in the displayed cents
+    pureToleranceCents = 2,
+  } = {}) {
+    this.tuning = tuning;
+    this.targetMode = targetMode;
+    this.smoothing = smoothing;
+    this.pureToleranceCents = pureToleranceCents;
+    this.setStrings(strings);
+  }
+
+  setStrings(strings) {
+    this.strings = [...strings].sort((a, b) => a - b);
+    this._computeTargets();
+    this.reset();
+  }
+
+  setTuning(tuning) {
+    this.tuning = tuning;
+    this._computeTargets();
+  }
+
+  setTargetMode(mode) {
+    if (!TARGET_MODES[mode]) {
+      throw new Error(`Unknown target mode: ${mode}`);
+    }
+    this.targetMode = mode;
+    this._computeTargets();
+  }
+
+  reset() {
+    this.current = -1;
+    this.cents = null;
+    this.reading = null;
+    this._switchCandidate = -1;
+    this._switchFrames = 0;
+    // Last settled frequency of every string, for checking the fifths between neighbours.
+    this.measured = this.strings.map(() => null);
+  }
+
+  /**
+   * Release the current string when the sound stops; the last readings are kept for the fifths check.
+   */
+  release() {
+    this.current = -1;
+    this.cents = null;
+    this.reading = null;
+    this._switchFrames = 0;
+  }
+
+  /**
+   * Feed a detected frequency. Returns the reading for the sounding string, or null when no string is near.
+   */
+  update(frequency) {
+    const nearest = this._nearestString(frequency);
+    if (nearest === -1) {
+      this.release();
+      return null;
+    }
+
+    if (this.current === -1) {
+      this.current = nearest;
+    } else if (nearest !== this.current) {
+      // Require a few frames on another string so a stray harmonic does not swing the dial.
+      if (nearest !== this._switchCandidate) {
+        this._switchCandidate = nearest;
+        this._switchFrames = 0;
+      }
+      if (++this._switchFrames < SWITCH_FRAMES) {
+        return this.reading;
+      }
+      this.current = nearest;
+      this.cents = null;
+      this._switchFrames = 0;
+    } else {
+      this._switchFrames = 0;
+    }
+
+    const target = this.targets[this.current];
+    const cents = 1200 * Math.log2(frequency / target);
+    this.cents = this.cents === null ? cents : this.cents + this.smoothing * (cents - this.cents);
+    const settled = target * Math.pow(2, this.cents / 1200);
+    this.measured[this.current] = settled;
+
+    this.reading = {
+      index: this.current,
+      midi: this.strings[this.current],
+      noteName: midiToNoteName(this.strings[this.current]),
+      frequency,
+      targetFrequency: target,
+      cents: this.cents,
+    };
+    return this.reading;
+  }
+
+  /**
+   * Fifths between adjacent strings a fifth apart, measured from each string's last reading.
+   * `cents` is the deviation from a pure 3:2 fifth (positive is wide).
+   */
+  fifths() {
+    const result = [];
+    for (let index = 1; index < this.strings.length; index++) {
+      if (this.strings[index] - this.strings[index - 1] !== 7) {
+        continue;
+      }
+      const lower = this.measured[index - 1];
+      const upper = this.measured[index];
+      const cents = lower && upper ? 1200 * Math.log2(upper / lower) - PURE_FIFTH_CENTS : null;
+      result.push({
+        lower: midiToNoteName(this.strings[index - 1]),
+        upper: midiToNoteName(this.strings[index]),
+        cents,
+        pure: cents !== null && Math.abs(cents) <= this.pureToleranceCents,
+      });
+    }
+    return result;
+  }
+
+  _nearestString(frequency) {
+    if (!Number.isFinite(frequency) || frequency <= 0) {
+      return -1;
+    }
+    let best = -1;
+    let bestDistance = Infinity;
+    this.targets.forEach((target, index) => {
+      const distance = Math.abs(1200 * Math.log2(frequency / target));
+      if (distance < bestDistance) {
+        best = index;
+        bestDistance = distance;
+      }
+    });
+    return bestDistance <= MAX_STRING_DISTANCE_CENTS ? best : -1;
+  }
+
+  _computeTargets() {
+    const equal = this.strings.map((midi) => this.tuning.equalFrequency(midi));
+    if (this.targetMode === "equal") {
+      this.targets = equal;
+      return;
+    }
+
+    // Tune the string nearest A4 to the reference pitch, then chain outwards in pure fifths where strings allow.
+    let anchor = 0;
+    this.strings.forEach((midi, index) => {
+      if (Math.abs(midi - 69) < Math.abs(this.strings[anchor] - 69)) {
+        anchor = index;
+      }
+    });
+    const targets = [...equal];
+    const ratio = (lower, upper) => (upper - lower === 7 ? 3 / 2 : Math.pow(2, (upper - lower) / 12));
+    for (let index = anchor + 1; index < targets.length; index++) {
+      targets[index] = targets[index - 1] * ratio(this.strings[index - 1], this.strings[index]);
+    }
+    for (let index = anchor - 1; index >= 0; index--) {
+      targets[index] = targets[index + 1] / ratio(this.strings[index], this.strings[index + 1]);
+    }
+    this.targets = targets;
+  }
+}
+
+// Needle dial showing the sounding string's deviation from its target with fine cents resolution.
+export class TunerDial {
+  constructor(canvas, {rangeCents = DIAL_RANGE_CENTS} = {}) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext("2d");
+    this.rangeCents = rangeCents;
+    this.reading = null;
+    this._handleResize = this.resize.bind(this);
+    window.addEventListener("resize", this._handleResize);
+    this.resize();
+  }
+
+  resize() {
+    const ratio = window.devicePixelRatio || 1;
+    const displayWidth = this.canvas.clientWidth * ratio;
+    const displayHeight = this.canvas.clientHeight * ratio;
+    if (this.canvas.width !== displayWidth || this.canvas.height !== displayHeight) {
+      this.canvas.width = displayWidth;
+      this.canvas.height = displayHeight;
+    }
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    this.ctx.scale(ratio, ratio);
+    this.width = this.canvas.clientWidth;
+    this.height = this.canvas.clientHeight;
+    this.draw();
+  }
+
+  /**
+   * Show a reading from StringTuner.update, or null to park the needle.
+   */
+  render(reading) {
+    this.reading = reading;
+    this.draw();
+  }
+
+  draw() {
+    const ctx = this.ctx;
+    ctx.clearRect(0, 0, this.width, this.height);
+    if (this.width < 10 || this.height < 10) {
+      return;
+    }
+
+    // Half-circle arc from -range (left) to +range (right), pivot near the bottom.
+    const radius = Math.min(this.width / 2 - 24, this.height - 70);
+    const centerX = this.width / 2;
+    const centerY = this.height - 40;
+    const angleFor = (cents) => -Math.PI / 2 + (cents / this.rangeCents) * (Math.PI / 2.4);
+
+    ctx.save();
+    ctx.translate(centerX, centerY);
+    ctx.lineCap = "round";
+
+    for (let cents = -this.rangeCents; cents <= this.rangeCents; cents++) {
+      const major = cents % 10 === 0;
+      const minor = cents % 5 === 0;
+      const length = major ? 16 : minor ? 10 : 5;
+      const angle = angleFor(cents);
+      ctx.strokeStyle = Math.abs(cents) <= 2 ? "rgba(120, 220, 140, 0.9)" : "rgba(255, 255, 255, 0.35)";
+      ctx.lineWidth = major ? 2 : 1;
+      ctx.beginPath();
+      ctx.moveTo(Math.cos(angle) * radius, Math.sin(angle) * radius);
+      ctx.lineTo(Math.cos(angle) * (radius - length), Math.sin(angle) * (radius - length));
+      ctx.stroke();
+
+      if (major) {
+        ctx.fillStyle = "rgba(244, 246, 248, 0.6)";
+        ctx.font = "11px -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif";
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+        const labelRadius = radius - 28;
+        ctx.fillText(cents > 0 ? `+${cents}` : String(cents), Math.cos(angle) * labelRadius, Math.sin(angle) * labelRadius);
+      }
+    }
+
+    const reading = this.reading;
+    const cents = reading ? Math.max(-this.rangeCents, Math.min(this.rangeCents, reading.cents)) : 0;
+    const angle = angleFor(cents);
+    ctx.strokeStyle = !reading
+      ? "rgba(255, 255, 255, 0.2)"
+      : Math.abs(reading.cents) <= 2 ? "rgb(120, 220, 140)" : Math.abs(reading.cents) <= 10 ? "rgb(255, 214, 102)" : "rgb(255, 120, 120)";
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.lineTo(Math.cos(angle) * (radius - 6), Math.sin(angle) * (radius - 6));
+    ctx.stroke();
+    ctx.fillStyle = ctx.strokeStyle;
+    ctx.beginPath();
+    ctx.arc(0, 0, 6, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.textAlign = "center";
+    ctx.textBaseline = "alphabetic";
+    ctx.fillStyle = "#f4f6f8";
+    ctx.font = "600 28px -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif";
+    ctx.fillText(reading ? reading.noteName : "—", 0, -radius * 0.35);
+    ctx.font = "14px -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif";
+    ctx.fillStyle = "rgba(244, 246, 248, 0.75)";
+    const detail = reading
+      ? `${reading.cents > 0 ? "+" : ""}${reading.cents.toFixed(1)} ¢ · ${reading.frequency.toFixed(2)} Hz (target ${reading.targetFrequency.toFixed(2)})`
+      : "Play an open string";
+    ctx.fillText(detail, 0, 28);
+    ctx.restore();
+  }
+
+  destroy() {
+    window.removeEventListener("resize", this._handleResize);
+  }
+}
@@ -0,0 +1,157 @@
+// Describes the reference pitch and temperament that target notes are measured against.
+
+const ratioToCents = (ratio) => 1200 * Math.log2(ratio);
+const fromRatios = (ratios) => ratios.map(([numerator, denominator]) => ratioToCents(numerator / denominator));
+
+const SYNTONIC_COMMA = ratioToCents(81 / 80);
+const MEANTONE_FIFTH = ratioToCents(3 / 2) - SYNTONIC_COMMA / 4;
+
+function meantoneTable() {
+  // Quarter-comma meantone as a chain of narrowed fifths from the minor third (-3) to the augmented fifth (+8).
+  const table = new Array(12);
+  for (let step = -3; step <= 8; step++) {
+    const degree = (((step * 7) % 12) + 12) % 12;
+    table[degree] = (((step * MEANTONE_FIFTH) % 1200) + 1200) % 1200;
+  }
+  return table;
+}
+
+/**
+ * Pure (5-limit) frequency ratios for each chromatic step above the tonic, as [numerator, denominator].
+ */
+export const JUST_RATIOS = [
+  [1, 1], [16, 15], [9, 8], [6, 5], [5, 4], [4, 3],
+  [45, 32], [3, 2], [8, 5], [5, 3], [9, 5], [15, 8],
+];
+
+/**
+ * Built-in temperaments as cents above the tonic for each of the twelve chromatic scale degrees.
+ */
+export const TEMPERAMENTS = {
+  equal: {
+    label: "Equal temperament",
+    cents: Array.from({length: 12}, (_, degree) => degree * 100),
+  },
+  just: {
+    label: "Just intonation",
+    cents: fromRatios(JUST_RATIOS),
+  },
+  pythagorean: {
+    label: "Pythagorean",
+    cents: fromRatios([
+      [1, 1], [256, 243], [9, 8], [32, 27], [81, 64], [4, 3],
+      [729, 512], [3, 2], [128, 81], [27, 16], [16, 9], [243, 128],
+    ]),
+  },
+  meantone: {
+    label: "Quarter-comma meantone",
+    cents: meantoneTable(),
+  },
+  custom: {
+    label: "Custom cents table",
+    cents: null,
+  },
+};
+
+export const DEFAULT_REFERENCE_FREQUENCY = 440;
+
+export class Tuning {
+  /**
+   * The tonic is anchored at its equal-tempered pitch relative to A4; the other scale degrees are
+   * placed above it according to the temperament. Custom tables list twelve cents values above the tonic.
+   */
+  constructor({
+    referenceFrequency = DEFAULT_REFERENCE_FREQUENCY,
+    temperament = "equal",
+    tonic = 0,
+    customCents = null,
+  } = {}) {
+    if (!Number.isFinite(referenceFrequency) || referenceFrequency <= 0) {
+      throw new Error(`Invalid reference frequency: ${referenceFrequency}`);
+    }
+    if (!Object.prototype.hasOwnProperty.call(TEMPERAMENTS, temperament)) {
+      throw new Error(`Unknown temperament: ${temperament}`);
+    }
+
+    const table = temperament === "custom" ? customCents : TEMPERAMENTS[temperament].cents;
+    if (!Array.isArray(table) || table.length !== 12 || !table.every(Number.isFinite)) {
+      throw new Error("A custom temperament needs twelve cents values.");
+    }
+
+    this.referenceFrequency = referenceFrequency;
+    this.temperament = temperament;
+    this.tonic = ((Math.round(tonic) % 12) + 12) % 12;
+    this.customCents = temperament === "custom" ? [...customCents] : null;
+    // Deviation of each scale degree from its equal-tempered position, in cents.
+    this.degreeOffsets = table.map((cents, degree) => cents - degree * 100);
+  }
+
+  /**
+   * Cents by which the target pitch for the given MIDI note differs from equal temperament.
+   */
+  offsetForMidi(midi) {
+    const degree = (((midi - this.tonic) % 12) + 12) % 12;
+    return this.degreeOffsets[degree];
+  }
+
+  midiForFrequency(frequency) {
+    return 69 + 12 * Math.log2(frequency / this.referenceFrequency);
+  }
+
+  equalFrequency(midi) {
+    return this.referenceFrequency * Math.pow(2, (midi - 69) / 12);
+  }
+
+  targetFrequency(midi) {
+    return this.referenceFrequency * Math.pow(2, (midi - 69 + this.offsetForMidi(midi) / 100) / 12);
+  }
+
+  /**
+   * Find the target pitch closest to the given frequency.
+   * Neighbouring notes are checked too, since uneven temperaments can move a target past the semitone midpoint.
+   */
+  nearestTarget(frequency) {
+    const midi = this.midiForFrequency(frequency);
+    const rounded = Math.round(midi);
+    let best = null;
+
+    for (let candidate = rounded - 1; candidate <= rounded + 1; candidate++) {
+      const cents = (midi - candidate) * 100 - this.offsetForMidi(candidate);
+      if (!best || Math.abs(cents) < Math.abs(best.cents)) {
+        best = {nearestMidi: candidate, cents};
+      }
+    }
+
+    return {
+      midi,
+      nearestMidi: best.nearestMidi,
+      cents: best.cents,
+      targetFrequency: this.targetFrequency(best.nearestMidi),
+    };
+  }
+
+  toJSON() {
+    return {
+      referenceFrequency: this.referenceFrequency,
+      temperament: this.temperament,
+      tonic: this.tonic,
+      customCents: this.customCents,
+    };
+  }
+}
+
+export const DEFAULT_TUNING = new Tuning();
+
+/**
+ * Parse a comma or whitespace separated list of twelve cents values, as typed into the custom table field.
+ */
+export function parseCentsTable(text) {
+  const values = String(text)
+    .split(/[\s,;]+/)
+    .filter(Boolean)
+    .map(Number);
+  if (values.length !== 12 || !values.every(Number.isFinite)) {
+    throw new Error("Enter twelve cents values, one per scale degree starting at the tonic.");
+  }
+  return values;
+}
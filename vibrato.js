@@ -0,0 +1,118 @@
+const MIN_RATE_HZ = 3.5;
+const MAX_RATE_HZ = 9;
+const MIN_WIDTH_CENTS = 8; // smaller wobbles are treated as ordinary pitch noise
+const MIN_HALF_CYCLES = 3;
+
+// Detects vibrato in the pitch stream and reports its rate, width and centre pitch.
+export class VibratoAnalyzer {
+  constructor({
+    windowMs = 900, // long enough for several cycles of a slow vibrato
+    maxGapMs = 100,
+    maxDriftCents = 150, // a larger move away from the window's mean starts a new window (new note)
+  } = {}) {
+    this.windowMs = windowMs;
+    this.maxGapMs = maxGapMs;
+    this.maxDriftCents = maxDriftCents;
+    this.samples = [];
+  }
+
+  reset() {
+    this.samples = [];
+  }
+
+  /**
+   * Add a voiced frame; `midi` is the continuous (unrounded) MIDI pitch from frequencyToNoteData.
+   * Returns the current analysis: {active, rate, width, centerMidi}.
+   */
+  push(time, midi) {
+    const pitch = midi * 100;
+    const last = this.samples[this.samples.length - 1];
+    if (last && (time - last.time > this.maxGapMs || Math.abs(pitch - this._mean()) > this.maxDriftCents)) {
+      this.samples = [];
+    }
+
+    this.samples.push({time, pitch});
+    while (this.samples.length && this.samples[0].time < time - this.windowMs) {
+      this.samples.shift();
+    }
+    return this.analyse();
+  }
+
+  analyse() {
+    const samples = this.samples;
+    const inactive = {
+      active: false,
+      rate: null,
+      width: null,
+      centerMidi: samples.length ? samples[samples.length - 1].pitch / 100 : null,
+    };
+    if (samples.length < 8) {
+      return inactive;
+    }
+
+    // Remove the linear trend (slides, slow drift) so only the oscillation remains.
+    const trend = linearFit(samples);
+    const residual = samples.map(({time, pitch}) => pitch - (trend.intercept + trend.slope * time));
+
+    const crossings = [];
+    for (let i = 1; i < residual.length; i++) {
+      if ((residual[i - 1] < 0) !== (residual[i] < 0)) {
+        // Interpolate the crossing time between the two samples.
+        const fraction = residual[i - 1] / (residual[i - 1] - residual[i]);
+        crossings.push({index: i, time: samples[i - 1].time + fraction * (samples[i].time - samples[i - 1].time)});
+      }
+    }
+    if (crossings.length < MIN_HALF_CYCLES + 1) {
+      return inactive;
+    }
+
+    const halfCycles = crossings.length - 1;
+    const span = crossings[crossings.length - 1].time - crossings[0].time;
+    const rate = span > 0 ? (halfCycles / 2) / (span / 1000) : 0;
+
+    // Measure width and centre over whole cycles only, so a partial cycle does not bias the centre.
+    const wholeCycles = halfCycles - (halfCycles % 2);
+    const endCrossing = crossings[crossings.length - 1];
+    const startCrossing = crossings[crossings.length - 1 - wholeCycles];
+    let minimum = Infinity;
+    let maximum = -Infinity;
+    let sum = 0;
+    let count = 0;
+    for (let i = startCrossing.index; i < endCrossing.index; i++) {
+      minimum = Math.min(minimum, residual[i]);
+      maximum = Math.max(maximum, residual[i]);
+      sum += samples[i].pitch;
+      count++;
+    }
+    const width = (maximum - minimum) / 2;
+
+    if (rate < MIN_RATE_HZ || rate > MAX_RATE_HZ || width < MIN_WIDTH_CENTS || count === 0) {
+      return inactive;
+    }
+
+    return {
+      active: true,
+      rate,
+      width,
+      centerMidi: sum / count / 100,
+    };
+  }
+
+  _mean() {
+    return this.samples.reduce((sum, sample) => sum + sample.pitch, 0) / this.samples.length;
+  }
+}
+
+function linearFit(samples) {
+  const count = samples.length;
+  const meanTime = samples.reduce((sum, sample) => sum + sample.time, 0) / count;
+  const meanPitch = samples.reduce((sum, sample) => sum + sample.pitch, 0) / count;
+  let covariance = 0;
+  let variance = 0;
+  for (const {time, pitch} of samples) {
+    covariance += (time - meanTime) * (pitch - meanPitch);
+    variance += (time - meanTime) ** 2;
+  }
+  const slope = variance > 0 ? covariance / variance : 0;
+  return {slope, intercept: meanPitch - slope * meanTime};
+}
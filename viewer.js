@@ -0,0 +1,100 @@
+import {PitchVisualizer} from './visualizer.js';
+import {formatCents, formatFrequency} from './note.js';
+import {relayUrl, roomUrl} from './broadcast.js';
+
+const ENABLE_DEBUG_LOGS = false;
+const debugLog = (...args) => {
+  if (ENABLE_DEBUG_LOGS) {
+    console.debug("[Viewer]", ...args);
+  }
+};
+
+const RECONNECT_DELAY_MS = 2000;
+const READOUT_HOLD_MS = 400; // the readouts clear when no sample arrived for this long
+
+const statusMessage = document.getElementById("status-message");
+const roomLabel = document.getElementById("viewer-room");
+const frequencyLabel = document.getElementById("frequency");
+const noteLabel = document.getElementById("note");
+const centsLabel = document.getElementById("cents");
+const canvas = document.getElementById("pitch-canvas");
+
+const room = new URLSearchParams(location.search).get("room");
+const visualizer = new PitchVisualizer(canvas);
+// Local performance.now() minus the student's stream time. The smallest difference seen is the quickest delivery,
+// so samples are never drawn ahead of now and network jitter does not shake the trace.
+let clockOffset = null;
+let readoutTimer = null;
+
+if (room) {
+  roomLabel.textContent = `Following room “${room}”.`;
+  visualizer.start();
+  connect();
+} else {
+  setStatus("This link has no room. Open the viewer link shown by the student's Broadcast button.");
+}
+
+function connect() {
+  setStatus("Connecting to the relay…");
+  const socket = new WebSocket(roomUrl(relayUrl(location), room, "viewer"));
+  socket.onmessage = ({data}) => {
+    try {
+      handleMessage(JSON.parse(data));
+    } catch (error) {
+      debugLog("Ignoring a malformed message.", error);
+    }
+  };
+  socket.onclose = () => {
+    setStatus("Connection to the relay lost; retrying…");
+    resetReadouts();
+    setTimeout(connect, RECONNECT_DELAY_MS);
+  };
+}
+
+function handleMessage(message) {
+  switch (message.type) {
+    case "presence":
+      setStatus(message.publishers
+        ? "Live: the student is broadcasting."
+        : "Waiting for the student to start broadcasting…");
+      break;
+    case "start":
+      // A new stream counts time from zero again.
+      clockOffset = null;
+      break;
+    case "pitch":
+      showPitch(message);
+      break;
+    default:
+      debugLog("Unknown message.", message);
+  }
+}
+
+function showPitch({time, frequency, cents, note, midi}) {
+  if (!Number.isFinite(time) || !Number.isFinite(frequency) || !Number.isFinite(cents) || !Number.isFinite(midi)) {
+    return;
+  }
+  const now = performance.now();
+  clockOffset = clockOffset === null ? now - time : Math.min(clockOffset, now - time);
+  visualizer.update({frequency, cents, midi, noteIndex: (midi + 1200) % 12, time: time + clockOffset});
+
+  frequencyLabel.textContent = formatFrequency(frequency);
+  noteLabel.textContent = note;
+  centsLabel.textContent = formatCents(cents);
+  clearTimeout(readoutTimer);
+  readoutTimer = setTimeout(resetReadouts, READOUT_HOLD_MS);
+}
+
+function resetReadouts() {
+  frequencyLabel.textContent = "— Hz";
+  noteLabel.textContent = "—";
+  centsLabel.textContent = "— ¢";
+}
+
+function setStatus(message) {
+  statusMessage.textContent = message;
+}
+
+window.addEventListener("beforeunload", () => {
+  visualizer.destroy();
+});
@@ -1,17 +1,50 @@
+import {midiToNoteName} from './note.js';
+
 const NOTE_ORDER = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
 const CENTS_RANGE = 50; // +/- cents visual range
 const NOTE_COUNT = NOTE_ORDER.length;
 const TIME_WINDOW = 10000; // milliseconds
 
+export const AXIS_MODES = {
+  chromatic: "Chromatic",
+  "pitch-class": "Pitch class",
+};
+const VIOLIN_RANGE = {low: 55, high: 100}; // G3 to E7
+const MIN_VISIBLE_SEMITONES = 4;
+const DEFAULT_VISIBLE_SEMITONES = 20;
+const PITCH_ZOOM_STEP = 1.15;
+const FOLLOW_MARGIN = 1; // semitones kept free above and below the followed notes
+const MAX_JOIN_SEMITONES = 2; // larger jumps between consecutive samples are left unconnected
+
 
 // Maintains a scrolling history of pitch samples and renders them on a canvas.
 export class PitchVisualizer {
   constructor(canvas, {
     timeWindow = TIME_WINDOW,
+    showVibratoCenter = false,
+    axisMode = "chromatic", // "chromatic" spans the violin's range by octave; "pitch-class" folds it into 12 rows
+    pitchRange = VIOLIN_RANGE,
+    visibleSemitones = DEFAULT_VISIBLE_SEMITONES,
+    autoFollow = true,
+    onAutoFollowChange = null,
+    onSeek = null, // called with the time (performance.now() timeline) of a click on the plot
   } = {}) {
     this.canvas = canvas;
     this.ctx = canvas.getContext("2d");
     this.timeWindow = timeWindow;
+    this.showVibratoCenter = showVibratoCenter;
+    this.axisMode = axisMode;
+    this.minMidi = pitchRange.low;
+    this.maxMidi = pitchRange.high;
+    this.visibleSemitones = visibleSemitones;
+    this.viewLow = this.minMidi - 0.5;
+    this.autoFollow = autoFollow;
+    this.onAutoFollowChange = onAutoFollowChange;
+    this.onSeek = onSeek;
+    this.frozenTime = null;
+    this.playheadTime = null;
+    this.followSmoothing = 0.15; // fraction of the distance to the followed register covered per frame
+    this.targetMidi = null;
     this.points = [];
 
     this.axisMarginLeft = 64;
@@ -27,6 +60,19 @@ export class PitchVisualizer {
     this._animate = this._animate.bind(this);
     this.isAnimating = false;
     this._animationFrame = null;
+    this._dragStart = null;
+
+    this._handleWheel = this._handleWheel.bind(this);
+    this._handlePointerDown = this._handlePointerDown.bind(this);
+    this._handlePointerMove = this._handlePointerMove.bind(this);
+    this._handlePointerUp = this._handlePointerUp.bind(this);
+    this._handleDoubleClick = this._handleDoubleClick.bind(this);
+    canvas.addEventListener("wheel", this._handleWheel, {passive: false});
+    canvas.addEventListener("pointerdown", this._handlePointerDown);
+    canvas.addEventListener("pointermove", this._handlePointerMove);
+    canvas.addEventListener("pointerup", this._handlePointerUp);
+    canvas.addEventListener("pointercancel", this._handlePointerUp);
+    canvas.addEventListener("dblclick", this._handleDoubleClick);
 
     window.addEventListener("resize", this._handleResize);
     this.resize();
@@ -58,19 +104,19 @@ export class PitchVisualizer {
       return;
     }
 
-    // Append the latest sample along with a timestamp for scrolling.
-    const now = performance.now();
+    // Append the latest sample along with a timestamp for scrolling; captured samples carry their own.
+    const time = Number.isFinite(point.time) ? point.time : performance.now();
     this.points.push({
       ...point,
-      time: now,
+      time,
     });
-    this._trim(now);
+    this._trim(this._now());
     this.draw();
   }
 
   draw() {
     const ctx = this.ctx;
-    const now = performance.now();
+    const now = this._now();
     this._trim(now);
 
     ctx.clearRect(0, 0, this.width, this.height);
@@ -85,6 +131,9 @@ export class PitchVisualizer {
 
     ctx.save();
     ctx.translate(this.axisMarginLeft, this.axisMarginTop);
+    ctx.beginPath();
+    ctx.rect(0, 0, this.plotWidth, this.plotHeight);
+    ctx.clip();
 
     ctx.lineWidth = 3.5;
     ctx.lineJoin = "round";
@@ -101,10 +150,10 @@ export class PitchVisualizer {
         continue;
       }
 
-      const y = this._mapNoteToY(point.noteIndex, point.cents);
+      const y = this._pointToY(point, point.cents);
       const color = this._colorForCents(point.cents);
 
-      if (lastPoint && point.time - lastPoint.time <= 250 && lastPoint.noteIndex === point.noteIndex) {
+      if (lastPoint && this._connects(lastPoint.point, point)) {
         ctx.strokeStyle = color;
         ctx.beginPath();
         ctx.moveTo(lastPoint.x, lastPoint.y);
@@ -112,12 +161,144 @@ export class PitchVisualizer {
         ctx.stroke();
       }
 
-      lastPoint = {x, y, time: point.time, noteIndex: point.noteIndex};
+      lastPoint = {x, y, point};
+    }
+
+    if (this.showVibratoCenter) {
+      this._drawVibratoCenter(now, pixelsPerMs);
+    }
+    if (this.playheadTime !== null) {
+      this._drawPlayhead(now, pixelsPerMs);
     }
 
     ctx.restore();
   }
 
+  /**
+   * Hold the time axis at `time`, e.g. while listening back to part of the trace; new samples are kept but stay
+   * out of view until unfreeze().
+   */
+  freeze(time = performance.now()) {
+    this.frozenTime = time;
+    this.draw();
+  }
+
+  unfreeze() {
+    this.frozenTime = null;
+    this.draw();
+  }
+
+  get isFrozen() {
+    return this.frozenTime !== null;
+  }
+
+  /**
+   * Mark a moment of the trace with a vertical cursor, or remove it with null.
+   */
+  setPlayhead(time) {
+    this.playheadTime = Number.isFinite(time) ? time : null;
+    if (!this.isAnimating) {
+      this.draw();
+    }
+  }
+
+  setVibratoCenterVisible(visible) {
+    this.showVibratoCenter = Boolean(visible);
+    this.draw();
+  }
+
+  setAxisMode(mode) {
+    if (!AXIS_MODES[mode]) {
+      throw new Error(`Unknown axis mode: ${mode}`);
+    }
+    this.axisMode = mode;
+    this.draw();
+  }
+
+  /**
+   * Highlight the note the student is expected to play next (MIDI number), or clear it with null.
+   */
+  setTargetNote(midi) {
+    this.targetMidi = Number.isFinite(midi) ? midi : null;
+    this.draw();
+  }
+
+  setAutoFollow(enabled) {
+    const next = Boolean(enabled);
+    if (next === this.autoFollow) {
+      return;
+    }
+    this.autoFollow = next;
+    if (this.onAutoFollowChange) {
+      this.onAutoFollowChange(next);
+    }
+    this.draw();
+  }
+
+  /**
+   * Zoom the chromatic axis by the given factor (> 1 shows more semitones), keeping `anchorPitch` in place.
+   */
+  zoomPitch(factor, anchorPitch = this.viewLow + this.visibleSemitones / 2) {
+    const fullRange = this.maxMidi - this.minMidi + 1;
+    const next = Math.min(Math.max(this.visibleSemitones * factor, MIN_VISIBLE_SEMITONES), fullRange);
+    const anchorRatio = (anchorPitch - this.viewLow) / this.visibleSemitones;
+    this.visibleSemitones = next;
+    this._setViewLow(anchorPitch - anchorRatio * next);
+    this.draw();
+  }
+
+  /**
+   * Move the chromatic axis by a number of semitones (positive moves up); this stops auto-follow.
+   */
+  scrollPitch(semitones) {
+    this.setAutoFollow(false);
+    this._setViewLow(this.viewLow + semitones);
+    this.draw();
+  }
+
+  _drawVibratoCenter(now, pixelsPerMs) {
+    // Thin line through the vibrato centre of samples that carry one, drawn over the raw trace.
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = "rgba(255, 214, 102, 0.95)";
+
+    let lastPoint = null;
+    for (const point of this.points) {
+      const x = this.plotWidth - (now - point.time) * pixelsPerMs;
+      if (x < 0 || x > this.plotWidth || !Number.isFinite(point.centerCents)) {
+        lastPoint = null;
+        continue;
+      }
+
+      const y = this._pointToY(point, point.centerCents);
+      if (lastPoint && this._connects(lastPoint.point, point)) {
+        ctx.beginPath();
+        ctx.moveTo(lastPoint.x, lastPoint.y);
+        ctx.lineTo(x, y);
+        ctx.stroke();
+      }
+      lastPoint = {x, y, point};
+    }
+    ctx.restore();
+  }
+
+  _drawPlayhead(now, pixelsPerMs) {
+    const x = this.plotWidth - (now - this.playheadTime) * pixelsPerMs;
+    if (x < 0 || x > this.plotWidth) {
+      return;
+    }
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.strokeStyle = "rgba(244, 246, 248, 0.85)";
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.moveTo(x, 0);
+    ctx.lineTo(x, this.plotHeight);
+    ctx.stroke();
+    ctx.restore();
+  }
+
   clear() {
     this.points = [];
     this.draw();
@@ -125,6 +306,12 @@ export class PitchVisualizer {
 
   destroy() {
     window.removeEventListener("resize", this._handleResize);
+    this.canvas.removeEventListener("wheel", this._handleWheel);
+    this.canvas.removeEventListener("pointerdown", this._handlePointerDown);
+    this.canvas.removeEventListener("pointermove", this._handlePointerMove);
+    this.canvas.removeEventListener("pointerup", this._handlePointerUp);
+    this.canvas.removeEventListener("pointercancel", this._handlePointerUp);
+    this.canvas.removeEventListener("dblclick", this._handleDoubleClick);
     this.stop();
     this.clear();
   }
@@ -142,6 +329,17 @@ export class PitchVisualizer {
     ctx.save();
     ctx.translate(this.axisMarginLeft, this.axisMarginTop);
 
+    if (this.axisMode === "chromatic") {
+      this._followRegister();
+      this._drawTargetNote();
+      this._drawChromaticGrid();
+      this._drawTimeMarkers();
+      ctx.restore();
+      return;
+    }
+
+    this._drawTargetNote();
+
     // Horizontal note guides and labels.
     ctx.save();
     ctx.lineWidth = 1;
@@ -163,7 +361,14 @@ export class PitchVisualizer {
     }
     ctx.restore();
 
+    this._drawTimeMarkers();
+
+    ctx.restore();
+  }
+
+  _drawTimeMarkers() {
     // Vertical time markers spaced one second apart.
+    const ctx = this.ctx;
     ctx.save();
     ctx.strokeStyle = "rgba(255, 255, 255, 0.05)";
     ctx.setLineDash([2, 6]);
@@ -179,10 +384,202 @@ export class PitchVisualizer {
       ctx.stroke();
     }
     ctx.restore();
+  }
+
+  _drawChromaticGrid() {
+    // One guide per semitone at its target pitch; labels thin out to naturals, then octaves, as the axis zooms out.
+    const ctx = this.ctx;
+    const pixelsPerSemitone = this.plotHeight / this.visibleSemitones;
+    ctx.save();
+    ctx.lineWidth = 1;
+    ctx.font = "12px -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif";
+    ctx.textAlign = "right";
+    ctx.textBaseline = "middle";
+
+    const first = Math.max(this.minMidi, Math.ceil(this.viewLow));
+    const last = Math.min(this.maxMidi, Math.floor(this.viewLow + this.visibleSemitones));
+    for (let midi = first; midi <= last; midi++) {
+      const y = this._mapPitchToY(midi);
+      const pitchClass = midi % NOTE_COUNT;
+      const natural = !NOTE_ORDER[pitchClass].includes("#");
+      ctx.strokeStyle = pitchClass === 0 ? "rgba(255, 255, 255, 0.55)" : "rgba(255, 255, 255, 0.25)";
+      ctx.setLineDash(pitchClass === 0 ? [] : [4, 4]);
+      ctx.beginPath();
+      ctx.moveTo(0, y);
+      ctx.lineTo(this.plotWidth, y);
+      ctx.stroke();
+
+      const labelled = pixelsPerSemitone >= 14 || (pixelsPerSemitone >= 7 && natural) || pitchClass === 0;
+      if (labelled) {
+        ctx.fillStyle = "rgba(244, 246, 248, 0.78)";
+        ctx.fillText(midiToNoteName(midi), -10, y);
+      }
+    }
+    ctx.restore();
+  }
+
+  _drawTargetNote() {
+    if (this.targetMidi === null) {
+      return;
+    }
+    const chromatic = this.axisMode === "chromatic";
+    const y = chromatic ? this._mapPitchToY(this.targetMidi) : this._mapNoteToY(this.targetMidi % NOTE_COUNT, 0);
+    const height = chromatic ? this.plotHeight / this.visibleSemitones : this.rowHeight;
 
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.fillStyle = "rgba(72, 198, 239, 0.16)";
+    ctx.fillRect(0, y - height / 2, this.plotWidth, height);
+    ctx.fillStyle = "rgba(72, 198, 239, 0.9)";
+    ctx.fillRect(-6, y - height / 2, 3, height);
     ctx.restore();
   }
 
+  _followRegister() {
+    // Keep the recently played notes in view, moving the axis as little as possible.
+    if (!this.autoFollow || this._dragStart?.panned) {
+      return;
+    }
+    const now = this._now();
+    let low = Infinity;
+    let high = -Infinity;
+    let latest = null;
+    for (const point of this.points) {
+      const pitch = this._pointPitch(point, point.cents);
+      if (point.time < now - this.timeWindow || point.time > now || !Number.isFinite(pitch)) {
+        continue;
+      }
+      low = Math.min(low, pitch);
+      high = Math.max(high, pitch);
+      latest = pitch;
+    }
+    if (this.targetMidi !== null) {
+      // The expected note must stay visible, so it counts as played for following.
+      low = Math.min(low, this.targetMidi);
+      high = Math.max(high, this.targetMidi);
+      latest = latest ?? this.targetMidi;
+    }
+    if (latest === null) {
+      return;
+    }
+
+    let target = this.viewLow;
+    if (high - low + 2 * FOLLOW_MARGIN <= this.visibleSemitones) {
+      target = Math.min(target, low - FOLLOW_MARGIN);
+      target = Math.max(target, high + FOLLOW_MARGIN - this.visibleSemitones);
+    } else {
+      target = latest - this.visibleSemitones / 2;
+    }
+    this._setViewLow(this.viewLow + (target - this.viewLow) * this.followSmoothing);
+  }
+
+  _setViewLow(viewLow) {
+    const lowest = this.minMidi - 0.5;
+    const highest = Math.max(lowest, this.maxMidi + 0.5 - this.visibleSemitones);
+    this.viewLow = Math.min(Math.max(viewLow, lowest), highest);
+  }
+
+  _pitchAtClientY(clientY) {
+    const rect = this.canvas.getBoundingClientRect();
+    const y = clientY - rect.top - this.axisMarginTop;
+    return this.viewLow + (1 - y / this.plotHeight) * this.visibleSemitones;
+  }
+
+  /**
+   * Time shown at a horizontal page position, or null outside the plot.
+   */
+  _timeAtClientX(clientX) {
+    const rect = this.canvas.getBoundingClientRect();
+    const x = clientX - rect.left - this.axisMarginLeft;
+    if (x < 0 || x > this.plotWidth) {
+      return null;
+    }
+    return this._now() - ((this.plotWidth - x) / this.plotWidth) * this.timeWindow;
+  }
+
+  _handleWheel(event) {
+    if (this.axisMode !== "chromatic") {
+      return;
+    }
+    event.preventDefault();
+    // Shift-wheel pans the pitch axis; plain wheel zooms it around the cursor.
+    if (event.shiftKey) {
+      this.scrollPitch((-(event.deltaY || event.deltaX) / this.plotHeight) * this.visibleSemitones);
+      return;
+    }
+    this.zoomPitch(event.deltaY > 0 ? PITCH_ZOOM_STEP : 1 / PITCH_ZOOM_STEP, this._pitchAtClientY(event.clientY));
+  }
+
+  _handlePointerDown(event) {
+    this._dragStart = {x: event.clientX, y: event.clientY, viewLow: this.viewLow, panned: false};
+    this.canvas.setPointerCapture(event.pointerId);
+  }
+
+  _handlePointerMove(event) {
+    if (!this._dragStart || this.axisMode !== "chromatic") {
+      return;
+    }
+    const dy = event.clientY - this._dragStart.y;
+    if (!this._dragStart.panned && Math.abs(dy) < 4) {
+      return;
+    }
+    this._dragStart.panned = true;
+    this.setAutoFollow(false);
+    this._setViewLow(this._dragStart.viewLow + (dy / this.plotHeight) * this.visibleSemitones);
+    this.draw();
+  }
+
+  _handlePointerUp(event) {
+    const dragStart = this._dragStart;
+    if (dragStart && this.canvas.hasPointerCapture(event.pointerId)) {
+      this.canvas.releasePointerCapture(event.pointerId);
+    }
+    this._dragStart = null;
+    // A click that did not pan the axis picks a moment on the trace.
+    if (dragStart && !dragStart.panned && event.type === "pointerup" && this.onSeek) {
+      const time = this._timeAtClientX(event.clientX);
+      if (time !== null) {
+        this.onSeek(time);
+      }
+    }
+  }
+
+  _handleDoubleClick() {
+    // Double-click hands the pitch axis back to auto-follow after manual panning.
+    this.setAutoFollow(true);
+  }
+
+  _now() {
+    return this.frozenTime ?? performance.now();
+  }
+
+  _pointPitch(point, cents) {
+    return Number.isFinite(point.midi) ? point.midi + cents / 100 : NaN;
+  }
+
+  _pointToY(point, cents) {
+    if (this.axisMode === "chromatic" && Number.isFinite(point.midi)) {
+      return this._mapPitchToY(this._pointPitch(point, cents));
+    }
+    return this._mapNoteToY(point.noteIndex, cents);
+  }
+
+  _connects(previous, point) {
+    if (point.time - previous.time > 250) {
+      return false;
+    }
+    if (this.axisMode === "chromatic" && Number.isFinite(point.midi) && Number.isFinite(previous.midi)) {
+      // Slides and note changes stay connected on the chromatic axis; only leaps are split.
+      const step = this._pointPitch(point, point.cents) - this._pointPitch(previous, previous.cents);
+      return Math.abs(step) <= MAX_JOIN_SEMITONES;
+    }
+    return previous.noteIndex === point.noteIndex;
+  }
+
+  _mapPitchToY(pitch) {
+    return this.plotHeight - ((pitch - this.viewLow) / this.visibleSemitones) * this.plotHeight;
+  }
+
   _mapNoteToY(noteIndex, cents) {
     const clampedIndex = ((noteIndex % NOTE_COUNT) + NOTE_COUNT) % NOTE_COUNT;
     const clampedCents = Math.max(Math.min(cents, CENTS_RANGE), -CENTS_RANGE);
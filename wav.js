@@ -0,0 +1,106 @@
+// Minimal RIFF/WAVE reader for PCM and IEEE float files, used by the command-line tools.
+
+const FORMAT_PCM = 1;
+const FORMAT_FLOAT = 3;
+const FORMAT_EXTENSIBLE = 0xfffe;
+
+/**
+ * Decode a WAV file held in a Uint8Array (or Node Buffer) into one Float32Array per channel.
+ */
+export function decodeWav(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (readTag(view, 0) !== "RIFF" || readTag(view, 8) !== "WAVE") {
+    throw new Error("Not a RIFF/WAVE file.");
+  }
+
+  let format = null;
+  let data = null;
+  let offset = 12;
+  while (offset + 8 <= view.byteLength) {
+    const id = readTag(view, offset);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+
+    if (id === "fmt ") {
+      format = {
+        audioFormat: view.getUint16(body, true),
+        channelCount: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        bitsPerSample: view.getUint16(body + 14, true),
+      };
+      if (format.audioFormat === FORMAT_EXTENSIBLE && size >= 26) {
+        // The real format code is the first two bytes of the sub-format GUID.
+        format.audioFormat = view.getUint16(body + 24, true);
+      }
+    } else if (id === "data") {
+      data = {offset: body, size: Math.min(size, view.byteLength - body)};
+    }
+
+    // Chunks are padded to an even number of bytes.
+    offset = body + size + (size % 2);
+  }
+
+  if (!format) {
+    throw new Error("WAV file has no fmt chunk.");
+  }
+  if (!data) {
+    throw new Error("WAV file has no data chunk.");
+  }
+
+  const readSample = sampleReader(view, format);
+  const bytesPerSample = format.bitsPerSample / 8;
+  const frameCount = Math.floor(data.size / (bytesPerSample * format.channelCount));
+  const channels = Array.from({length: format.channelCount}, () => new Float32Array(frameCount));
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    const frameOffset = data.offset + frame * bytesPerSample * format.channelCount;
+    for (let channel = 0; channel < format.channelCount; channel++) {
+      channels[channel][frame] = readSample(frameOffset + channel * bytesPerSample);
+    }
+  }
+
+  return {
+    sampleRate: format.sampleRate,
+    channels,
+    duration: frameCount / format.sampleRate,
+  };
+}
+
+function sampleReader(view, {audioFormat, bitsPerSample}) {
+  if (audioFormat === FORMAT_FLOAT && bitsPerSample === 32) {
+    return (offset) => view.getFloat32(offset, true);
+  }
+  if (audioFormat === FORMAT_FLOAT && bitsPerSample === 64) {
+    return (offset) => view.getFloat64(offset, true);
+  }
+  if (audioFormat === FORMAT_PCM) {
+    switch (bitsPerSample) {
+      case 8:
+        return (offset) => (view.getUint8(offset) - 128) / 128;
+      case 16:
+        return (offset) => view.getInt16(offset, true) / 32768;
+      case 24:
+        return (offset) => {
+          const value = view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getInt8(offset + 2) << 16);
+          return value / 8388608;
+        };
+      case 32:
+        return (offset) => view.getInt32(offset, true) / 2147483648;
+      default:
+        break;
+    }
+  }
+  throw new Error(`Unsupported WAV encoding (format ${audioFormat}, ${bitsPerSample} bit).`);
+}
+
+function readTag(view, offset) {
+  if (offset + 4 > view.byteLength) {
+    return "";
+  }
+  return String.fromCharCode(
+    view.getUint8(offset),
+    view.getUint8(offset + 1),
+    view.getUint8(offset + 2),
+    view.getUint8(offset + 3),
+  );
+}
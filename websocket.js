@@ -0,0 +1,227 @@
+import {createHash} from 'node:crypto';
+
+const HANDSHAKE_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_MESSAGE_BYTES = 64 * 1024; // pitch messages are a few hundred bytes; anything this large is not ours
+const OPCODES = {continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa};
+const CLOSE_CODES = {normal: 1000, protocolError: 1002, unsupportedData: 1003, tooBig: 1009};
+
+/**
+ * Complete the WebSocket opening handshake (RFC 6455) for an HTTP `upgrade` request. Returns the connection, or null
+ * after answering a request that is not a valid WebSocket handshake with 400.
+ */
+export function acceptWebSocket(request, socket, {onMessage = null, onClose = null} = {}) {
+  ignoreResets(socket);
+  const key = request.headers["sec-websocket-key"];
+  const upgrade = request.headers.upgrade ?? "";
+  if (request.method !== "GET" || upgrade.toLowerCase() !== "websocket" || !key
+    || request.headers["sec-websocket-version"] !== "13") {
+    rejectUpgrade(socket, 400, "Bad Request");
+    return null;
+  }
+
+  const accept = createHash("sha1").update(key + HANDSHAKE_GUID).digest("base64");
+  socket.write([
+    "HTTP/1.1 101 Switching Protocols",
+    "Upgrade: websocket",
+    "Connection: Upgrade",
+    `Sec-WebSocket-Accept: ${accept}`,
+    "",
+    "",
+  ].join("\r\n"));
+  return new WebSocketConnection(socket, {onMessage, onClose});
+}
+
+/**
+ * Answer an upgrade request with a plain HTTP error and close the socket.
+ */
+export function rejectUpgrade(socket, status, message) {
+  ignoreResets(socket);
+  socket.end(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+}
+
+/**
+ * A client may reset the connection while we still write to it; without a listener that error would end the process.
+ */
+function ignoreResets(socket) {
+  if (!socket.listenerCount("error")) {
+    socket.on("error", () => socket.destroy());
+  }
+}
+
+// Server side of one WebSocket connection: unmasks client frames, reassembles fragmented text messages and answers
+// pings and close frames. Only text messages are supported.
+export class WebSocketConnection {
+  constructor(socket, {
+    onMessage = null, // called with each complete text message
+    onClose = null, // called once when the connection is gone, whichever side closed it
+  } = {}) {
+    this.socket = socket;
+    this.onMessage = onMessage;
+    this.onClose = onClose;
+    this.open = true;
+    this._received = Buffer.alloc(0);
+    this._fragments = null; // payloads of a fragmented message in progress
+    socket.setNoDelay(true);
+    socket.on("data", (chunk) => this._receive(chunk));
+    ignoreResets(socket);
+    socket.on("close", () => this._closed());
+  }
+
+  /**
+   * Bytes written but not yet handed to the network; a growing backlog means the peer cannot keep up.
+   */
+  get bufferedAmount() {
+    return this.socket.writableLength;
+  }
+
+  send(text) {
+    if (this.open) {
+      this._sendFrame(OPCODES.text, Buffer.from(text, "utf8"));
+    }
+  }
+
+  close(code = CLOSE_CODES.normal, reason = "") {
+    if (!this.open) {
+      return;
+    }
+    this.open = false;
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    this._sendFrame(OPCODES.close, payload);
+    this.socket.end();
+  }
+
+  _receive(chunk) {
+    this._received = Buffer.concat([this._received, chunk]);
+    while (this.open) {
+      const frame = this._readFrame();
+      if (!frame) {
+        return;
+      }
+      this._handleFrame(frame);
+    }
+  }
+
+  /**
+   * Take one complete frame off the receive buffer, or return null until more data arrives.
+   */
+  _readFrame() {
+    const data = this._received;
+    if (data.length < 2) {
+      return null;
+    }
+    const fin = (data[0] & 0x80) !== 0;
+    const opcode = data[0] & 0x0f;
+    const masked = (data[1] & 0x80) !== 0;
+    let length = data[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+      if (data.length < 4) {
+        return null;
+      }
+      length = data.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (data.length < 10) {
+        return null;
+      }
+      length = Number(data.readBigUInt64BE(2));
+      offset = 10;
+    }
+
+    if (!masked) {
+      // Clients must mask every frame.
+      this.close(CLOSE_CODES.protocolError, "Unmasked frame");
+      return null;
+    }
+    if (length > MAX_MESSAGE_BYTES) {
+      this.close(CLOSE_CODES.tooBig, "Message too big");
+      return null;
+    }
+    if (data.length < offset + 4 + length) {
+      return null;
+    }
+
+    const mask = data.subarray(offset, offset + 4);
+    const payload = Buffer.from(data.subarray(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i & 3];
+    }
+    this._received = data.subarray(offset + 4 + length);
+    return {fin, opcode, payload};
+  }
+
+  _handleFrame({fin, opcode, payload}) {
+    switch (opcode) {
+      case OPCODES.close:
+        this.close(payload.length >= 2 ? payload.readUInt16BE(0) : CLOSE_CODES.normal);
+        return;
+      case OPCODES.ping:
+        this._sendFrame(OPCODES.pong, payload);
+        return;
+      case OPCODES.pong:
+        return;
+      case OPCODES.binary:
+        this.close(CLOSE_CODES.unsupportedData, "Text messages only");
+        return;
+      case OPCODES.text:
+        if (this._fragments) {
+          this.close(CLOSE_CODES.protocolError, "Expected a continuation frame");
+          return;
+        }
+        this._fragments = [];
+        break;
+      case OPCODES.continuation:
+        if (!this._fragments) {
+          this.close(CLOSE_CODES.protocolError, "Unexpected continuation frame");
+          return;
+        }
+        break;
+      default:
+        this.close(CLOSE_CODES.protocolError, "Unknown opcode");
+        return;
+    }
+
+    this._fragments.push(payload);
+    const message = Buffer.concat(this._fragments);
+    if (message.length > MAX_MESSAGE_BYTES) {
+      this.close(CLOSE_CODES.tooBig, "Message too big");
+      return;
+    }
+    if (fin) {
+      this._fragments = null;
+      if (this.onMessage) {
+        this.onMessage(message.toString("utf8"));
+      }
+    }
+  }
+
+  _sendFrame(opcode, payload) {
+    // Server frames are never masked.
+    let header;
+    if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+      header = Buffer.alloc(4);
+      header[0] = 0x80 | opcode;
+      header[1] = 126;
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode;
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    this.socket.write(Buffer.concat([header, payload]));
+  }
+
+  _closed() {
+    this.open = false;
+    const onClose = this.onClose;
+    this.onClose = null;
+    if (onClose) {
+      onClose();
+    }
+  }
+}
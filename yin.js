@@ -1,9 +1,24 @@
+import {FFT, nextPowerOfTwo} from './fft.js';
+
+// pYIN threshold prior: 100 thresholds between 0.01 and 1 weighted by a Beta(2, 18) distribution (mean 0.1).
+const PYIN_THRESHOLDS = Array.from({length: 100}, (_, index) => (index + 1) / 100);
+const PYIN_THRESHOLD_WEIGHTS = (() => {
+  const weights = PYIN_THRESHOLDS.map((threshold) => threshold * Math.pow(1 - threshold, 17));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  return weights.map((weight) => weight / total);
+})();
+// Probability factor given to the global minimum when no dip falls below a threshold.
+const PYIN_GLOBAL_MINIMUM_FACTOR = 0.01;
+const MIN_CANDIDATE_PROBABILITY = 1e-6;
+const RANKED_CANDIDATE_PROBABILITY = 0.5; // getPitch ranks the dips at least this deep
+
 // Implements the YIN pitch detection algorithm for monophonic sources.
 export class YinPitchDetector {
   constructor(sampleRate, {
     threshold = 0.1,
     probabilityThreshold = 0.1,
     bufferSize = 2048,
+    differenceMethod = "fft",
   } = {}) {
     this.sampleRate = sampleRate;
     this.threshold = threshold;
@@ -12,11 +27,27 @@ export class YinPitchDetector {
     this.halfBuffer = Math.floor(bufferSize / 2);
     this.difference = new Float32Array(this.halfBuffer);
     this.cumulativeMean = new Float32Array(this.halfBuffer);
+
+    if (differenceMethod !== "fft" && differenceMethod !== "direct") {
+      throw new Error(`Unknown YIN difference method: ${differenceMethod}`);
+    }
+    this.differenceMethod = differenceMethod;
+    if (differenceMethod === "fft") {
+      // Lags stay below half the buffer, so a transform of 2 × halfBuffer never wraps around.
+      const size = nextPowerOfTwo(2 * this.halfBuffer);
+      this.fft = new FFT(size);
+      this.spectrumReal = new Float64Array(size);
+      this.spectrumImag = new Float64Array(size);
+      this.correlationReal = new Float64Array(size);
+      this.correlationImag = new Float64Array(size);
+      this.energyPrefix = new Float64Array(2 * this.halfBuffer + 1);
+    }
   }
 
   /**
    * Estimate the fundamental frequency present in the given audio buffer.
-   * Returns null when no stable pitch is detected above the configured probability threshold.
+   * Returns null when no stable pitch is detected above the configured probability threshold. `candidates` ranks
+   * the deep dips, which include the octave relatives the first dip under the threshold can be confused with.
    */
   getPitch(buffer) {
     let tau;
@@ -38,14 +69,100 @@ export class YinPitchDetector {
       return null;
     }
 
+    const {troughs} = this._troughs();
+    const candidates = troughs
+      .filter((trough) => 1 - this.cumulativeMean[trough] >= RANKED_CANDIDATE_PROBABILITY)
+      .sort((a, b) => this.cumulativeMean[a] - this.cumulativeMean[b])
+      .map((trough) => ({
+        frequency: this.sampleRate / this._parabolicInterpolation(trough),
+        probability: 1 - this.cumulativeMean[trough],
+      }));
+
     return {
       frequency,
       probability,
+      candidates,
     };
   }
 
+  /**
+   * pYIN estimate: the most probable candidate, with the full candidate list attached for HMM tracking.
+   * Returns null when no candidates were found.
+   */
+  getProbabilisticPitch(buffer) {
+    const candidates = this.getCandidates(buffer);
+    if (!candidates.length) {
+      return null;
+    }
+    return {
+      ...candidates[0],
+      candidates,
+    };
+  }
+
+  /**
+   * Probabilistic YIN: collect pitch candidates across a distribution of thresholds.
+   * Returns candidates sorted by probability (highest first); the probabilities sum to the voicing probability.
+   */
+  getCandidates(buffer) {
+    this._difference(buffer);
+    this._cumulativeMeanNormalizedDifference();
+    const {troughs, globalMinimum} = this._troughs();
+
+    // Each threshold votes for the first trough that dips below it, as _absoluteThreshold would pick.
+    const votes = new Map();
+    for (let index = 0; index < PYIN_THRESHOLDS.length; index++) {
+      const threshold = PYIN_THRESHOLDS[index];
+      const tau = troughs.find((candidate) => this.cumulativeMean[candidate] < threshold);
+      if (tau !== undefined) {
+        votes.set(tau, (votes.get(tau) || 0) + PYIN_THRESHOLD_WEIGHTS[index]);
+      } else if (troughs.length) {
+        votes.set(globalMinimum, (votes.get(globalMinimum) || 0) + PYIN_THRESHOLD_WEIGHTS[index] * PYIN_GLOBAL_MINIMUM_FACTOR);
+      }
+    }
+
+    const candidates = [];
+    for (const [tau, probability] of votes) {
+      if (probability < MIN_CANDIDATE_PROBABILITY) {
+        continue;
+      }
+      candidates.push({
+        frequency: this.sampleRate / this._parabolicInterpolation(tau),
+        probability,
+      });
+    }
+    return candidates.sort((a, b) => b.probability - a.probability);
+  }
+
+  _troughs() {
+    // Local minima of the normalized difference, in lag order.
+    const troughs = [];
+    let globalMinimum = 2;
+    for (let tau = 2; tau < this.halfBuffer; tau++) {
+      const value = this.cumulativeMean[tau];
+      const isMinimum = value < this.cumulativeMean[tau - 1] &&
+        (tau + 1 >= this.halfBuffer || value <= this.cumulativeMean[tau + 1]);
+      if (isMinimum) {
+        troughs.push(tau);
+      }
+      if (value < this.cumulativeMean[globalMinimum]) {
+        globalMinimum = tau;
+      }
+    }
+    return {troughs, globalMinimum};
+  }
+
   _difference(buffer) {
     // Step 1: difference function that measures waveform self-similarity at different delays.
+    if (this.differenceMethod === "fft") {
+      this._differenceFft(buffer);
+    } else {
+      this._differenceDirect(buffer);
+    }
+  }
+
+  _differenceDirect(buffer) {
+    // O(N²) reference implementation that sums the squared differences for every lag.
     this.difference[0] = 0;
 
     for (let tau = 1; tau < this.halfBuffer; tau++) {
@@ -58,6 +175,49 @@ export class YinPitchDetector {
     }
   }
 
+  _differenceFft(buffer) {
+    // d(tau) = sum x[i]² + sum x[i + tau]² - 2 · sum x[i]·x[i + tau], with the cross term from an FFT correlation.
+    const window = this.halfBuffer;
+    const size = this.fft.size;
+    const real = this.spectrumReal;
+    const imag = this.spectrumImag;
+
+    // Pack the first window (real part) and the whole span it slides over (imaginary part) into one transform.
+    for (let i = 0; i < size; i++) {
+      real[i] = i < window ? buffer[i] : 0;
+      imag[i] = i < 2 * window ? buffer[i] : 0;
+    }
+    this.fft.transform(real, imag);
+
+    // Separate the two spectra and form conj(A) · B, whose inverse is the cross-correlation.
+    const outReal = this.correlationReal;
+    const outImag = this.correlationImag;
+    for (let k = 0; k < size; k++) {
+      const mirror = (size - k) % size;
+      const aReal = (real[k] + real[mirror]) / 2;
+      const aImag = (imag[k] - imag[mirror]) / 2;
+      const bReal = (imag[k] + imag[mirror]) / 2;
+      const bImag = (real[mirror] - real[k]) / 2;
+      outReal[k] = aReal * bReal + aImag * bImag;
+      outImag[k] = aReal * bImag - aImag * bReal;
+    }
+    this.fft.inverse(outReal, outImag);
+
+    const prefix = this.energyPrefix;
+    prefix[0] = 0;
+    for (let i = 0; i < 2 * window; i++) {
+      prefix[i + 1] = prefix[i] + buffer[i] * buffer[i];
+    }
+
+    const leadingEnergy = prefix[window];
+    this.difference[0] = 0;
+    for (let tau = 1; tau < window; tau++) {
+      const laggedEnergy = prefix[tau + window] - prefix[tau];
+      // Rounding can leave tiny negative values where the signal is perfectly periodic.
+      this.difference[tau] = Math.max(0, leadingEnergy + laggedEnergy - 2 * outReal[tau]);
+    }
+  }
+
   _cumulativeMeanNormalizedDifference() {
     // Step 2: cumulative mean normalized difference dampens the raw difference values.
     this.cumulativeMean[0] = 1;